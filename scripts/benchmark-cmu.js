@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Benchmark the detector on the CMU keystroke dataset, headless
+ * Dataset: DSL-StrongPasswordData.csv from https://www.cs.cmu.edu/~keystroke/
+ *
+ * Usage: node scripts/benchmark-cmu.js <DSL-StrongPasswordData.csv> [options]
+ *   --detector autoencoder   Detector (autoencoder, scaled-manhattan, mahalanobis, knn,
+ *                            isolation-forest or ensemble)
+ *   --architecture dense     Autoencoder architecture (dense, lstm or conv1d)
+ *   --window 10              Window size for sequence architectures (at most 10)
+ *   --epochs 20              Training epochs per subject
+ *   --subjects s002,s003     Subjects to evaluate (default: all)
+ *   --json                   Print the full report, ROC points included
+ */
+import { readFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import { CmuBenchmark, parseCmuDataset } from '../src/services/CmuBenchmark.js'
+import { MODEL_ARCHITECTURES, DEFAULT_ARCHITECTURE, DEFAULT_WINDOW_SIZE } from '../src/services/ModelConfig.js'
+import { DETECTORS, DEFAULT_DETECTOR } from '../src/services/detectors/index.js'
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    detector: { type: 'string', default: DEFAULT_DETECTOR },
+    architecture: { type: 'string', default: DEFAULT_ARCHITECTURE },
+    window: { type: 'string', default: String(DEFAULT_WINDOW_SIZE) },
+    epochs: { type: 'string', default: '20' },
+    subjects: { type: 'string' },
+    json: { type: 'boolean', default: false }
+  }
+})
+
+if (positionals.length !== 1) {
+  console.error('Usage: node scripts/benchmark-cmu.js <DSL-StrongPasswordData.csv> [--detector autoencoder] [--architecture dense] ' +
+    '[--window 10] [--epochs 20] [--subjects s002,s003] [--json]')
+  process.exit(1)
+}
+if (!DETECTORS.includes(values.detector)) {
+  console.error(`Unknown detector "${values.detector}" (expected ${DETECTORS.join(', ')})`)
+  process.exit(1)
+}
+if (!MODEL_ARCHITECTURES.includes(values.architecture)) {
+  console.error(`Unknown architecture "${values.architecture}" (expected ${MODEL_ARCHITECTURES.join(', ')})`)
+  process.exit(1)
+}
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`
+
+try {
+  const dataset = parseCmuDataset(await readFile(positionals[0], 'utf8'))
+  const benchmark = new CmuBenchmark(dataset, {
+    detector: values.detector,
+    architecture: values.architecture,
+    windowSize: parseInt(values.window, 10),
+    epochs: parseInt(values.epochs, 10)
+  })
+
+  const report = await benchmark.run({
+    subjects: values.subjects ? values.subjects.split(',') : undefined,
+    onSubject: values.json ? null : (result) => console.log(result.skipped
+      ? `${result.subject}: skipped (${result.skipped})`
+      : `${result.subject}: EER ${percent(result.eer)}`)
+  })
+
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    const evaluated = report.subjects.filter(result => !result.skipped).length
+    console.log(report.meanEer === null
+      ? 'No subject could be evaluated'
+      : `Mean EER over ${evaluated} subjects: ${percent(report.meanEer)} ` +
+        `(standard deviation ${percent(report.eerStdDev)})` +
+        (evaluated < report.subjects.length ? `, ${report.subjects.length - evaluated} skipped` : ''))
+  }
+} catch (error) {
+  console.error(error.message)
+  process.exit(1)
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Evaluate the detector on labeled keystroke recordings, headless
+ *
+ * Usage: node scripts/evaluate.js <recordings.json> [options]
+ *   --detectors autoencoder,knn,...    Detectors to compare (default: autoencoder)
+ *   --architectures dense,lstm,conv1d  Autoencoder architectures to compare (default: dense)
+ *   --features downDownTime,...        Features to keep; the others are zeroed
+ *   --window 10                        Window size for sequence architectures
+ *   --epochs 50                        Training epochs
+ *   --json                             Print the full reports, ROC points included
+ *
+ * See src/services/Evaluator.js for the recordings format.
+ */
+import { readFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import { Evaluator } from '../src/services/Evaluator.js'
+import { FEATURE_NAMES } from '../src/services/FeatureExtractor.js'
+import { MODEL_ARCHITECTURES, DEFAULT_ARCHITECTURE, DEFAULT_WINDOW_SIZE } from '../src/services/ModelConfig.js'
+import { DETECTORS, DEFAULT_DETECTOR } from '../src/services/detectors/index.js'
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    detectors: { type: 'string', default: DEFAULT_DETECTOR },
+    architectures: { type: 'string', default: DEFAULT_ARCHITECTURE },
+    features: { type: 'string' },
+    window: { type: 'string', default: String(DEFAULT_WINDOW_SIZE) },
+    epochs: { type: 'string', default: '50' },
+    json: { type: 'boolean', default: false }
+  }
+})
+
+if (positionals.length !== 1) {
+  console.error('Usage: node scripts/evaluate.js <recordings.json> [--detectors autoencoder,knn] [--architectures dense,lstm] ' +
+    '[--features downDownTime,...] [--window 10] [--epochs 50] [--json]')
+  process.exit(1)
+}
+
+const detectors = values.detectors.split(',')
+const unknownDetector = detectors.find(name => !DETECTORS.includes(name))
+if (unknownDetector) {
+  console.error(`Unknown detector "${unknownDetector}" (expected ${DETECTORS.join(', ')})`)
+  process.exit(1)
+}
+
+const architectures = values.architectures.split(',')
+const unknownArchitecture = architectures.find(name => !MODEL_ARCHITECTURES.includes(name))
+if (unknownArchitecture) {
+  console.error(`Unknown architecture "${unknownArchitecture}" (expected ${MODEL_ARCHITECTURES.join(', ')})`)
+  process.exit(1)
+}
+
+const features = values.features ? values.features.split(',') : FEATURE_NAMES
+const unknownFeature = features.find(name => !FEATURE_NAMES.includes(name))
+if (unknownFeature) {
+  console.error(`Unknown feature "${unknownFeature}" (expected ${FEATURE_NAMES.join(', ')})`)
+  process.exit(1)
+}
+
+const recordings = JSON.parse(await readFile(positionals[0], 'utf8'))
+// Architectures only apply to the autoencoder
+const configs = detectors.flatMap(detector => (detector === 'autoencoder' ? architectures : [DEFAULT_ARCHITECTURE])
+  .map(architecture => ({
+    detector,
+    architecture,
+    features,
+    windowSize: parseInt(values.window, 10),
+    epochs: parseInt(values.epochs, 10)
+  })))
+
+const reports = await new Evaluator().compare(recordings, configs)
+
+if (values.json) {
+  console.log(JSON.stringify(reports, null, 2))
+} else {
+  const percent = (value) => `${(value * 100).toFixed(2)}%`
+  console.table(reports.map(({ name, trainingSamples, keystroke, session }) => ({
+    configuration: name,
+    'training samples': trainingSamples,
+    'keystroke EER': percent(keystroke.eer),
+    'best threshold (score)': keystroke.best.score === null ? '-' : keystroke.best.score.toFixed(3),
+    'FAR at best': percent(keystroke.best.far),
+    'FRR at best': percent(keystroke.best.frr),
+    'session EER': percent(session.eer)
+  })))
+}
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Local webhook receiver for testing incident delivery
+ * Point the app's webhook at http://localhost:8787/incidents and every incident it
+ * POSTs is logged here. Failures can be simulated to watch the retries and the queue.
+ *
+ * Usage: node scripts/mock-webhook-server.js [options]
+ *   --port 8787        Port to listen on
+ *   --fail-rate 0      Share of requests to reject, between 0 and 1
+ *   --status 503       Status code of rejected requests
+ *   --token secret     Reject requests without this bearer token (status 401)
+ *   --json             Print each incident in full
+ */
+import { createServer } from 'node:http'
+import { parseArgs } from 'node:util'
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    'fail-rate': { type: 'string', default: '0' },
+    status: { type: 'string', default: '503' },
+    token: { type: 'string' },
+    json: { type: 'boolean', default: false }
+  }
+})
+
+const port = parseInt(values.port, 10)
+const failRate = parseFloat(values['fail-rate'])
+const failStatus = parseInt(values.status, 10)
+if (!(failRate >= 0 && failRate <= 1)) {
+  console.error(`--fail-rate must be between 0 and 1, got "${values['fail-rate']}"`)
+  process.exit(1)
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+}
+
+let received = 0
+
+/**
+ * Send a JSON response with the CORS headers the browser needs
+ * @param {ServerResponse} response - Response
+ * @param {number} status - Status code
+ * @param {Object} body - Response body
+ */
+function reply(response, status, body) {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' })
+  response.end(JSON.stringify(body))
+}
+
+/**
+ * One-line description of an incident
+ * @param {Object} incident - Incident (see src/services/IncidentTracker.js)
+ * @returns {string}
+ */
+function describe(incident) {
+  const what = incident.type === 'verdict-change'
+    ? `${incident.verdict.previous || 'none'} -> ${incident.verdict.verdict}`
+    : `score ${incident.scores.last.toFixed(2)}`
+  return `[${incident.severity}] ${incident.profile}: ${incident.type} ${what} at ${incident.createdAt}`
+}
+
+const server = createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS)
+    response.end()
+    return
+  }
+  if (request.method !== 'POST') {
+    reply(response, 405, { error: 'POST incidents here' })
+    return
+  }
+
+  let body = ''
+  request.setEncoding('utf8')
+  request.on('data', chunk => {
+    body += chunk
+  })
+  request.on('end', () => {
+    if (values.token && request.headers.authorization !== `Bearer ${values.token}`) {
+      console.log('Rejected: missing or wrong bearer token')
+      reply(response, 401, { error: 'Unauthorized' })
+      return
+    }
+    if (Math.random() < failRate) {
+      console.log(`Simulated failure (${failStatus})`)
+      reply(response, failStatus, { error: 'Simulated failure' })
+      return
+    }
+
+    let payload
+    try {
+      payload = JSON.parse(body)
+    } catch (error) {
+      reply(response, 400, { error: 'Body is not JSON' })
+      return
+    }
+    if (!payload || payload.format !== 'typing-behavior-incident' || !payload.incident) {
+      reply(response, 400, { error: 'Not a typing behavior incident' })
+      return
+    }
+
+    received++
+    console.log(`#${received} ${describe(payload.incident)}`)
+    if (values.json) {
+      console.log(JSON.stringify(payload.incident, null, 2))
+    }
+    reply(response, 200, { received: payload.incident.id })
+  })
+})
+
+server.listen(port, () => {
+  console.log(`Listening for incidents on http://localhost:${port}/incidents` +
+    (failRate > 0 ? ` (rejecting ${(failRate * 100).toFixed(0)}% with ${failStatus})` : ''))
+})
@@ -1,20 +1,93 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { TypingInput } from './components/TypingInput'
 import { PredictionDisplay } from './components/PredictionDisplay'
 import { DeleteButton } from './components/DeleteButton'
+import { ModelSelector } from './components/ModelSelector'
+import { ThresholdSettings } from './components/ThresholdSettings'
+import { TrainingSettings } from './components/TrainingSettings'
+import { DiagnosticsPanel } from './components/DiagnosticsPanel'
+import { AnalyticsDashboard } from './components/AnalyticsDashboard'
+import { IncidentLog } from './components/IncidentLog'
+import { WebhookSettings } from './components/WebhookSettings'
+import { ProfileSelector } from './components/ProfileSelector'
+import { IdentificationDisplay } from './components/IdentificationDisplay'
+import { ExportButton, ImportButton } from './components/TransferButtons'
+import { RetrainButton } from './components/RetrainButton'
+import { AdaptiveLearningToggle } from './components/AdaptiveLearningToggle'
+import { VerdictDisplay } from './components/VerdictDisplay'
+import { RecordButton, ReplayButton } from './components/RecordingButtons'
+import { PassphrasePanel } from './components/PassphrasePanel'
 import { useTypingBehavior } from './hooks/useTypingBehavior'
+import { usePassphrase } from './hooks/usePassphrase'
+import { useTypingAnalytics } from './hooks/useTypingAnalytics'
 import './App.css'
 
 function App() {
   const {
+    profiles,
+    activeProfile,
+    selectProfile,
+    createProfile,
+    deleteProfile,
+    mode,
+    setMode,
+    identification,
+    loadError,
+    exportProfile,
+    importProfile,
+    rawSampleCount,
+    isRetraining,
+    retrain,
+    adaptiveLearning,
+    setAdaptiveLearning,
+    adaptationStatus,
+    verdict,
+    verdictMethod,
+    setVerdictMethod,
     phase,
     timeRemaining,
     predictionScore,
+    zScore,
     samplesCollected,
+    detector,
+    setDetector,
+    architecture,
+    setArchitecture,
+    trainingConfig,
+    modelTrainingConfig,
+    setTrainingConfig,
+    trainingProgress,
+    excludedCounts,
+    explanation,
+    highlights,
+    lossHistory,
+    scoreHistory,
+    errorQuantiles,
+    thresholds,
+    thresholdTargets,
+    setThresholdTargets,
+    incidents,
+    exportIncidents,
+    clearIncidents,
+    webhookConfig,
+    webhookStatus,
+    setWebhookConfig,
+    retryIncidentDelivery,
     handleKeystroke,
-    reset
+    isRecording,
+    startRecording,
+    stopRecording,
+    isReplaying,
+    replay,
+    reset,
+    storageManager
   } = useTypingBehavior()
 
+  const passphrase = usePassphrase(activeProfile, { storageManager })
+
+  const [showAnalytics, setShowAnalytics] = useState(false)
+  const typingAnalytics = useTypingAnalytics(activeProfile, { storageManager, enabled: showAnalytics })
+
   return (
     <div className="app">
       <div className="app-container">
@@ -26,34 +99,195 @@ function App() {
         </header>
 
         <main className="app-main">
-          <PredictionDisplay
-            score={predictionScore}
-            phase={phase}
-            timeRemaining={timeRemaining}
-            samplesCollected={samplesCollected}
+          <ProfileSelector
+            profiles={profiles}
+            activeProfile={activeProfile}
+            mode={mode}
+            onSelect={selectProfile}
+            onCreate={createProfile}
+            onDelete={deleteProfile}
+            onModeChange={setMode}
+            disabled={phase === 'training'}
           />
 
-          <TypingInput
-            onKeystroke={handleKeystroke}
-            placeholder="Start typing here to begin automatic training..."
-          />
+          {loadError && (
+            <div className="app-notice" role="alert">
+              <strong>Saved model not loaded:</strong> {loadError}
+            </div>
+          )}
 
-          <div className="controls">
-            <DeleteButton
-              onDelete={reset}
-              disabled={phase === 'idle' && samplesCollected === 0}
+          {mode === 'passphrase' ? (
+            <PassphrasePanel
+              hasPassphrase={passphrase.hasPassphrase}
+              isEnrolled={passphrase.isEnrolled}
+              enrolledAttempts={passphrase.enrolledAttempts}
+              requiredAttempts={passphrase.requiredAttempts}
+              lastResult={passphrase.lastResult}
+              error={passphrase.error}
+              onChoose={passphrase.choosePassphrase}
+              onKeystroke={passphrase.handleKeystroke}
+              onSubmit={passphrase.submitAttempt}
+              onClear={passphrase.clearAttempt}
+              onReset={passphrase.resetPassphrase}
             />
-          </div>
+          ) : (
+            <>
+            {mode === 'identify' ? (
+              <IdentificationDisplay identification={identification} />
+            ) : (
+              <PredictionDisplay
+                score={predictionScore}
+                zScore={zScore}
+                thresholds={thresholds}
+                phase={phase}
+                timeRemaining={timeRemaining}
+                samplesCollected={samplesCollected}
+                trainingConfig={trainingConfig}
+                trainingProgress={trainingProgress}
+                excludedCounts={excludedCounts}
+                explanation={explanation}
+              />
+            )}
+
+            {mode === 'verify' && phase === 'predicting' && (
+              <VerdictDisplay
+                verdict={verdict}
+                method={verdictMethod}
+                onMethodChange={setVerdictMethod}
+              />
+            )}
+
+            {mode === 'verify' && (
+              <DiagnosticsPanel
+                lossHistory={lossHistory}
+                trainingProgress={trainingProgress}
+                samplesCollected={samplesCollected}
+                errorQuantiles={errorQuantiles}
+                scoreHistory={scoreHistory}
+                thresholds={thresholds}
+              />
+            )}
+
+            {mode === 'verify' && (
+              <AnalyticsDashboard
+                analytics={typingAnalytics.analytics}
+                isLoading={typingAnalytics.isLoading}
+                open={showAnalytics}
+                onToggle={setShowAnalytics}
+                onRefresh={typingAnalytics.refresh}
+              />
+            )}
+
+            {mode === 'verify' && (
+              <IncidentLog
+                incidents={incidents}
+                profileName={activeProfile}
+                onExport={exportIncidents}
+                onClear={clearIncidents}
+              />
+            )}
+
+            <ModelSelector
+              detector={detector}
+              architecture={architecture}
+              onDetectorChange={setDetector}
+              onArchitectureChange={setArchitecture}
+              disabled={phase === 'training' || isRetraining}
+            />
+
+            <ThresholdSettings
+              targets={thresholdTargets}
+              onChange={setThresholdTargets}
+            />
+
+            <WebhookSettings
+              config={webhookConfig}
+              status={webhookStatus}
+              onChange={setWebhookConfig}
+              onRetry={retryIncidentDelivery}
+            />
+
+            <TrainingSettings
+              config={trainingConfig}
+              modelConfig={modelTrainingConfig}
+              onChange={setTrainingConfig}
+              disabled={phase === 'training' || isRetraining}
+            />
+
+            <AdaptiveLearningToggle
+              enabled={adaptiveLearning}
+              status={adaptationStatus}
+              onChange={setAdaptiveLearning}
+              disabled={mode === 'identify'}
+            />
+
+            <TypingInput
+              onKeystroke={handleKeystroke}
+              placeholder="Start typing here to begin automatic training..."
+              highlights={mode === 'verify' ? highlights : []}
+            />
+
+            <div className="controls">
+              <DeleteButton
+                onDelete={reset}
+                disabled={mode === 'identify' || (phase === 'idle' && samplesCollected === 0 && !loadError)}
+              />
+              <RetrainButton
+                onRetrain={retrain}
+                sampleCount={rawSampleCount}
+                isRetraining={isRetraining}
+                disabled={mode === 'identify' || phase !== 'predicting'}
+              />
+              <ExportButton
+                profileName={activeProfile}
+                onExport={exportProfile}
+                disabled={mode === 'identify' || phase !== 'predicting'}
+              />
+              <ImportButton
+                onImport={importProfile}
+                disabled={mode === 'identify' || phase === 'training'}
+              />
+              <RecordButton
+                isRecording={isRecording}
+                onStart={startRecording}
+                onStop={stopRecording}
+                disabled={isReplaying}
+              />
+              <ReplayButton
+                onReplay={replay}
+                isReplaying={isReplaying}
+                disabled={isRecording}
+              />
+            </div>
+            </>
+          )}
         </main>
 
         <footer className="app-footer">
           <div className="info-section">
             <h3>How it works:</h3>
             <ul>
-              <li>Training starts automatically when you begin typing</li>
-              <li>Model trains for 90 seconds on your typing patterns</li>
+              <li>Each profile has its own enrollment, model and stats</li>
+              <li>Training starts automatically when you begin typing in a new profile</li>
+              <li>Identify mode scores your typing against every enrolled profile</li>
+              <li>Passphrase mode enrolls a fixed phrase typed several times and accepts or rejects each later attempt as a whole</li>
+              <li>Enrollment ends after a set time (90 seconds by default), a number of samples, or once validation loss stops improving</li>
+              <li>Epochs, batch size, optimizer and learning rate are configurable and saved with the model</li>
+              <li>Typing analytics show your speed over time, slowest and fastest key pairs, hold times per key and correction rates, comparing the enrollment with your last sessions</li>
+              <li>Diagnostics show the loss curve of every training epoch, the reconstruction error distribution and a timeline of recent scores</li>
               <li>After training, anomaly scores are predicted in real-time</li>
-              <li>Features: Previous key, Next key, Time intervals</li>
+              <li>Scores are percentiles of your own held-out reconstruction errors, with cutoffs set by your error-rate targets</li>
+              <li>Choose between scoring single keystroke pairs or windows of recent keystrokes</li>
+              <li>Detectors: an autoencoder, scaled Manhattan, Mahalanobis, k-nearest-neighbor or Isolation Forest, or an ensemble averaging the classic detectors' normalized scores</li>
+              <li>A session verdict (genuine, uncertain or impostor) aggregates recent scores so a single odd keystroke does not decide it</li>
+              <li>Adaptive learning (opt-in) fine-tunes the model on keystrokes it confidently recognizes as yours</li>
+              <li>Sessions can be recorded to a file and replayed later as if they were typed</li>
+              <li>Raw keystrokes are saved with the profile, so Retrain can refit the model without re-typing</li>
+              <li>Thinking pauses, corrections, arrow keys, shortcuts and held keys are left out of training and scoring</li>
+              <li>Suspicious and anomalous scores are explained: the responsible characters are highlighted and the display says what looked wrong, e.g. a key pair typed 3x slower than usual</li>
+              <li>Verdict changes and anomalous scores are logged as incidents with their score statistics and explanation, can be exported, and can be POSTed to a webhook (e.g. a SIEM collector) with retries and an offline queue</li>
+              <li>Timings are normalized on a log scale by their median and spread over the whole enrollment, so a few slow keystrokes do not skew the model</li>
+              <li>Features: Physical position of the previous and next key (so any keyboard layout works), hold times and flight times between keys</li>
             </ul>
           </div>
         </footer>
@@ -0,0 +1,27 @@
+import React from 'react'
+import './AdaptiveLearningToggle.css'
+
+/**
+ * AdaptiveLearningToggle - Opt-in fine-tuning of the model on confidently normal typing
+ */
+export function AdaptiveLearningToggle({ enabled, status, onChange, disabled = false }) {
+  return (
+    <div className="adaptive-learning">
+      <label className="adaptive-learning-toggle" title="Keep adapting the model to your typing while it scores you">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(event) => onChange && onChange(event.target.checked)}
+          disabled={disabled}
+        />
+        <span>Adaptive learning</span>
+      </label>
+      {enabled && status && (
+        <span className="adaptive-learning-status">
+          {status.bufferSize} buffered · {status.updateCount} update{status.updateCount === 1 ? '' : 's'}
+          {status.lastUpdateTime && ` · last at ${new Date(status.lastUpdateTime).toLocaleTimeString()}`}
+        </span>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,227 @@
+import React from 'react'
+import { getMainBlockRows, getKeyLabel } from '../services/KeyboardLayout'
+import './AnalyticsDashboard.css'
+
+const BLOCK_COLUMNS = 15 // Key widths across the main block
+const SPACE_WIDTH = 5 // Key widths of the space bar
+const OPTIONAL_KEYS = ['IntlBackslash', 'IntlRo', 'Lang1', 'Lang2', 'Convert', 'NonConvert', 'KanaMode']
+const CHART_WIDTH = 300
+const CHART_HEIGHT = 100
+
+const SOURCE_COLORS = {
+  enrollment: '#667eea',
+  session: '#764ba2'
+}
+
+// [label, summary field, format, whether higher is better]
+const COMPARISON_ROWS = [
+  ['Words per minute', 'wpm', value => value.toFixed(1), true],
+  ['Mean dwell time', 'meanHoldTime', value => `${value.toFixed(0)} ms`, null],
+  ['Mean flight time', 'meanFlightTime', value => `${value.toFixed(0)} ms`, null],
+  ['Backspace rate', 'backspaceRate', value => `${(value * 100).toFixed(1)}%`, false],
+  ['Error rate', 'errorRate', value => `${(value * 100).toFixed(1)}%`, false],
+  ['Characters typed', 'characterCount', value => String(value), null]
+]
+
+function formatChange(before, after, higherIsBetter) {
+  if (before === null || after === null || before === 0) {
+    return { text: '–', tone: null }
+  }
+  const change = (after - before) / before
+  const text = `${change >= 0 ? '+' : ''}${(change * 100).toFixed(0)}%`
+  if (higherIsBetter === null || Math.abs(change) < 0.05) {
+    return { text, tone: null }
+  }
+  return { text, tone: (change > 0) === higherIsBetter ? 'better' : 'worse' }
+}
+
+function ComparisonTable({ enrollment, recent }) {
+  const format = (summary, field, formatValue) =>
+    summary && summary[field] !== null ? formatValue(summary[field]) : '–'
+
+  return (
+    <table className="analytics-table">
+      <thead>
+        <tr>
+          <th />
+          <th>Enrollment</th>
+          <th>Recent sessions</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        {COMPARISON_ROWS.map(([label, field, formatValue, higherIsBetter]) => {
+          const change = enrollment && recent
+            ? formatChange(enrollment[field], recent[field], higherIsBetter)
+            : { text: '–', tone: null }
+          return (
+            <tr key={field}>
+              <th>{label}</th>
+              <td>{format(enrollment, field, formatValue)}</td>
+              <td>{format(recent, field, formatValue)}</td>
+              <td className={change.tone ? `analytics-change-${change.tone}` : undefined}>{change.text}</td>
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  )
+}
+
+function WpmChart({ series }) {
+  if (series.length === 0) {
+    return <div className="analytics-empty">Type at least 50 characters to see your speed</div>
+  }
+
+  const maxWpm = Math.max(...series.map(point => point.wpm))
+  const barWidth = CHART_WIDTH / series.length
+
+  return (
+    <svg className="analytics-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      {series.map((point, i) => (
+        <rect
+          key={i}
+          x={i * barWidth}
+          y={CHART_HEIGHT - (point.wpm / maxWpm) * CHART_HEIGHT}
+          width={barWidth * 0.8}
+          height={(point.wpm / maxWpm) * CHART_HEIGHT}
+          fill={SOURCE_COLORS[point.source]}
+        >
+          <title>
+            {point.wpm.toFixed(0)} WPM
+            {point.startedAt ? ` · session of ${new Date(point.startedAt).toLocaleString()}` : ' · enrollment'}
+          </title>
+        </rect>
+      ))}
+    </svg>
+  )
+}
+
+function DigraphList({ title, digraphs }) {
+  return (
+    <div className="analytics-digraphs">
+      <h4>{title}</h4>
+      {digraphs.length === 0 ? (
+        <div className="analytics-note">Not enough repeated digraphs yet</div>
+      ) : (
+        <ol>
+          {digraphs.map(digraph => (
+            <li key={digraph.codes.join(' ')}>
+              <span className="analytics-digraph">{digraph.label}</span>
+              {' '}{digraph.median.toFixed(0)} ms <span className="analytics-note">({digraph.count}×)</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+function DwellHeatmap({ dwell }) {
+  const means = Object.values(dwell).map(entry => entry.mean)
+  if (means.length === 0) {
+    return <div className="analytics-empty">No complete keystrokes yet</div>
+  }
+  const min = Math.min(...means)
+  const max = Math.max(...means)
+
+  // Short holds blue, long holds red
+  const colorOf = (mean) => {
+    const t = max > min ? (mean - min) / (max - min) : 0.5
+    return `hsl(${(1 - t) * 220}, 70%, 60%)`
+  }
+
+  const rows = getMainBlockRows()
+    .slice(1) // Function row
+    .map(keys => keys.filter(key => !OPTIONAL_KEYS.includes(key.code) || dwell[key.code]))
+
+  return (
+    <div className="analytics-keyboard">
+      {rows.map((keys, row) => (
+        <div key={row} className="analytics-keyboard-row">
+          {keys.map(key => {
+            const entry = dwell[key.code]
+            const width = key.code === 'Space' ? SPACE_WIDTH : 0.9
+            const left = key.code === 'Space' ? key.column - SPACE_WIDTH / 2 : key.column
+            return (
+              <div
+                key={key.code}
+                className="analytics-key"
+                style={{
+                  left: `${(left / BLOCK_COLUMNS) * 100}%`,
+                  width: `${(width / BLOCK_COLUMNS) * 100}%`,
+                  background: entry ? colorOf(entry.mean) : undefined
+                }}
+                title={entry
+                  ? `${key.code}: ${entry.mean.toFixed(0)} ms mean hold (${entry.count} presses)`
+                  : `${key.code}: not typed`}
+              >
+                {getKeyLabel(key.code)}
+              </div>
+            )
+          })}
+        </div>
+      ))}
+      <div className="analytics-note">
+        Dwell time: {min.toFixed(0)} ms (blue) to {max.toFixed(0)} ms (red)
+      </div>
+    </div>
+  )
+}
+
+/**
+ * AnalyticsDashboard - The active profile's own typing rhythm from its stored samples
+ * Speed over time, slowest and fastest digraphs, a dwell-time heatmap and correction
+ * rates, with the enrollment compared to recent sessions
+ */
+export function AnalyticsDashboard({ analytics, isLoading, open, onToggle, onRefresh }) {
+  return (
+    <details
+      className="analytics-dashboard"
+      open={open}
+      onToggle={(event) => onToggle && onToggle(event.currentTarget.open)}
+    >
+      <summary>Typing analytics</summary>
+
+      {open && (
+        <div className="analytics-content">
+          <div className="analytics-toolbar">
+            <span className="analytics-note">
+              From the enrollment and the last recent sessions saved with this profile
+            </span>
+            <button className="analytics-refresh" onClick={onRefresh} disabled={isLoading}>
+              {isLoading ? 'Loading...' : 'Refresh'}
+            </button>
+          </div>
+
+          {!analytics ? (
+            !isLoading && <div className="analytics-empty">No stored typing for this profile yet</div>
+          ) : (
+            <>
+              <ComparisonTable enrollment={analytics.enrollment} recent={analytics.recent} />
+
+              <section>
+                <h4>Words per minute over time</h4>
+                <WpmChart series={analytics.wpmSeries} />
+                <div className="analytics-legend">
+                  <span><span className="analytics-swatch" style={{ background: SOURCE_COLORS.enrollment }} /> enrollment</span>
+                  <span><span className="analytics-swatch" style={{ background: SOURCE_COLORS.session }} /> recent sessions</span>
+                </div>
+              </section>
+
+              <div className="analytics-columns">
+                <DigraphList title="Slowest digraphs" digraphs={analytics.slowestDigraphs} />
+                <DigraphList title="Fastest digraphs" digraphs={analytics.fastestDigraphs} />
+              </div>
+
+              <section>
+                <h4>Dwell time per key</h4>
+                <DwellHeatmap dwell={analytics.overall.dwell} />
+              </section>
+            </>
+          )}
+        </div>
+      )}
+    </details>
+  )
+}
@@ -0,0 +1,193 @@
+import React from 'react'
+import { computeHistogram } from '../services/Diagnostics'
+import './DiagnosticsPanel.css'
+
+const CHART_WIDTH = 300
+const CHART_HEIGHT = 100
+const HISTOGRAM_BINS = 20
+
+const COLORS = {
+  loss: '#667eea',
+  valLoss: '#ff9800',
+  heldOut: '#667eea',
+  recent: '#764ba2',
+  suspicious: '#ff9800',
+  anomalous: '#f44336'
+}
+
+/**
+ * Polyline points for a series scaled into the chart, skipping null values
+ * @param {Array<number|null>} values - Series values
+ * @param {number} maxValue - Value drawn at the top of the chart
+ * @param {number} length - Number of x positions (at least values.length)
+ * @returns {string}
+ */
+function toPoints(values, maxValue, length = values.length) {
+  const step = length > 1 ? CHART_WIDTH / (length - 1) : 0
+  return values
+    .map((value, i) => value === null
+      ? null
+      : `${(i * step).toFixed(1)},${(CHART_HEIGHT - (value / maxValue) * CHART_HEIGHT).toFixed(1)}`)
+    .filter(Boolean)
+    .join(' ')
+}
+
+function LossCurve({ lossHistory }) {
+  if (lossHistory.length < 2) {
+    return <div className="diagnostics-empty">The loss curve appears after the first training pass</div>
+  }
+
+  const losses = lossHistory.map(entry => entry.loss)
+  const valLosses = lossHistory.map(entry => entry.valLoss)
+  const maxValue = Math.max(...losses, ...valLosses.filter(loss => loss !== null)) || 1
+
+  return (
+    <svg className="diagnostics-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      <polyline points={toPoints(losses, maxValue)} stroke={COLORS.loss} />
+      <polyline points={toPoints(valLosses, maxValue)} stroke={COLORS.valLoss} />
+    </svg>
+  )
+}
+
+function ErrorHistogram({ errorQuantiles, recentErrors }) {
+  if (!errorQuantiles && recentErrors.length === 0) {
+    return <div className="diagnostics-empty">No reconstruction errors yet</div>
+  }
+
+  // Shared bins, with each distribution drawn as shares so they can be compared
+  const all = [...(errorQuantiles || []), ...recentErrors]
+  const range = { binCount: HISTOGRAM_BINS, min: Math.min(...all), max: Math.max(...all) }
+  const series = [
+    { name: 'heldOut', values: errorQuantiles || [] },
+    { name: 'recent', values: recentErrors }
+  ].filter(({ values }) => values.length > 0)
+    .map(({ name, values }) => ({
+      name,
+      shares: computeHistogram(values, range).counts.map(count => count / values.length)
+    }))
+
+  const maxShare = Math.max(...series.flatMap(({ shares }) => shares)) || 1
+  const binWidth = CHART_WIDTH / HISTOGRAM_BINS
+  const barWidth = binWidth / series.length
+
+  return (
+    <>
+      <svg className="diagnostics-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+        {series.map(({ name, shares }, s) => shares.map((share, bin) => (
+          <rect
+            key={`${name}-${bin}`}
+            x={bin * binWidth + s * barWidth}
+            y={CHART_HEIGHT - (share / maxShare) * CHART_HEIGHT}
+            width={barWidth * 0.9}
+            height={(share / maxShare) * CHART_HEIGHT}
+            fill={COLORS[name]}
+          />
+        )))}
+      </svg>
+      <div className="diagnostics-axis">
+        <span>{range.min.toFixed(4)}</span>
+        <span>{range.max.toFixed(4)}</span>
+      </div>
+    </>
+  )
+}
+
+function ScoreTimeline({ scoreHistory, thresholds }) {
+  if (scoreHistory.length < 2) {
+    return <div className="diagnostics-empty">Scores appear here while predicting</div>
+  }
+
+  const cutoffs = thresholds ? ['suspicious', 'anomalous'] : []
+
+  return (
+    <svg className="diagnostics-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      {cutoffs.map(name => (
+        <line
+          key={name}
+          x1="0"
+          x2={CHART_WIDTH}
+          y1={CHART_HEIGHT - thresholds[name] * CHART_HEIGHT}
+          y2={CHART_HEIGHT - thresholds[name] * CHART_HEIGHT}
+          stroke={COLORS[name]}
+          strokeDasharray="4 3"
+        />
+      ))}
+      <polyline points={toPoints(scoreHistory.map(entry => entry.score), 1)} stroke={COLORS.loss} />
+    </svg>
+  )
+}
+
+function Legend({ items }) {
+  return (
+    <div className="diagnostics-legend">
+      {items.map(([color, label]) => (
+        <span key={label}>
+          <span className="diagnostics-swatch" style={{ background: color }} /> {label}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * DiagnosticsPanel - Training and scoring diagnostics: per-epoch loss curve, sample
+ * count, reconstruction error histogram and score timeline
+ * Shows whether enrollment converged before the model is relied on.
+ */
+export function DiagnosticsPanel({
+  lossHistory,
+  trainingProgress,
+  samplesCollected,
+  errorQuantiles,
+  scoreHistory,
+  thresholds
+}) {
+  const recentErrors = scoreHistory.map(entry => entry.error).filter(error => error !== null)
+  const lastEpoch = lossHistory[lossHistory.length - 1]
+
+  return (
+    <details className="diagnostics-panel">
+      <summary>Diagnostics</summary>
+
+      <div className="diagnostics-summary">
+        <span>Samples: <strong>{samplesCollected}</strong></span>
+        <span>Epochs: <strong>{lossHistory.length}</strong></span>
+        {lastEpoch && (
+          <span>
+            Loss <strong>{lastEpoch.loss.toFixed(4)}</strong>
+            {lastEpoch.valLoss !== null && <> · validation <strong>{lastEpoch.valLoss.toFixed(4)}</strong></>}
+          </span>
+        )}
+        {trainingProgress && !trainingProgress.error && (
+          <span>{trainingProgress.converged ? 'Validation loss has plateaued' : 'Validation loss still improving'}</span>
+        )}
+      </div>
+
+      {trainingProgress && trainingProgress.error && (
+        <div className="diagnostics-error" role="alert">
+          Training pass {trainingProgress.pass} failed: {trainingProgress.error}
+        </div>
+      )}
+
+      <div className="diagnostics-charts">
+        <section>
+          <h4>Loss per epoch</h4>
+          <LossCurve lossHistory={lossHistory} />
+          <Legend items={[[COLORS.loss, 'training'], [COLORS.valLoss, 'validation']]} />
+        </section>
+
+        <section>
+          <h4>Reconstruction errors</h4>
+          <ErrorHistogram errorQuantiles={errorQuantiles} recentErrors={recentErrors} />
+          <Legend items={[[COLORS.heldOut, 'held-out enrollment'], [COLORS.recent, 'recent typing']]} />
+        </section>
+
+        <section>
+          <h4>Score timeline</h4>
+          <ScoreTimeline scoreHistory={scoreHistory} thresholds={thresholds} />
+          <Legend items={[[COLORS.suspicious, 'suspicious cutoff'], [COLORS.anomalous, 'anomalous cutoff']]} />
+        </section>
+      </div>
+    </details>
+  )
+}
@@ -0,0 +1,39 @@
+import React from 'react'
+import './IdentificationDisplay.css'
+
+/**
+ * IdentificationDisplay - Shows the enrolled profile closest to the live typing
+ */
+export function IdentificationDisplay({ identification }) {
+  if (!identification) {
+    return (
+      <div className="identification-display">
+        <div className="identification-idle">
+          Type to identify which enrolled profile is at the keyboard...
+        </div>
+      </div>
+    )
+  }
+
+  const ranked = Object.entries(identification.scores).sort((a, b) => a[1] - b[1])
+
+  return (
+    <div className="identification-display">
+      <div className="identification-match">
+        <span className="identification-label">Closest match:</span>
+        <span className="identification-profile">{identification.profile}</span>
+      </div>
+      <div className="identification-confidence">
+        Confidence: <strong>{(identification.confidence * 100).toFixed(1)}%</strong>
+      </div>
+      <ul className="identification-scores">
+        {ranked.map(([name, score]) => (
+          <li key={name}>
+            <span>{name}</span>
+            <span>{(score * 100).toFixed(1)}% mean anomaly</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,132 @@
+import React, { useState } from 'react'
+import './IncidentLog.css'
+
+const TYPE_LABELS = {
+  'verdict-change': 'Verdict change',
+  'threshold-crossing': 'Anomalous score'
+}
+
+const DELIVERY_LABELS = {
+  pending: 'queued',
+  delivered: 'sent',
+  failed: 'not sent'
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString()
+}
+
+function IncidentSummary({ incident }) {
+  if (incident.type === 'verdict-change') {
+    const { verdict, previous, method, statistic } = incident.verdict
+    return (
+      <span>
+        {previous || 'none'} → <strong>{verdict}</strong>
+        {' '}({method === 'cusum' ? 'CUSUM' : 'aggregate score'} {statistic.toFixed(2)})
+      </span>
+    )
+  }
+  return (
+    <span>
+      Score <strong>{incident.scores.last.toFixed(2)}</strong>
+      {incident.thresholds && <> reached the anomalous cutoff {incident.thresholds.anomalous.toFixed(2)}</>}
+    </span>
+  )
+}
+
+function IncidentEntry({ incident }) {
+  const { scores, window, explanation, delivery } = incident
+
+  return (
+    <li className={`incident-entry incident-${incident.severity}`}>
+      <div className="incident-header">
+        <span className="incident-badge">{TYPE_LABELS[incident.type]}</span>
+        <span className="incident-time">{formatTime(incident.createdAt)}</span>
+        {delivery && (
+          <span
+            className={`incident-delivery incident-delivery-${delivery.status}`}
+            title={delivery.lastError ? `Last attempt: ${delivery.lastError}` : undefined}
+          >
+            {DELIVERY_LABELS[delivery.status]}
+            {delivery.status !== 'delivered' && delivery.attempts > 0 && ` (${delivery.attempts} attempts)`}
+          </span>
+        )}
+      </div>
+      <div className="incident-summary">
+        <IncidentSummary incident={incident} />
+      </div>
+      {scores && (
+        <div className="incident-scores">
+          {window.scoreCount} scores in the last{' '}
+          {Math.round((Date.parse(window.end) - Date.parse(window.start)) / 1000)} s:
+          {' '}mean {scores.mean.toFixed(2)}, max {scores.max.toFixed(2)}
+          {scores.anomalousCount !== null && <> · {scores.anomalousCount} anomalous, {scores.suspiciousCount} suspicious</>}
+        </div>
+      )}
+      {explanation && explanation.reasons.length > 0 && (
+        <ul className="incident-reasons">
+          {explanation.reasons.map(reason => <li key={reason}>{reason}</li>)}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+/**
+ * IncidentLog - The active profile's verdict changes and anomalous scores, newest first,
+ * with their webhook delivery state
+ */
+export function IncidentLog({ incidents, profileName, onExport, onClear }) {
+  const [error, setError] = useState(null)
+
+  const handleExport = async () => {
+    setError(null)
+    try {
+      const contents = await onExport()
+      const blob = new Blob([contents], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${profileName}.incidents.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (exportError) {
+      console.error('Error exporting incidents:', exportError)
+      setError(exportError.message)
+    }
+  }
+
+  const handleClear = () => {
+    if (window.confirm(`Delete all incidents of profile "${profileName}"?`)) {
+      onClear()
+    }
+  }
+
+  return (
+    <details className="incident-log">
+      <summary>
+        Incidents
+        {incidents.length > 0 && <span className="incident-count">{incidents.length}</span>}
+      </summary>
+
+      <div className="incident-toolbar">
+        <span className="incident-note">Verdict changes and anomalous scores, saved with this profile</span>
+        <button className="incident-button" onClick={handleExport} disabled={incidents.length === 0}>
+          Export
+        </button>
+        <button className="incident-button" onClick={handleClear} disabled={incidents.length === 0}>
+          Clear
+        </button>
+      </div>
+      {error && <div className="incident-error">{error}</div>}
+
+      {incidents.length === 0 ? (
+        <div className="incident-empty">No incidents for this profile yet</div>
+      ) : (
+        <ol className="incident-list">
+          {incidents.map(incident => <IncidentEntry key={incident.id} incident={incident} />)}
+        </ol>
+      )}
+    </details>
+  )
+}
@@ -0,0 +1,83 @@
+import React from 'react'
+import './ModelSelector.css'
+
+const DETECTOR_LABELS = {
+  autoencoder: 'Autoencoder (neural network)',
+  'scaled-manhattan': 'Scaled Manhattan distance',
+  mahalanobis: 'Mahalanobis distance',
+  knn: 'k-nearest neighbors',
+  'isolation-forest': 'Isolation Forest',
+  ensemble: 'Ensemble (all classic detectors)'
+}
+
+const ARCHITECTURE_LABELS = {
+  dense: 'Single digraph (dense autoencoder)',
+  lstm: 'Keystroke window (LSTM autoencoder)',
+  conv1d: 'Keystroke window (1D-conv autoencoder)'
+}
+
+/**
+ * ModelSelector - Lets the user choose the detector and, for the autoencoder, its
+ * architecture before training, or for the next retrain of a trained model
+ */
+export function ModelSelector({
+  detector,
+  architecture,
+  onDetectorChange,
+  onArchitectureChange,
+  disabled = false
+}) {
+  const handleDetectorChange = (event) => {
+    if (onDetectorChange) {
+      onDetectorChange(event.target.value)
+    }
+  }
+
+  const handleArchitectureChange = (event) => {
+    if (onArchitectureChange) {
+      onArchitectureChange(event.target.value)
+    }
+  }
+
+  return (
+    <div className="model-selector">
+      <div className="model-selector-row">
+        <label className="model-selector-label" htmlFor="model-detector">
+          Detector:
+        </label>
+        <select
+          id="model-detector"
+          className="model-selector-select"
+          value={detector}
+          onChange={handleDetectorChange}
+          disabled={disabled}
+          title={disabled ? 'The detector cannot change while training' : 'Choose the anomaly detector (applied to a trained model by Retrain)'}
+        >
+          {Object.entries(DETECTOR_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {detector === 'autoencoder' && (
+        <div className="model-selector-row">
+          <label className="model-selector-label" htmlFor="model-architecture">
+            Model:
+          </label>
+          <select
+            id="model-architecture"
+            className="model-selector-select"
+            value={architecture}
+            onChange={handleArchitectureChange}
+            disabled={disabled}
+            title={disabled ? 'The architecture cannot change while training' : 'Choose the model architecture (applied to a trained model by Retrain)'}
+          >
+            {Object.entries(ARCHITECTURE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  )
+}
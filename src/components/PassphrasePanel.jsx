@@ -0,0 +1,143 @@
+import React, { useState } from 'react'
+import './PassphrasePanel.css'
+
+/**
+ * Message for the result of the last passphrase attempt
+ * @param {Object} result - Result of usePassphrase's submitAttempt
+ * @returns {Object} - { text, tone } where tone is 'accepted', 'rejected' or 'info'
+ */
+function describeResult(result) {
+  if (result.status === 'typo') {
+    return { text: 'Rejected: that is not the passphrase. Type it again.', tone: 'rejected' }
+  }
+  if (result.status === 'unaligned') {
+    return {
+      text: 'Rejected: the keystrokes could not be matched to the passphrase (caret moved, text pasted or a key held down).',
+      tone: 'rejected'
+    }
+  }
+
+  const realigned = result.corrected ? ' Corrected typos were realigned.' : ''
+  if (result.phase === 'enroll') {
+    return { text: `Attempt recorded.${realigned}`, tone: 'info' }
+  }
+  const measure = `distance ${result.distance.toFixed(2)}, threshold ${result.threshold.toFixed(2)}`
+  return result.accepted
+    ? { text: `Accepted (${measure}).${realigned}`, tone: 'accepted' }
+    : { text: `Rejected: the typing rhythm does not match (${measure}).${realigned}`, tone: 'rejected' }
+}
+
+/**
+ * PassphrasePanel - Fixed-text mode: choose a passphrase, enroll it by typing it
+ * several times, then verify each attempt as a whole
+ */
+export function PassphrasePanel({
+  hasPassphrase,
+  isEnrolled,
+  enrolledAttempts,
+  requiredAttempts,
+  lastResult,
+  error,
+  onChoose,
+  onKeystroke,
+  onSubmit,
+  onClear,
+  onReset,
+  disabled = false
+}) {
+  const [phrase, setPhrase] = useState('')
+  const [attempt, setAttempt] = useState('')
+
+  const handleChoose = async (event) => {
+    event.preventDefault()
+    if (onChoose && await onChoose(phrase)) {
+      setPhrase('')
+    }
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (onSubmit) {
+      onSubmit(attempt)
+    }
+    setAttempt('')
+  }
+
+  const handleChange = (event) => {
+    setAttempt(event.target.value)
+    // Clearing the whole field starts a fresh attempt
+    if (event.target.value === '' && onClear) {
+      onClear()
+    }
+  }
+
+  const handleReset = () => {
+    if (onReset && window.confirm('Forget this profile\'s passphrase and its enrollment?')) {
+      onReset()
+    }
+  }
+
+  const result = lastResult ? describeResult(lastResult) : null
+
+  return (
+    <div className="passphrase-panel">
+      {!hasPassphrase ? (
+        <form className="passphrase-row" onSubmit={handleChoose}>
+          <input
+            className="passphrase-input"
+            type="password"
+            autoComplete="new-password"
+            placeholder="Choose a passphrase"
+            value={phrase}
+            onChange={(event) => setPhrase(event.target.value)}
+            disabled={disabled}
+          />
+          <button type="submit" className="passphrase-button" disabled={disabled || !phrase}>
+            Start Enrollment
+          </button>
+        </form>
+      ) : (
+        <>
+          <div className="passphrase-status">
+            {isEnrolled
+              ? 'Type your passphrase and press Enter to verify it'
+              : `Enrollment: type your passphrase and press Enter (attempt ${enrolledAttempts + 1} of ${requiredAttempts})`}
+          </div>
+          <form className="passphrase-row" onSubmit={handleSubmit}>
+            <input
+              className="passphrase-input"
+              type="password"
+              autoComplete="off"
+              placeholder="Passphrase"
+              value={attempt}
+              onChange={handleChange}
+              onKeyDown={onKeystroke}
+              onKeyUp={onKeystroke}
+              disabled={disabled}
+            />
+            <button
+              type="button"
+              className="passphrase-button"
+              onClick={handleReset}
+              disabled={disabled}
+              title="Forget the passphrase and enroll a new one"
+            >
+              Reset Passphrase
+            </button>
+          </form>
+        </>
+      )}
+
+      {result && (
+        <div className={`passphrase-result ${result.tone}`} role="status">
+          {result.text}
+        </div>
+      )}
+      {error && (
+        <div className="passphrase-result rejected" role="alert">
+          {error}
+        </div>
+      )}
+    </div>
+  )
+}
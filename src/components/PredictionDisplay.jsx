@@ -1,25 +1,93 @@
 import React from 'react'
 import './PredictionDisplay.css'
 
+// Cutoffs for models trained before score calibration existed
+const UNCALIBRATED_THRESHOLDS = { suspicious: 0.3, anomalous: 0.6 }
+
+// Events left out by preprocessing, by reason; modifier keys are not listed since
+// the keys typed around them still count
+const EXCLUSION_LABELS = {
+  pause: 'pauses',
+  editing: 'corrections',
+  navigation: 'navigation keys',
+  shortcut: 'shortcuts',
+  repeat: 'held keys',
+  function: 'function keys'
+}
+
+// Short names of FEATURE_NAMES for explanations
+const FEATURE_LABELS = {
+  prevKeyRow: 'first key row',
+  prevKeyColumn: 'first key column',
+  prevKeyHand: 'first key hand',
+  prevKeyFinger: 'first key finger',
+  nextKeyRow: 'second key row',
+  nextKeyColumn: 'second key column',
+  nextKeyHand: 'second key hand',
+  nextKeyFinger: 'second key finger',
+  prevHoldTime: 'first hold time',
+  nextHoldTime: 'second hold time',
+  downDownTime: 'down-down time',
+  upDownTime: 'up-down time',
+  upUpTime: 'up-up time'
+}
+
 /**
  * PredictionDisplay - Displays the anomaly prediction score
+ * Cutoffs come from the model's calibrated thresholds when available. During
+ * enrollment it shows progress toward the training config's end condition. Pauses,
+ * corrections and other events left out of training and scoring are counted below.
+ * A suspicious or anomalous score comes with its explanation: what looked wrong and
+ * the features that made up most of the error.
  */
-export function PredictionDisplay({ score, phase, timeRemaining, samplesCollected }) {
+export function PredictionDisplay({
+  score,
+  zScore = null,
+  thresholds = null,
+  phase,
+  timeRemaining,
+  samplesCollected,
+  trainingConfig = null,
+  trainingProgress = null,
+  excludedCounts = {},
+  explanation = null
+}) {
   if (score === null && phase !== 'training') {
     return null
   }
 
+  const { suspicious, anomalous } = thresholds || UNCALIBRATED_THRESHOLDS
+
   const getScoreColor = () => {
     if (score === null) return '#666'
-    if (score < 0.3) return '#4caf50' // Green - normal
-    if (score < 0.6) return '#ff9800' // Orange - suspicious
+    if (score < suspicious) return '#4caf50' // Green - normal
+    if (score < anomalous) return '#ff9800' // Orange - suspicious
     return '#f44336' // Red - anomalous
   }
 
+  const getTrainingGoal = () => {
+    const endCondition = trainingConfig ? trainingConfig.endCondition : 'duration'
+    if (endCondition === 'samples') {
+      return `${Math.max(0, trainingConfig.sampleCount - samplesCollected)} samples to go`
+    }
+    if (endCondition === 'convergence') {
+      const goal = trainingProgress && trainingProgress.valLoss !== null
+        ? `Validation loss ${trainingProgress.valLoss.toFixed(4)}`
+        : 'Until loss plateaus'
+      return `${goal} · at most ${timeRemaining}s`
+    }
+    return `${timeRemaining}s remaining`
+  }
+
+  const excludedSummary = Object.entries(EXCLUSION_LABELS)
+    .filter(([reason]) => excludedCounts[reason] > 0)
+    .map(([reason, label]) => `${excludedCounts[reason]} ${label}`)
+    .join(' · ')
+
   const getScoreLabel = () => {
     if (score === null) return 'N/A'
-    if (score < 0.3) return 'Normal'
-    if (score < 0.6) return 'Suspicious'
+    if (score < suspicious) return 'Normal'
+    if (score < anomalous) return 'Suspicious'
     return 'Anomalous'
   }
 
@@ -29,7 +97,7 @@ export function PredictionDisplay({ score, phase, timeRemaining, samplesCollecte
         <div className="training-info">
           <div className="training-status">
             <span className="status-label">Training Phase</span>
-            <span className="timer">{timeRemaining}s remaining</span>
+            <span className="timer">{getTrainingGoal()}</span>
           </div>
           <div className="samples-info">
             Samples collected: <strong>{samplesCollected}</strong>
@@ -40,7 +108,9 @@ export function PredictionDisplay({ score, phase, timeRemaining, samplesCollecte
       {phase === 'predicting' && score !== null && (
         <div className="prediction-info">
           <div className="score-container">
-            <span className="score-label">Anomaly Score:</span>
+            <span className="score-label">
+              {thresholds ? 'Anomaly Percentile:' : 'Anomaly Score:'}
+            </span>
             <span 
               className="score-value" 
               style={{ color: getScoreColor() }}
@@ -54,6 +124,36 @@ export function PredictionDisplay({ score, phase, timeRemaining, samplesCollecte
           >
             {getScoreLabel()}
           </div>
+          {zScore !== null && (
+            <div className="score-details">
+              Error z-score: <strong>{zScore.toFixed(2)}</strong>
+              {thresholds && (
+                <span>
+                  {' '}· cutoffs at {(suspicious * 100).toFixed(0)}th / {(anomalous * 100).toFixed(0)}th percentile
+                </span>
+              )}
+            </div>
+          )}
+          {explanation && (
+            <div className={`score-explanation ${explanation.level}`}>
+              <ul className="explanation-reasons">
+                {explanation.reasons.map(reason => (
+                  <li key={reason}>{reason.charAt(0).toUpperCase() + reason.slice(1)}</li>
+                ))}
+              </ul>
+              <div className="explanation-features">
+                Driven by: {explanation.features
+                  .map(({ feature, share }) => `${FEATURE_LABELS[feature]} ${(share * 100).toFixed(0)}%`)
+                  .join(' · ')}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {phase !== 'idle' && excludedSummary && (
+        <div className="excluded-info" title="Not used for training or scoring">
+          Left out: {excludedSummary}
         </div>
       )}
 
@@ -0,0 +1,127 @@
+import React, { useState } from 'react'
+import './ProfileSelector.css'
+
+/**
+ * Suffix describing a profile's enrollment status
+ * @param {Object} profile - { enrolled, unsupportedReason }
+ * @returns {string}
+ */
+function getProfileStatus(profile) {
+  if (profile.unsupportedReason) return ' (unsupported model)'
+  if (!profile.enrolled) return ' (not enrolled)'
+  return ''
+}
+
+/**
+ * ProfileSelector - Chooses the active profile, creates new ones and switches
+ * between verifying the active profile, identifying the typist and verifying a
+ * fixed passphrase
+ */
+export function ProfileSelector({
+  profiles,
+  activeProfile,
+  mode,
+  onSelect,
+  onCreate,
+  onDelete,
+  onModeChange,
+  disabled = false
+}) {
+  const [newProfileName, setNewProfileName] = useState('')
+
+  const enrolledCount = profiles.filter(profile => profile.enrolled).length
+  const nameTaken = profiles.some(profile => profile.name === newProfileName.trim())
+
+  const handleCreate = async (event) => {
+    event.preventDefault()
+    if (onCreate && await onCreate(newProfileName)) {
+      setNewProfileName('')
+    }
+  }
+
+  const handleDelete = () => {
+    if (onDelete && activeProfile && window.confirm(`Delete profile "${activeProfile}" and its model?`)) {
+      onDelete(activeProfile)
+    }
+  }
+
+  return (
+    <div className="profile-selector">
+      <div className="profile-row">
+        <label className="profile-label" htmlFor="active-profile">
+          Profile:
+        </label>
+        <select
+          id="active-profile"
+          className="profile-select"
+          value={activeProfile || ''}
+          onChange={(event) => onSelect && onSelect(event.target.value)}
+          disabled={disabled || mode === 'identify'}
+        >
+          {profiles.map(profile => (
+            <option key={profile.name} value={profile.name}>
+              {profile.name}{getProfileStatus(profile)}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="profile-button"
+          onClick={handleDelete}
+          disabled={disabled || mode === 'identify' || !activeProfile}
+          title="Delete this profile and its model"
+        >
+          Delete
+        </button>
+      </div>
+
+      <form className="profile-row" onSubmit={handleCreate}>
+        <input
+          className="profile-input"
+          type="text"
+          placeholder="New profile name"
+          value={newProfileName}
+          onChange={(event) => setNewProfileName(event.target.value)}
+          disabled={disabled || mode === 'identify'}
+        />
+        <button
+          type="submit"
+          className="profile-button"
+          disabled={disabled || mode === 'identify' || !newProfileName.trim() || nameTaken}
+          title={nameTaken ? 'A profile with this name already exists' : 'Create a profile and start its enrollment'}
+        >
+          Add Profile
+        </button>
+      </form>
+
+      <div className="profile-row profile-modes">
+        <button
+          type="button"
+          className={`profile-mode ${mode === 'verify' ? 'active' : ''}`}
+          onClick={() => onModeChange && onModeChange('verify')}
+          disabled={disabled}
+        >
+          Verify as {activeProfile}
+        </button>
+        <button
+          type="button"
+          className={`profile-mode ${mode === 'identify' ? 'active' : ''}`}
+          onClick={() => onModeChange && onModeChange('identify')}
+          disabled={disabled || enrolledCount === 0}
+          title={enrolledCount === 0 ? 'Enroll at least one profile first' : 'Find the enrolled profile closest to the live typing'}
+        >
+          Identify ({enrolledCount} enrolled)
+        </button>
+        <button
+          type="button"
+          className={`profile-mode ${mode === 'passphrase' ? 'active' : ''}`}
+          onClick={() => onModeChange && onModeChange('passphrase')}
+          disabled={disabled}
+          title="Enroll and verify a fixed passphrase for this profile"
+        >
+          Passphrase
+        </button>
+      </div>
+    </div>
+  )
+}
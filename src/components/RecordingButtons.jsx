@@ -0,0 +1,84 @@
+import React, { useRef, useState } from 'react'
+import { parseRecording } from '../services/SessionRecorder'
+import './RecordingButtons.css'
+
+/**
+ * RecordButton - Records the typed keystrokes and downloads them as a session recording
+ */
+export function RecordButton({ isRecording, onStart, onStop, disabled = false }) {
+  const handleClick = () => {
+    if (!isRecording) {
+      onStart()
+      return
+    }
+
+    const recording = onStop()
+    if (recording) {
+      const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${recording.profile || 'session'}-${recording.recordedAt.replace(/[:.]/g, '-')}.typing-recording.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    }
+  }
+
+  return (
+    <button
+      className={`recording-button${isRecording ? ' recording-active' : ''}`}
+      onClick={handleClick}
+      disabled={disabled && !isRecording}
+      title={isRecording ? 'Stop and download the recording' : 'Record keystrokes to a replayable file'}
+    >
+      <span className="recording-icon">{isRecording ? '⏹️' : '⏺️'}</span>
+      <span className="recording-text">{isRecording ? 'Stop recording' : 'Record'}</span>
+    </button>
+  )
+}
+
+/**
+ * ReplayButton - Replays a session recording as if it were typed
+ */
+export function ReplayButton({ onReplay, isReplaying, disabled = false }) {
+  const fileInputRef = useRef(null)
+  const [error, setError] = useState(null)
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = '' // Allow replaying the same file again
+    if (!file) {
+      return
+    }
+
+    setError(null)
+    try {
+      await onReplay(parseRecording(await file.text()))
+    } catch (replayError) {
+      console.error('Error replaying recording:', replayError)
+      setError(replayError.message)
+    }
+  }
+
+  return (
+    <div className="recording-control">
+      <button
+        className="recording-button"
+        onClick={() => fileInputRef.current && fileInputRef.current.click()}
+        disabled={disabled || isReplaying}
+        title="Replay a recorded session in real time"
+      >
+        <span className="recording-icon">▶️</span>
+        <span className="recording-text">{isReplaying ? 'Replaying...' : 'Replay'}</span>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="recording-file-input"
+        onChange={handleFile}
+      />
+      {error && <div className="recording-error">{error}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,21 @@
+import React from 'react'
+import './RetrainButton.css'
+
+/**
+ * RetrainButton - Refits the model from scratch on the stored training samples
+ */
+export function RetrainButton({ onRetrain, sampleCount, isRetraining = false, disabled = false }) {
+  return (
+    <button
+      className="retrain-button"
+      onClick={onRetrain}
+      disabled={disabled || isRetraining || sampleCount === 0}
+      title={sampleCount === 0
+        ? 'No stored training samples for this profile'
+        : `Rebuild normalization and refit the model on ${sampleCount} stored keystroke events`}
+    >
+      <span className="retrain-icon">🔁</span>
+      <span className="retrain-text">{isRetraining ? 'Retraining...' : 'Retrain'}</span>
+    </button>
+  )
+}
@@ -0,0 +1,43 @@
+import React from 'react'
+import './ThresholdSettings.css'
+
+/**
+ * ThresholdSettings - Error-rate targets that place the Normal/Suspicious/Anomalous cutoffs
+ */
+export function ThresholdSettings({ targets, onChange, disabled = false }) {
+  const handleChange = (key) => (event) => {
+    const percent = parseFloat(event.target.value)
+    if (onChange && percent > 0 && percent < 100) {
+      onChange({ [key]: percent / 100 })
+    }
+  }
+
+  return (
+    <div className="threshold-settings">
+      <label className="threshold-field" title="Share of your own keystrokes allowed to score above Normal">
+        <span>False reject target (%)</span>
+        <input
+          type="number"
+          min="0.1"
+          max="50"
+          step="0.1"
+          value={+(targets.falseRejectRate * 100).toFixed(2)}
+          onChange={handleChange('falseRejectRate')}
+          disabled={disabled}
+        />
+      </label>
+      <label className="threshold-field" title="Share of impostor keystrokes allowed to score below Anomalous">
+        <span>False accept target (%)</span>
+        <input
+          type="number"
+          min="0.1"
+          max="50"
+          step="0.1"
+          value={+(targets.falseAcceptRate * 100).toFixed(2)}
+          onChange={handleChange('falseAcceptRate')}
+          disabled={disabled}
+        />
+      </label>
+    </div>
+  )
+}
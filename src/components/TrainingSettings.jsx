@@ -0,0 +1,138 @@
+import React, { useState } from 'react'
+import { END_CONDITIONS, OPTIMIZERS } from '../services/TrainingConfig'
+import './TrainingSettings.css'
+
+const END_CONDITION_LABELS = {
+  duration: 'After a duration',
+  samples: 'After a sample count',
+  convergence: 'When validation loss plateaus'
+}
+
+/**
+ * TrainingSettings - Training policy for the next enrollment or retrain
+ * Number fields apply when they lose focus, so partly typed values are not validated.
+ * The config a model was trained with is saved with it and shown below the fields.
+ */
+export function TrainingSettings({ config, modelConfig = null, onChange, disabled = false }) {
+  const [error, setError] = useState(null)
+
+  const apply = (changes) => {
+    if (!onChange) {
+      return
+    }
+    setError(null)
+    Promise.resolve(onChange(changes)).catch(changeError => setError(changeError.message))
+  }
+
+  const handleInteger = (key, scale = 1) => (event) => {
+    const value = Math.round(parseFloat(event.target.value) * scale)
+    if (Number.isFinite(value) && value !== config[key]) {
+      apply({ [key]: value })
+    }
+  }
+
+  const handleNumber = (key) => (event) => {
+    const value = parseFloat(event.target.value)
+    if (Number.isFinite(value) && value !== config[key]) {
+      apply({ [key]: value })
+    }
+  }
+
+  const integerField = (key, label, { min = 1, scale = 1, title } = {}) => (
+    <label className="training-field" title={title}>
+      <span>{label}</span>
+      <input
+        key={config[key]}
+        type="number"
+        min={min}
+        step="1"
+        defaultValue={config[key] / scale}
+        onBlur={handleInteger(key, scale)}
+        disabled={disabled}
+      />
+    </label>
+  )
+
+  return (
+    <div className="training-settings">
+      <div className="training-fields">
+        <label className="training-field">
+          <span>End enrollment</span>
+          <select
+            value={config.endCondition}
+            onChange={(event) => apply({ endCondition: event.target.value })}
+            disabled={disabled}
+          >
+            {END_CONDITIONS.map(condition => (
+              <option key={condition} value={condition}>{END_CONDITION_LABELS[condition]}</option>
+            ))}
+          </select>
+        </label>
+
+        {config.endCondition === 'duration' &&
+          integerField('duration', 'Duration (s)', { scale: 1000 })}
+        {config.endCondition === 'samples' &&
+          integerField('sampleCount', 'Digraphs to collect', { min: 10 })}
+        {config.endCondition === 'convergence' &&
+          integerField('patience', 'Patience (passes)', {
+            title: 'Training passes in a row without validation loss improvement'
+          })}
+        {config.endCondition === 'convergence' &&
+          integerField('duration', 'Max. duration (s)', {
+            scale: 1000,
+            title: 'Enrollment ends here if the validation loss has not plateaued yet'
+          })}
+        {config.endCondition === 'convergence' &&
+          integerField('sampleCount', 'Max. digraphs', {
+            min: 10,
+            title: 'Enrollment ends here if the validation loss has not plateaued yet'
+          })}
+
+        {integerField('batchSize', 'Batch size', {
+          title: 'Digraphs between training passes during enrollment'
+        })}
+        {integerField('epochs', 'Epochs per pass')}
+        {integerField('retrainEpochs', 'Retrain epochs')}
+        {integerField('minTrainingSamples', 'Min. digraphs to score', {
+          title: 'Digraphs a model must be trained on before it scores typing'
+        })}
+
+        <label className="training-field">
+          <span>Optimizer</span>
+          <select
+            value={config.optimizer}
+            onChange={(event) => apply({ optimizer: event.target.value })}
+            disabled={disabled}
+          >
+            {OPTIMIZERS.map(optimizer => (
+              <option key={optimizer} value={optimizer}>{optimizer}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="training-field">
+          <span>Learning rate</span>
+          <input
+            key={config.learningRate}
+            type="number"
+            min="0.0001"
+            max="1"
+            step="0.0001"
+            defaultValue={config.learningRate}
+            onBlur={handleNumber('learningRate')}
+            disabled={disabled}
+          />
+        </label>
+      </div>
+
+      {error && <div className="training-error" role="alert">{error}</div>}
+
+      {modelConfig && (
+        <div className="training-model-config">
+          Current model trained with {modelConfig.optimizer} (learning rate {modelConfig.learningRate}),
+          {' '}{modelConfig.epochs} epochs per pass, batch size {modelConfig.batchSize}
+        </div>
+      )}
+    </div>
+  )
+}
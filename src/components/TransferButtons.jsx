@@ -0,0 +1,99 @@
+import React, { useRef, useState } from 'react'
+import './TransferButtons.css'
+
+/**
+ * ExportButton - Downloads the active profile as a portable file
+ */
+export function ExportButton({ profileName, onExport, disabled = false }) {
+  const [includeSamples, setIncludeSamples] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleExport = async () => {
+    setError(null)
+    try {
+      const contents = await onExport({ includeSamples })
+      const blob = new Blob([contents], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${profileName}.typing-profile.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (exportError) {
+      console.error('Error exporting profile:', exportError)
+      setError(exportError.message)
+    }
+  }
+
+  return (
+    <div className="transfer-control">
+      <button
+        className="transfer-button"
+        onClick={handleExport}
+        disabled={disabled}
+        title="Save the trained profile to a file"
+      >
+        <span className="transfer-icon">⬇️</span>
+        <span className="transfer-text">Export</span>
+      </button>
+      <label className="transfer-option">
+        <input
+          type="checkbox"
+          checked={includeSamples}
+          onChange={(event) => setIncludeSamples(event.target.checked)}
+          disabled={disabled}
+        />
+        Include training samples
+      </label>
+      {error && <div className="transfer-error">{error}</div>}
+    </div>
+  )
+}
+
+/**
+ * ImportButton - Loads a profile from an exported file
+ */
+export function ImportButton({ onImport, disabled = false }) {
+  const fileInputRef = useRef(null)
+  const [error, setError] = useState(null)
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = '' // Allow importing the same file again
+    if (!file) {
+      return
+    }
+
+    setError(null)
+    try {
+      await onImport(await file.text(), {
+        confirmOverwrite: (name) => window.confirm(`Replace the trained model of profile "${name}"?`)
+      })
+    } catch (importError) {
+      console.error('Error importing profile:', importError)
+      setError(importError.message)
+    }
+  }
+
+  return (
+    <div className="transfer-control">
+      <button
+        className="transfer-button"
+        onClick={() => fileInputRef.current && fileInputRef.current.click()}
+        disabled={disabled}
+        title="Load a profile from an exported file"
+      >
+        <span className="transfer-icon">⬆️</span>
+        <span className="transfer-text">Import</span>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="transfer-file-input"
+        onChange={handleFile}
+      />
+      {error && <div className="transfer-error">{error}</div>}
+    </div>
+  )
+}
@@ -1,11 +1,43 @@
-import React, { useRef, useEffect } from 'react'
+import React, { useRef, useEffect, useState } from 'react'
 import './TypingInput.css'
 
+/**
+ * Split text into plain runs and highlighted characters
+ * @param {string} text - Text of the input
+ * @param {Array<Object>} highlights - { position, level }
+ * @returns {Array} - Strings and <mark> elements
+ */
+function renderHighlights(text, highlights) {
+  const parts = []
+  let start = 0
+  highlights
+    .filter(({ position }) => position >= 0 && position < text.length)
+    .forEach(({ position, level }) => {
+      if (position < start) return
+      parts.push(text.slice(start, position))
+      parts.push(
+        <mark key={position} className={`typing-highlight ${level}`}>{text[position]}</mark>
+      )
+      start = position + 1
+    })
+  parts.push(text.slice(start))
+  // A trailing newline needs a character after it to take up a line
+  parts.push('\n')
+  return parts
+}
+
 /**
  * TypingInput - Input component that captures keystroke events
+ * Both keydown and keyup are forwarded so hold and flight times can be measured.
+ * IME composition start and end are forwarded too, so digraphs are not measured
+ * across candidate selection.
+ * Characters flagged by score explanations are highlighted on a backdrop behind the
+ * transparent textarea, which scrolls along with it.
  */
-export function TypingInput({ onKeystroke, placeholder = "Start typing here..." }) {
+export function TypingInput({ onKeystroke, placeholder = "Start typing here...", highlights = [] }) {
   const inputRef = useRef(null)
+  const backdropRef = useRef(null)
+  const [text, setText] = useState('')
 
   useEffect(() => {
     // Focus input on mount
@@ -14,24 +46,37 @@ export function TypingInput({ onKeystroke, placeholder = "Start typing here..."
     }
   }, [])
 
-  const handleKeyDown = (event) => {
+  const handleKeyEvent = (event) => {
     // Call the keystroke handler
     if (onKeystroke) {
       onKeystroke(event)
     }
   }
 
+  const handleScroll = () => {
+    if (backdropRef.current && inputRef.current) {
+      backdropRef.current.scrollTop = inputRef.current.scrollTop
+    }
+  }
+
   return (
     <div className="typing-input-container">
+      <div ref={backdropRef} className="typing-input-backdrop" aria-hidden="true">
+        {renderHighlights(text, highlights)}
+      </div>
       <textarea
         ref={inputRef}
         className="typing-input"
         placeholder={placeholder}
-        onKeyDown={handleKeyDown}
+        onKeyDown={handleKeyEvent}
+        onKeyUp={handleKeyEvent}
+        onCompositionStart={handleKeyEvent}
+        onCompositionEnd={handleKeyEvent}
+        onInput={(event) => setText(event.target.value)}
+        onScroll={handleScroll}
         rows={8}
         spellCheck={false}
       />
     </div>
   )
 }
-
@@ -0,0 +1,59 @@
+import React from 'react'
+import { VERDICT_METHODS } from '../services/VerdictEngine'
+import './VerdictDisplay.css'
+
+const VERDICT_COLORS = {
+  genuine: '#4caf50', // Green
+  uncertain: '#ff9800', // Orange
+  impostor: '#f44336' // Red
+}
+
+const METHOD_LABELS = {
+  ewma: 'Moving average (EWMA)',
+  window: 'Window mean',
+  cusum: 'Sequential test (CUSUM)'
+}
+
+/**
+ * VerdictDisplay - Session-level authentication verdict and the evidence behind it
+ */
+export function VerdictDisplay({ verdict, method, onMethodChange, disabled = false }) {
+  const evidence = verdict ? verdict.evidence : null
+
+  return (
+    <div className="verdict-display">
+      <div className="verdict-header">
+        <span className="verdict-label">Session verdict:</span>
+        <span
+          className="verdict-value"
+          style={{ color: verdict ? VERDICT_COLORS[verdict.verdict] : '#666' }}
+        >
+          {verdict ? verdict.verdict : 'waiting for typing'}
+        </span>
+      </div>
+
+      {evidence && (
+        <div className="verdict-evidence">
+          {evidence.method === 'cusum' ? 'CUSUM' : 'Aggregate score'}{' '}
+          <strong>{evidence.statistic.toFixed(2)}</strong>
+          {' '}(genuine ≤ {evidence.genuineLevel.toFixed(2)}, impostor ≥ {evidence.impostorLevel.toFixed(2)})
+          {' '}· {evidence.recentAlerts} of the last {evidence.recentCount} keystrokes above Normal
+          {' '}· {evidence.sampleCount} scored
+        </div>
+      )}
+
+      <label className="verdict-method">
+        <span>Aggregation</span>
+        <select
+          value={method}
+          onChange={(event) => onMethodChange && onMethodChange(event.target.value)}
+          disabled={disabled}
+        >
+          {VERDICT_METHODS.map(name => (
+            <option key={name} value={name}>{METHOD_LABELS[name]}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )
+}
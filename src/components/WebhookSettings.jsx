@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react'
+import './WebhookSettings.css'
+
+function StatusLine({ status }) {
+  if (!status) {
+    return null
+  }
+  const parts = []
+  if (status.offline) parts.push('offline, will send when back online')
+  if (status.pending > 0) parts.push(`${status.pending} queued`)
+  if (status.failed > 0) parts.push(`${status.failed} not sent`)
+  if (status.lastError) parts.push(`last attempt: ${status.lastError}`)
+  if (status.lastDeliveredAt) parts.push(`last sent ${new Date(status.lastDeliveredAt).toLocaleTimeString()}`)
+  return parts.length > 0 ? <div className="webhook-status">{parts.join(' · ')}</div> : null
+}
+
+/**
+ * WebhookSettings - Endpoint that incidents are POSTed to, and the state of its queue
+ */
+export function WebhookSettings({ config, status, onChange, onRetry }) {
+  const [draft, setDraft] = useState(config)
+  const [error, setError] = useState(null)
+
+  // Show the saved config once it has loaded
+  useEffect(() => {
+    setDraft(config)
+  }, [config])
+
+  const save = async (changes) => {
+    const next = { ...draft, ...changes }
+    setDraft(next)
+    setError(null)
+    try {
+      await onChange(next)
+    } catch (saveError) {
+      setError(saveError.message)
+    }
+  }
+
+  const edited = draft.url !== config.url || draft.token !== config.token
+
+  return (
+    <div className="webhook-settings">
+      <label className="webhook-toggle" title="POST every new incident to the endpoint below">
+        <input
+          type="checkbox"
+          checked={draft.enabled}
+          onChange={(event) => save({ enabled: event.target.checked })}
+        />
+        <span>Send incidents to a webhook</span>
+      </label>
+
+      <div className="webhook-fields">
+        <input
+          type="url"
+          placeholder="http://localhost:8787/incidents"
+          value={draft.url}
+          onChange={(event) => setDraft({ ...draft, url: event.target.value })}
+        />
+        <input
+          type="password"
+          placeholder="Bearer token (optional)"
+          value={draft.token}
+          onChange={(event) => setDraft({ ...draft, token: event.target.value })}
+        />
+        <button className="webhook-button" onClick={() => save({})} disabled={!edited}>
+          Save
+        </button>
+        {status && status.failed > 0 && (
+          <button className="webhook-button" onClick={onRetry}>
+            Retry
+          </button>
+        )}
+      </div>
+
+      {error && <div className="webhook-error">{error}</div>}
+      {config.enabled && <StatusLine status={status} />}
+    </div>
+  )
+}
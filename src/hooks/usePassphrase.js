@@ -0,0 +1,132 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { PassphraseTemplate, toAttemptEvent } from '../services/PassphraseTemplate'
+import { systemClock, getEventTime } from '../services/Clock'
+
+/**
+ * Custom hook for fixed-text (passphrase) enrollment and verification
+ * The active profile's passphrase is typed several times to enroll; every later
+ * attempt is accepted or rejected as a whole by the profile's PassphraseTemplate.
+ * Templates need no TF.js, so they are scored on the page rather than in the worker.
+ * The template is saved after every accepted enrollment attempt, so a reload part-way
+ * through enrollment keeps the attempts already typed.
+ * @param {string|null} profileName - Active profile
+ * @param {Object} options - Hook options
+ * @param {StorageManager} options.storageManager - The typing monitor's storage (see
+ *   useTypingBehavior), so the page shares one database connection
+ * @param {Object} options.clock - Time source for events without a timeStamp (see Clock)
+ */
+export function usePassphrase(profileName, { storageManager, clock = systemClock }) {
+  const [template, setTemplate] = useState(null)
+  const [enrolledAttempts, setEnrolledAttempts] = useState(0)
+  const [lastResult, setLastResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  const templateRef = useRef(null)
+  const eventsRef = useRef([])
+
+  const applyTemplate = useCallback((nextTemplate) => {
+    templateRef.current = nextTemplate
+    setTemplate(nextTemplate)
+    setEnrolledAttempts(nextTemplate ? nextTemplate.attempts.length : 0)
+    eventsRef.current = []
+  }, [])
+
+  // Load the profile's template whenever the profile changes
+  useEffect(() => {
+    let cancelled = false
+    setLastResult(null)
+    setError(null)
+    applyTemplate(null)
+
+    if (!profileName) {
+      return undefined
+    }
+    storageManager.loadPassphraseTemplate(profileName).then(state => {
+      if (cancelled || !state) {
+        return
+      }
+      try {
+        applyTemplate(PassphraseTemplate.fromJSON(state))
+      } catch (loadError) {
+        setError(loadError.message)
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [profileName, storageManager, applyTemplate])
+
+  // Choose the passphrase and start its enrollment
+  const choosePassphrase = useCallback(async (phrase) => {
+    setError(null)
+    setLastResult(null)
+    let created
+    try {
+      created = await PassphraseTemplate.create(phrase)
+    } catch (createError) {
+      setError(createError.message)
+      return false
+    }
+    applyTemplate(created)
+    await storageManager.savePassphraseTemplate(profileName, created.toJSON())
+    return true
+  }, [profileName, storageManager, applyTemplate])
+
+  // Record a keydown/keyup of the current attempt
+  const handleKeystroke = useCallback((event) => {
+    if (event.type !== 'keydown' && event.type !== 'keyup') {
+      return
+    }
+    eventsRef.current.push(toAttemptEvent(event, getEventTime(event, clock)))
+  }, [clock])
+
+  // Finish the current attempt: enroll it, or verify it once enrollment is complete
+  const submitAttempt = useCallback(async (text) => {
+    const current = templateRef.current
+    const events = eventsRef.current
+    eventsRef.current = []
+    if (!current) {
+      return null
+    }
+
+    let result
+    if (current.isEnrolled()) {
+      result = { phase: 'verify', ...await current.verify(events, text) }
+    } else {
+      result = { phase: 'enroll', ...await current.enroll(events, text) }
+      setEnrolledAttempts(current.attempts.length)
+      if (result.status === 'ok') {
+        await storageManager.savePassphraseTemplate(profileName, current.toJSON())
+      }
+    }
+    setLastResult(result)
+    return result
+  }, [profileName, storageManager])
+
+  // Discard the attempt being typed, e.g. when the field is cleared
+  const clearAttempt = useCallback(() => {
+    eventsRef.current = []
+  }, [])
+
+  // Forget the profile's passphrase template
+  const resetPassphrase = useCallback(async () => {
+    await storageManager.deletePassphraseTemplate(profileName)
+    setLastResult(null)
+    applyTemplate(null)
+  }, [profileName, storageManager, applyTemplate])
+
+  return {
+    hasPassphrase: template !== null,
+    isEnrolled: template !== null && enrolledAttempts >= template.options.enrollmentAttempts,
+    enrolledAttempts,
+    requiredAttempts: template ? template.options.enrollmentAttempts : 0,
+    phraseLength: template ? template.length : 0,
+    lastResult,
+    error,
+    choosePassphrase,
+    handleKeystroke,
+    submitAttempt,
+    clearAttempt,
+    resetPassphrase
+  }
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { computeTypingAnalytics } from '../services/TypingAnalytics'
+
+/**
+ * Custom hook for a profile's typing analytics
+ * Reads the enrollment samples and recent prediction sessions StorageManager keeps
+ * and summarizes them with TypingAnalytics; no model is loaded.
+ * @param {string|null} profileName - Active profile
+ * @param {Object} options - Hook options
+ * @param {StorageManager} options.storageManager - The typing monitor's storage (see
+ *   useTypingBehavior)
+ * @param {boolean} options.enabled - Load only while the dashboard is shown
+ */
+export function useTypingAnalytics(profileName, { storageManager, enabled = true }) {
+  const [analytics, setAnalytics] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [loadedAt, setLoadedAt] = useState(null)
+
+  const requestRef = useRef(0)
+
+  // Read and summarize the stored typing again
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current
+    if (!profileName) {
+      setAnalytics(null)
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const [samples, sessions] = await Promise.all([
+        storageManager.loadSamples(profileName),
+        storageManager.loadSessions(profileName)
+      ])
+      // A newer refresh (e.g. after switching profiles) supersedes this one
+      if (request === requestRef.current) {
+        setAnalytics(computeTypingAnalytics(samples, sessions))
+        setLoadedAt(Date.now())
+      }
+    } finally {
+      if (request === requestRef.current) {
+        setIsLoading(false)
+      }
+    }
+  }, [profileName, storageManager])
+
+  useEffect(() => {
+    setAnalytics(null)
+    if (enabled) {
+      refresh().catch(error => console.error('Error loading typing analytics:', error))
+    }
+  }, [enabled, refresh])
+
+  return { analytics, isLoading, loadedAt, refresh }
+}
@@ -1,155 +1,73 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
-import { FeatureExtractor } from '../services/FeatureExtractor'
-import { ModelManager } from '../services/ModelManager'
-import { StorageManager } from '../services/StorageManager'
-
-const TRAINING_DURATION = 90 * 1000 // 90 seconds in milliseconds
-const BATCH_TRAINING_SIZE = 10 // Train model every N samples
+import { useState, useEffect, useRef, useMemo, useSyncExternalStore } from 'react'
+import { TypingMonitor } from '../services/TypingMonitor'
+import { systemClock } from '../services/Clock'
 
 /**
  * Custom hook for managing typing behavior training and prediction
+ * A thin React wrapper around TypingMonitor: the monitor is started on mount and
+ * destroyed on unmount, its state snapshots are returned as hook state, and its
+ * methods as callbacks. Keystrokes are passed in through handleKeystroke rather than
+ * by attaching the monitor to an element.
+ * @param {Object} options - Hook options
+ * @param {Function} options.onVerdictChange - Called with (result, previousVerdict)
+ *   whenever the session verdict changes, e.g. to lock the screen on 'impostor'
+ * @param {Function} options.onTrainingEpoch - Called with { pass, epoch, loss, valLoss }
+ *   after every training epoch
+ * @param {Object} options.clock - Time source for the enrollment timer and for events
+ *   without a timeStamp (see Clock); a ManualClock makes replays instant and deterministic
  */
-export function useTypingBehavior() {
-  const [phase, setPhase] = useState('idle') // 'idle', 'training', 'predicting'
-  const [timeRemaining, setTimeRemaining] = useState(TRAINING_DURATION / 1000)
-  const [predictionScore, setPredictionScore] = useState(null)
-  const [samplesCollected, setSamplesCollected] = useState(0)
-  
-  const featureExtractorRef = useRef(new FeatureExtractor())
-  const modelManagerRef = useRef(new ModelManager())
-  const storageManagerRef = useRef(new StorageManager())
-  const timerRef = useRef(null)
-  const trainingStartTimeRef = useRef(null)
-  const samplesSinceLastTrainingRef = useRef(0)
+export function useTypingBehavior({ onVerdictChange, onTrainingEpoch, clock = systemClock } = {}) {
+  const onVerdictChangeRef = useRef(onVerdictChange)
+  onVerdictChangeRef.current = onVerdictChange
+  const onTrainingEpochRef = useRef(onTrainingEpoch)
+  onTrainingEpochRef.current = onTrainingEpoch
 
-  // Initialize: Try to load existing model
-  useEffect(() => {
-    const loadModel = async () => {
-      const savedModelState = storageManagerRef.current.loadModel()
-      if (savedModelState) {
-        const loaded = await modelManagerRef.current.loadModelState(savedModelState)
-        if (loaded && savedModelState.featureStats) {
-          featureExtractorRef.current.setStats(savedModelState.featureStats)
-          setPhase('predicting')
-          setSamplesCollected(savedModelState.trainingDataLength || 0)
-        }
+  const [monitor] = useState(() => new TypingMonitor({
+    clock,
+    onVerdictChange: (result, previousVerdict) => {
+      if (onVerdictChangeRef.current) {
+        onVerdictChangeRef.current(result, previousVerdict)
       }
-    }
-    loadModel()
-  }, [])
-
-  // Handle keystroke
-  const handleKeystroke = useCallback(async (event) => {
-    const featureExtractor = featureExtractorRef.current
-    const modelManager = modelManagerRef.current
-
-    // Extract features
-    const rawFeatures = featureExtractor.extractFeatures(event)
-    
-    if (!rawFeatures) {
-      return // First keystroke, not enough data
-    }
-
-    // Start training phase if idle
-    if (phase === 'idle') {
-      setPhase('training')
-      trainingStartTimeRef.current = Date.now()
-      
-      // Start countdown timer
-      timerRef.current = setInterval(() => {
-        const elapsed = Date.now() - trainingStartTimeRef.current
-        const remaining = Math.max(0, TRAINING_DURATION - elapsed)
-        setTimeRemaining(Math.ceil(remaining / 1000))
-
-        if (remaining <= 0) {
-          clearInterval(timerRef.current)
-          setPhase('predicting')
-          // Final training pass
-          modelManager.train(BATCH_TRAINING_SIZE).then(() => {
-            // Save model after training completes
-            modelManager.getModelState().then(state => {
-              if (state) {
-                storageManagerRef.current.saveModel(state)
-              }
-            })
-          })
-        }
-      }, 100)
-    }
-
-    if (phase === 'training') {
-      // Normalize features
-      const normalizedFeatures = featureExtractor.normalizeFeatures(rawFeatures)
-      
-      if (normalizedFeatures) {
-        // Add to training data
-        const stats = featureExtractor.getStats()
-        modelManager.addTrainingSample(normalizedFeatures, stats)
-        
-        setSamplesCollected(prev => prev + 1)
-        samplesSinceLastTrainingRef.current += 1
-
-        // Batch train every N samples
-        if (samplesSinceLastTrainingRef.current >= BATCH_TRAINING_SIZE) {
-          samplesSinceLastTrainingRef.current = 0
-          await modelManager.train(BATCH_TRAINING_SIZE)
-        }
-      }
-    } else if (phase === 'predicting') {
-      // Normalize features using saved stats from model
-      const stats = modelManager.featureStats
-      const normalizedFeatures = featureExtractor.normalizeFeaturesWithStats(
-        rawFeatures,
-        stats
-      )
-
-      if (normalizedFeatures) {
-        // Predict anomaly score
-        const score = await modelManager.predict(normalizedFeatures)
-        setPredictionScore(score)
+    },
+    onTrainingEpoch: (epochLosses) => {
+      if (onTrainingEpochRef.current) {
+        onTrainingEpochRef.current(epochLosses)
       }
     }
-  }, [phase])
+  }))
 
-  // Reset function
-  const reset = useCallback(async () => {
-    // Clear timer
-    if (timerRef.current) {
-      clearInterval(timerRef.current)
-      timerRef.current = null
-    }
+  useEffect(() => {
+    monitor.start().catch(error => console.error('Error starting typing monitor:', error))
+    return () => monitor.destroy()
+  }, [monitor])
 
-    // Reset state
-    setPhase('idle')
-    setTimeRemaining(TRAINING_DURATION / 1000)
-    setPredictionScore(null)
-    setSamplesCollected(0)
-    
-    // Reset managers
-    featureExtractorRef.current.reset()
-    modelManagerRef.current.reset()
-    storageManagerRef.current.clearModel()
-    
-    trainingStartTimeRef.current = null
-    samplesSinceLastTrainingRef.current = 0
-  }, [])
+  const state = useSyncExternalStore(monitor.subscribe, monitor.getState)
 
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (timerRef.current) {
-        clearInterval(timerRef.current)
-      }
-    }
-  }, [])
+  const actions = useMemo(() => ({
+    selectProfile: (profileName) => monitor.selectProfile(profileName),
+    createProfile: (profileName) => monitor.createProfile(profileName),
+    deleteProfile: (profileName) => monitor.deleteProfile(profileName),
+    setMode: (mode) => monitor.setMode(mode),
+    exportProfile: (options) => monitor.exportProfile(options),
+    importProfile: (text, options) => monitor.importProfile(text, options),
+    retrain: () => monitor.retrain(),
+    setAdaptiveLearning: (enabled) => monitor.setAdaptiveLearning(enabled),
+    setVerdictMethod: (method) => monitor.setVerdictMethod(method),
+    setArchitecture: (architecture) => monitor.setArchitecture(architecture),
+    setDetector: (detector) => monitor.setDetector(detector),
+    setTrainingConfig: (config) => monitor.setTrainingConfig(config),
+    setThresholdTargets: (targets) => monitor.setThresholdTargets(targets),
+    setWebhookConfig: (config) => monitor.setWebhookConfig(config),
+    exportIncidents: () => monitor.exportIncidents(),
+    clearIncidents: () => monitor.clearIncidents(),
+    retryIncidentDelivery: () => monitor.retryIncidentDelivery(),
+    storageManager: monitor.storageManager,
+    handleKeystroke: monitor.handleKeystroke,
+    startRecording: () => monitor.startRecording(),
+    stopRecording: () => monitor.stopRecording(),
+    replay: (recording, options) => monitor.replay(recording, options),
+    reset: () => monitor.reset()
+  }), [monitor])
 
-  return {
-    phase,
-    timeRemaining,
-    predictionScore,
-    samplesCollected,
-    handleKeystroke,
-    reset
-  }
+  return { ...state, ...actions }
 }
-
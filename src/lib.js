@@ -0,0 +1,20 @@
+/**
+ * Library entry point: the typing behavior detector without React
+ * Built by `npm run build:lib` (see vite.lib.config.js).
+ *
+ *   import { createTypingMonitor } from 'typing-behavior-anomaly-detector'
+ *   const monitor = createTypingMonitor({ element: input, profile: 'alice', onScore, onVerdict })
+ */
+export { TypingMonitor, createTypingMonitor } from './services/TypingMonitor.js'
+export { DEFAULT_TRAINING_CONFIG, END_CONDITIONS, OPTIMIZERS } from './services/TrainingConfig.js'
+export { StorageManager, DEFAULT_PROFILE } from './services/StorageManager.js'
+export { MODEL_ARCHITECTURES, DEFAULT_ARCHITECTURE } from './services/ModelConfig.js'
+export { DETECTORS, DEFAULT_DETECTOR } from './services/detectors/index.js'
+export { EXCLUSION_REASONS } from './services/KeystrokeFilter.js'
+export { DEFAULT_THRESHOLD_TARGETS } from './services/ScoreCalibrator.js'
+export { VERDICTS, VERDICT_METHODS, DEFAULT_VERDICT_OPTIONS } from './services/VerdictEngine.js'
+export { INCIDENT_TYPES, INCIDENT_SEVERITIES } from './services/IncidentTracker.js'
+export { DEFAULT_WEBHOOK_CONFIG, validateWebhookConfig } from './services/IncidentWebhook.js'
+export { ManualClock, systemClock } from './services/Clock.js'
+export { parseRecording, RecordingError } from './services/SessionRecorder.js'
+export { PassphraseTemplate, PassphraseError, toAttemptEvent } from './services/PassphraseTemplate.js'
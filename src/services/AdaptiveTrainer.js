@@ -0,0 +1,108 @@
+export const DEFAULT_ADAPTIVE_OPTIONS = {
+  bufferSize: 500, // Replay buffer capacity (oldest inputs are dropped first)
+  acceptBelow: 0.5, // Only inputs scoring below this percentile count as confidently normal
+  stagingSize: 20, // Accepted inputs wait here until this many arrive without an alert
+  updateInterval: 100, // New buffered inputs between fine-tuning runs
+  learningRate: 0.0001, // Well below Adam's default 0.001, so each update is a small nudge
+  epochs: 2
+}
+
+/**
+ * AdaptiveTrainer - Continuous learning during the prediction phase
+ * Collects inputs scored as confidently normal into a bounded replay buffer and
+ * periodically fine-tunes the model on it with a low learning rate.
+ *
+ * Anomalous inputs are never used: an input is only accepted below acceptBelow (and
+ * below the suspicious cutoff), and accepted inputs are staged until stagingSize of
+ * them arrive in a row without a suspicious or anomalous score. Any alert discards
+ * the staged inputs, so an impostor's occasional normal-looking keystrokes are dropped
+ * along with the rest of their session.
+ */
+export class AdaptiveTrainer {
+  /**
+   * @param {ModelManager} modelManager - Model to fine-tune
+   * @param {Object} options - Overrides for DEFAULT_ADAPTIVE_OPTIONS
+   */
+  constructor(modelManager, options = {}) {
+    this.modelManager = modelManager
+    this.options = { ...DEFAULT_ADAPTIVE_OPTIONS, ...options }
+    this.staged = []
+    this.buffer = []
+    this.samplesSinceUpdate = 0
+    this.updateCount = 0
+    this.lastUpdateTime = null
+  }
+
+  /**
+   * Record a scored input
+   * @param {Array} input - Model input that was scored (vector or window)
+   * @param {number} score - Anomaly score of the input
+   * @param {Object|null} thresholds - Current { suspicious, anomalous } cutoffs
+   * @returns {boolean} - Whether enough new inputs are buffered to fine-tune
+   */
+  observe(input, score, thresholds) {
+    const suspicious = thresholds ? thresholds.suspicious : this.options.acceptBelow
+
+    if (score >= suspicious) {
+      // Possible impostor: drop everything not yet committed to the buffer
+      this.staged = []
+      return false
+    }
+
+    if (score < Math.min(this.options.acceptBelow, suspicious)) {
+      this.staged.push(input)
+    }
+
+    if (this.staged.length >= this.options.stagingSize) {
+      this.buffer.push(...this.staged)
+      this.samplesSinceUpdate += this.staged.length
+      this.staged = []
+
+      if (this.buffer.length > this.options.bufferSize) {
+        this.buffer.splice(0, this.buffer.length - this.options.bufferSize)
+      }
+    }
+
+    return this.samplesSinceUpdate >= this.options.updateInterval
+  }
+
+  /**
+   * Fine-tune the model on the replay buffer
+   * @returns {Promise<boolean>} - Whether the model was updated
+   */
+  async update() {
+    const { learningRate, epochs } = this.options
+    const updated = await this.modelManager.fineTune(this.buffer, { learningRate, epochs })
+
+    if (updated) {
+      this.samplesSinceUpdate = 0
+      this.updateCount++
+      this.lastUpdateTime = Date.now()
+    }
+    return updated
+  }
+
+  /**
+   * Get adaptation status for display
+   * @returns {Object} - { bufferSize, stagedCount, updateCount, lastUpdateTime }
+   */
+  getStatus() {
+    return {
+      bufferSize: this.buffer.length,
+      stagedCount: this.staged.length,
+      updateCount: this.updateCount,
+      lastUpdateTime: this.lastUpdateTime
+    }
+  }
+
+  /**
+   * Forget all buffered inputs
+   */
+  reset() {
+    this.staged = []
+    this.buffer = []
+    this.samplesSinceUpdate = 0
+    this.updateCount = 0
+    this.lastUpdateTime = null
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Clocks - Time sources for keystroke timestamps and the enrollment timer
+ * Times are milliseconds on the performance timeline, the same timeline as
+ * KeyboardEvent.timeStamp.
+ */
+
+/**
+ * The real clock
+ */
+export const systemClock = {
+  now: () => performance.now()
+}
+
+/**
+ * ManualClock - A clock that only moves when told to
+ * Used to replay recordings instantly and deterministically.
+ */
+export class ManualClock {
+  /**
+   * @param {number} time - Initial time in milliseconds
+   */
+  constructor(time = 0) {
+    this.time = time
+  }
+
+  /**
+   * @returns {number} - Current time in milliseconds
+   */
+  now() {
+    return this.time
+  }
+
+  /**
+   * Move to a point in time; the clock never runs backwards
+   * @param {number} time - Time in milliseconds
+   */
+  set(time) {
+    this.time = Math.max(this.time, time)
+  }
+
+  /**
+   * Move forward
+   * @param {number} milliseconds - Time to advance by
+   */
+  advance(milliseconds) {
+    this.set(this.time + milliseconds)
+  }
+}
+
+/**
+ * Wall-clock time of a time on the performance timeline
+ * @param {number} time - Milliseconds on the performance timeline, e.g. from clock.now()
+ * @returns {number} - Milliseconds since the Unix epoch
+ */
+export function toWallTime(time) {
+  return performance.timeOrigin + time
+}
+
+/**
+ * Timestamp of a keyboard event
+ * Uses the event's own timeStamp, which is set when the key was pressed rather than
+ * when the handler ran, and falls back to the clock when the event has none
+ * @param {KeyboardEvent|Object} event - Keyboard event or replayed event
+ * @param {Object} clock - Clock to fall back to
+ * @returns {number} - Milliseconds on the performance timeline
+ */
+export function getEventTime(event, clock = systemClock) {
+  return event.timeStamp > 0 ? event.timeStamp : clock.now()
+}
@@ -0,0 +1,316 @@
+import { ModelManager } from './ModelManager.js'
+import { DEFAULT_ARCHITECTURE, DEFAULT_WINDOW_SIZE } from './ModelConfig.js'
+import { DEFAULT_DETECTOR } from './detectors/index.js'
+import { computeErrorRates } from './Evaluator.js'
+
+// Protocol of Killourhy & Maxion (2009), which published results on this dataset
+const TRAINING_REPS = 200 // First reps of the genuine subject used for training
+const IMPOSTOR_REPS = 5 // First reps of every other subject used as impostor attempts
+const BENCHMARK_EPOCHS = 20
+const BENCHMARK_BATCH_SIZE = 32
+
+// Key names in the dataset's column headers that are not a single letter, by event.code
+const KEY_CODES = {
+  period: 'Period',
+  Return: 'Enter',
+  space: 'Space',
+  zero: 'Digit0',
+  one: 'Digit1',
+  two: 'Digit2',
+  three: 'Digit3',
+  four: 'Digit4',
+  five: 'Digit5',
+  six: 'Digit6',
+  seven: 'Digit7',
+  eight: 'Digit8',
+  nine: 'Digit9'
+}
+
+/**
+ * DatasetError - A file does not have the expected dataset layout
+ */
+export class DatasetError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'DatasetError'
+  }
+}
+
+/**
+ * Parse the CMU keystroke benchmark CSV (DSL-StrongPasswordData.csv)
+ * Columns are subject, sessionIndex, rep, then for each key of the password its hold
+ * time H.<key> and, between consecutive keys, the keydown-keydown time DD.<key>.<next>
+ * and keyup-keydown time UD.<key>.<next>, all in seconds. Each rep becomes the
+ * password's digraphs as FeatureExtractor feature objects, in milliseconds; the
+ * dataset has no keyup-keyup column, so it is derived as UU = DD + H(next) - H(key).
+ * @param {string} text - CSV file contents
+ * @returns {Object} - { keys, rows: [{ subject, sessionIndex, rep, digraphs }] }
+ * @throws {DatasetError}
+ */
+export function parseCmuDataset(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim())
+  if (lines.length < 2) {
+    throw new DatasetError('The file has no data rows.')
+  }
+
+  const header = lines[0].split(',').map(column => column.trim())
+  const column = Object.fromEntries(header.map((name, i) => [name, i]))
+  for (const name of ['subject', 'sessionIndex', 'rep']) {
+    if (!(name in column)) {
+      throw new DatasetError(`The file has no "${name}" column.`)
+    }
+  }
+
+  // Key names may contain dots (Shift.r), so take them from the hold time columns
+  const keys = header.filter(name => name.startsWith('H.')).map(name => name.slice(2))
+  if (keys.length < 2) {
+    throw new DatasetError('The file has fewer than two hold time (H.) columns.')
+  }
+
+  const pairs = keys.slice(1).map((nextKey, i) => {
+    const key = keys[i]
+    const downDown = column[`DD.${key}.${nextKey}`]
+    const upDown = column[`UD.${key}.${nextKey}`]
+    if (downDown === undefined || upDown === undefined) {
+      throw new DatasetError(`The file has no DD/UD columns for "${key}" -> "${nextKey}".`)
+    }
+    return { key, nextKey, downDown, upDown }
+  })
+  const keyCodes = Object.fromEntries(keys.map(key => [key, toKeyCode(key)]))
+
+  const rows = lines.slice(1).map((line, lineIndex) => {
+    const cells = line.split(',')
+    const seconds = (index) => {
+      const value = parseFloat(cells[index])
+      if (!Number.isFinite(value)) {
+        throw new DatasetError(`Row ${lineIndex + 2} has a missing or invalid timing.`)
+      }
+      return value * 1000
+    }
+
+    return {
+      subject: cells[column.subject].trim(),
+      sessionIndex: parseInt(cells[column.sessionIndex], 10),
+      rep: parseInt(cells[column.rep], 10),
+      digraphs: pairs.map(({ key, nextKey, downDown, upDown }) => {
+        const prevHoldTime = seconds(column[`H.${key}`])
+        const nextHoldTime = seconds(column[`H.${nextKey}`])
+        const downDownTime = seconds(downDown)
+        return {
+          prevKey: keyCodes[key],
+          nextKey: keyCodes[nextKey],
+          prevHoldTime,
+          nextHoldTime,
+          downDownTime,
+          upDownTime: seconds(upDown),
+          upUpTime: downDownTime + nextHoldTime - prevHoldTime
+        }
+      })
+    }
+  })
+
+  return { keys, rows }
+}
+
+/**
+ * CmuBenchmark - Trains and evaluates one ModelManager per subject of the CMU dataset
+ * Each subject's model is trained on its first TRAINING_REPS reps. Its remaining reps
+ * are genuine attempts and the first IMPOSTOR_REPS reps of every other subject are
+ * impostor attempts. An attempt's error is the mean reconstruction error over its
+ * digraphs (or, for sequence models, over the windows within the rep).
+ */
+export class CmuBenchmark {
+  /**
+   * @param {Object} dataset - Parsed dataset from parseCmuDataset
+   * @param {Object} options - { detector, architecture, windowSize, epochs, batchSize,
+   *   trainingReps, impostorReps }
+   */
+  constructor(dataset, {
+    detector = DEFAULT_DETECTOR,
+    architecture = DEFAULT_ARCHITECTURE,
+    windowSize = DEFAULT_WINDOW_SIZE,
+    epochs = BENCHMARK_EPOCHS,
+    batchSize = BENCHMARK_BATCH_SIZE,
+    trainingReps = TRAINING_REPS,
+    impostorReps = IMPOSTOR_REPS
+  } = {}) {
+    this.options = { detector, architecture, windowSize, epochs, batchSize, trainingReps, impostorReps }
+    this.rowsBySubject = new Map()
+
+    for (const row of dataset.rows) {
+      if (!this.rowsBySubject.has(row.subject)) {
+        this.rowsBySubject.set(row.subject, [])
+      }
+      this.rowsBySubject.get(row.subject).push(row)
+    }
+    for (const rows of this.rowsBySubject.values()) {
+      rows.sort((a, b) => a.sessionIndex - b.sessionIndex || a.rep - b.rep)
+    }
+
+    const digraphsPerRep = dataset.keys.length - 1
+    if (detector === 'autoencoder' && architecture !== 'dense' && windowSize > digraphsPerRep) {
+      throw new DatasetError(`A rep has only ${digraphsPerRep} digraphs; use a window size of at most ${digraphsPerRep}.`)
+    }
+  }
+
+  /**
+   * @returns {Array<string>} - Subject ids in file order
+   */
+  getSubjects() {
+    return [...this.rowsBySubject.keys()]
+  }
+
+  /**
+   * Train a model on a subject's training reps
+   * @param {string} subject - Subject id
+   * @returns {Promise<Object>} - { modelManager, error }: the model, which the caller
+   *   disposes with reset(), and why training failed (null when it is ready)
+   */
+  async trainSubject(subject) {
+    const { detector, architecture, windowSize, epochs, batchSize, trainingReps } = this.options
+    const digraphs = this.rowsBySubject.get(subject).slice(0, trainingReps).flatMap(row => row.digraphs)
+
+    // Same normalization as enrollment: fitted on all training reps, then frozen
+    const modelManager = new ModelManager({ detector, architecture, windowSize })
+    digraphs.forEach(digraph => modelManager.addTrainingSample(digraph))
+    modelManager.freezeNormalization()
+    const progress = await modelManager.train(batchSize, epochs)
+    if (modelManager.isReady()) {
+      return { modelManager, error: null }
+    }
+    return {
+      modelManager,
+      error: progress && progress.error
+        ? `Training failed: ${progress.error}`
+        : `Not enough training digraphs (${digraphs.length})`
+    }
+  }
+
+  /**
+   * Mean reconstruction error of each rep
+   * @param {ModelManager} modelManager - Trained model
+   * @param {Array<Object>} rows - Reps to score
+   * @returns {Promise<Array<number>>} - One error per rep
+   */
+  async scoreReps(modelManager, rows) {
+    const inputs = []
+    const repOfInput = []
+    rows.forEach((row, repIndex) => {
+      const vectors = row.digraphs.map(d => modelManager.normalizeFeatures(d))
+      const repInputs = modelManager.isSequenceModel()
+        ? vectors.slice(modelManager.windowSize - 1).map((_, i) => vectors.slice(i, i + modelManager.windowSize))
+        : vectors
+      repInputs.forEach(input => {
+        inputs.push(input)
+        repOfInput.push(repIndex)
+      })
+    })
+
+    const errors = await modelManager.computeReconstructionErrors(inputs)
+    const sums = new Array(rows.length).fill(0)
+    const counts = new Array(rows.length).fill(0)
+    errors.forEach((error, i) => {
+      sums[repOfInput[i]] += error
+      counts[repOfInput[i]] += 1
+    })
+    return sums.map((sum, i) => sum / counts[i])
+  }
+
+  /**
+   * Train and evaluate one subject
+   * @param {string} subject - Subject id
+   * @returns {Promise<Object>} - { subject, genuineCount, impostorCount, eer, eerThreshold,
+   *   best, roc }, or { subject, skipped } with the reason the subject could not be
+   *   evaluated
+   */
+  async evaluateSubject(subject) {
+    const { trainingReps, impostorReps } = this.options
+    const genuineRows = this.rowsBySubject.get(subject).slice(trainingReps)
+    const impostorRows = this.getSubjects()
+      .filter(other => other !== subject)
+      .flatMap(other => this.rowsBySubject.get(other).slice(0, impostorReps))
+
+    if (genuineRows.length === 0) {
+      return { subject, skipped: `No reps left to test after the first ${trainingReps}` }
+    }
+    if (impostorRows.length === 0) {
+      return { subject, skipped: 'No other subjects to take impostor reps from' }
+    }
+
+    const { modelManager, error: trainingError } = await this.trainSubject(subject)
+    try {
+      if (trainingError) {
+        return { subject, skipped: trainingError }
+      }
+
+      const genuineErrors = await this.scoreReps(modelManager, genuineRows)
+      const impostorErrors = await this.scoreReps(modelManager, impostorRows)
+      const toScore = (error) => modelManager.calibrator.isCalibrated()
+        ? modelManager.calibrator.score(error)
+        : null
+
+      return { subject, ...computeErrorRates(genuineErrors, impostorErrors, toScore) }
+    } finally {
+      modelManager.reset()
+    }
+  }
+
+  /**
+   * Evaluate every subject (or a subset)
+   * @param {Object} options - { subjects, onSubject } where onSubject receives each
+   *   subject's result as soon as it is done
+   * @returns {Promise<Object>} - { options, subjects, meanEer, eerStdDev }, where the
+   *   mean and standard deviation leave out skipped subjects (null when all were skipped)
+   */
+  async run({ subjects = this.getSubjects(), onSubject = null } = {}) {
+    // Fail before spending time training any subject
+    const unknownSubject = subjects.find(subject => !this.rowsBySubject.has(subject))
+    if (unknownSubject !== undefined) {
+      throw new DatasetError(`Unknown subject "${unknownSubject}".`)
+    }
+
+    const results = []
+    for (const subject of subjects) {
+      const result = await this.evaluateSubject(subject)
+      results.push(result)
+      if (onSubject) {
+        onSubject(result)
+      }
+    }
+
+    const eers = results.map(result => result.eer).filter(eer => Number.isFinite(eer))
+    if (eers.length === 0) {
+      return { options: this.options, subjects: results, meanEer: null, eerStdDev: null }
+    }
+    const meanEer = eers.reduce((sum, eer) => sum + eer, 0) / eers.length
+    const variance = eers.reduce((sum, eer) => sum + (eer - meanEer) ** 2, 0) / eers.length
+
+    return {
+      options: this.options,
+      subjects: results,
+      meanEer,
+      eerStdDev: Math.sqrt(variance)
+    }
+  }
+}
+
+/**
+ * Physical key (event.code) of a key named in the dataset's column headers
+ * @param {string} name - Key name, e.g. 't', 'five', 'Shift.r', 'Return'
+ * @returns {string}
+ */
+function toKeyCode(name) {
+  // Shifted keys are the same physical key
+  const key = name.startsWith('Shift.') ? name.slice('Shift.'.length) : name
+
+  if (KEY_CODES[key] !== undefined) {
+    return KEY_CODES[key]
+  }
+  if (/^[a-z]$/i.test(key)) {
+    return `Key${key.toUpperCase()}`
+  }
+  if (/^[0-9]$/.test(key)) {
+    return `Digit${key}`
+  }
+  throw new DatasetError(`Unknown key "${name}" in the column headers.`)
+}
@@ -0,0 +1,44 @@
+/**
+ * Helpers for the training diagnostics: bounded histories of per-epoch losses and
+ * prediction scores, and histograms of reconstruction errors
+ */
+
+export const LOSS_HISTORY_LIMIT = 1000 // Epochs kept for the loss curve
+export const SCORE_HISTORY_LIMIT = 200 // Scores kept for the score timeline
+
+/**
+ * Append an entry to a history, dropping the oldest entries beyond the limit
+ * @param {Array} history - Current history (not modified)
+ * @param {*} entry - New entry
+ * @param {number} limit - Maximum length
+ * @returns {Array} - New history
+ */
+export function appendToHistory(history, entry, limit) {
+  const next = history.length >= limit ? history.slice(history.length - limit + 1) : history.slice()
+  next.push(entry)
+  return next
+}
+
+/**
+ * Count values into equal-width bins
+ * @param {Array<number>} values - Values to count
+ * @param {Object} options - { binCount, min, max }; the range defaults to the values' own
+ * @returns {Object} - { min, max, counts }, where counts[i] covers
+ *   [min + i * width, min + (i + 1) * width) and the last bin includes max
+ */
+export function computeHistogram(values, { binCount = 20, min = Math.min(...values), max = Math.max(...values) } = {}) {
+  const counts = new Array(binCount).fill(0)
+  if (values.length === 0) {
+    return { min: 0, max: 0, counts }
+  }
+
+  const width = (max - min) / binCount
+  values.forEach(value => {
+    if (value < min || value > max) {
+      return
+    }
+    const bin = width > 0 ? Math.floor((value - min) / width) : 0
+    counts[Math.min(bin, binCount - 1)] += 1
+  })
+  return { min, max, counts }
+}
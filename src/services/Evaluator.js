@@ -0,0 +1,291 @@
+import { FeatureExtractor, FEATURE_NAMES } from './FeatureExtractor.js'
+import { ModelManager } from './ModelManager.js'
+import { DEFAULT_ARCHITECTURE, DEFAULT_WINDOW_SIZE } from './ModelConfig.js'
+import { DEFAULT_DETECTOR } from './detectors/index.js'
+import { DEFAULT_TRAINING_CONFIG } from './TrainingConfig.js'
+import { toRawSamples } from './SessionRecorder.js'
+
+const EVALUATION_EPOCHS = 50 // Same as a retrain
+const ROC_POINTS = 100 // Points kept on the reported ROC curve
+
+/**
+ * ModelManager whose normalized vectors zero the features left out of an ablation
+ */
+class AblationModelManager extends ModelManager {
+  /**
+   * @param {Object} options - ModelManager options
+   * @param {Array<boolean>} mask - Features kept, in FEATURE_NAMES order
+   */
+  constructor(options, mask) {
+    super(options)
+    this.mask = mask
+  }
+
+  /**
+   * Normalize a digraph, zeroing the masked out features
+   * @param {Object} features - Raw digraph feature object
+   * @returns {Array|null}
+   */
+  normalizeFeatures(features) {
+    const vector = super.normalizeFeatures(features)
+    return vector && applyMask(vector, this.mask)
+  }
+}
+
+/**
+ * Evaluator - Measures how well the detector separates a profile's typing from impostors
+ * Replays labeled keystroke recordings through FeatureExtractor and ModelManager exactly
+ * as enrollment and prediction do, then reports error rates over the reconstruction
+ * errors of the genuine and impostor test sessions.
+ *
+ * Recordings: { profile, sessions: [{ label: 'genuine' | 'impostor', enrollment, events }] }
+ * where events are raw samples ({ type, code, keyCode, repeat, time }, see toRawSample) or
+ * the event tuples of a SessionRecorder recording.
+ * Genuine sessions marked enrollment train the model; without any, the first genuine
+ * session does. The remaining sessions are scored.
+ *
+ * Runs in the browser or headless in Node (tfjs falls back to its CPU backend).
+ */
+export class Evaluator {
+  /**
+   * Train a model on the enrollment sessions and score the test sessions
+   * @param {Object} recordings - Labeled recordings of one profile
+   * @param {Object} config - { name, detector, architecture, windowSize, epochs, batchSize,
+   *   features }, where features lists the FEATURE_NAMES to use; the others are zeroed for
+   *   an ablation, and architecture, windowSize and epochs only apply to the autoencoder.
+   *   batchSize defaults to the training config's
+   * @returns {Promise<Object>} - { name, config, keystroke, session } where keystroke and
+   *   session are error-rate reports (see computeErrorRates) over per-input errors and
+   *   per-session mean errors
+   */
+  async evaluate(recordings, config = {}) {
+    const {
+      detector = DEFAULT_DETECTOR,
+      architecture = DEFAULT_ARCHITECTURE,
+      windowSize = DEFAULT_WINDOW_SIZE,
+      epochs = EVALUATION_EPOCHS,
+      batchSize = DEFAULT_TRAINING_CONFIG.batchSize,
+      features = FEATURE_NAMES
+    } = config
+    const model = detector === 'autoencoder' ? architecture : detector
+    const name = config.name || `${model}${features.length < FEATURE_NAMES.length ? ` [${features.join(', ')}]` : ''}`
+
+    const { enrollment, genuine, impostor } = splitSessions(recordings)
+    if (enrollment.length === 0 || genuine.length === 0 || impostor.length === 0) {
+      throw new Error('Evaluation needs enrollment, genuine test and impostor test sessions')
+    }
+
+    const mask = FEATURE_NAMES.map(feature => features.includes(feature))
+    const modelManager = new AblationModelManager({ detector, architecture, windowSize }, mask)
+
+    try {
+      // Enrollment: normalization is fitted on all enrollment keystrokes and frozen
+      const extractor = new FeatureExtractor()
+      enrollment
+        .flatMap(session => session.events.flatMap(event => extractor.extractFeatures(event, event.time)))
+        .forEach(digraph => modelManager.addTrainingSample(digraph))
+      modelManager.freezeNormalization()
+
+      const progress = await modelManager.train(batchSize, epochs)
+      if (progress && progress.error) {
+        throw new Error(`Training failed: ${progress.error}`)
+      }
+      if (!modelManager.isReady()) {
+        throw new Error('Not enough enrollment keystrokes to train a model')
+      }
+
+      const scoreSessions = async (sessions) => {
+        const results = []
+        for (const session of sessions) {
+          const errors = await this.scoreSession(modelManager, session.events)
+          if (errors.length > 0) {
+            results.push(errors)
+          }
+        }
+        return results
+      }
+      const genuineErrors = await scoreSessions(genuine)
+      const impostorErrors = await scoreSessions(impostor)
+      if (genuineErrors.length === 0 || impostorErrors.length === 0) {
+        throw new Error('The genuine and impostor test sessions must contain complete keystrokes')
+      }
+
+      const toScore = (error) => modelManager.calibrator.isCalibrated()
+        ? modelManager.calibrator.score(error)
+        : null
+
+      return {
+        name,
+        config: { detector, architecture, windowSize, epochs, batchSize, features: [...features] },
+        trainingSamples: modelManager.trainedSampleCount,
+        keystroke: computeErrorRates(genuineErrors.flat(), impostorErrors.flat(), toScore),
+        session: computeErrorRates(genuineErrors.map(mean), impostorErrors.map(mean), toScore)
+      }
+    } finally {
+      modelManager.reset()
+    }
+  }
+
+  /**
+   * Evaluate several configurations on the same recordings
+   * @param {Object} recordings - Labeled recordings of one profile
+   * @param {Array<Object>} configs - Configurations for evaluate
+   * @returns {Promise<Array<Object>>} - One report per configuration
+   */
+  async compare(recordings, configs) {
+    const reports = []
+    for (const config of configs) {
+      reports.push(await this.evaluate(recordings, config))
+    }
+    return reports
+  }
+
+  /**
+   * Reconstruction errors of one recorded session, replayed like live prediction
+   * @param {ModelManager} modelManager - Trained model
+   * @param {Array<Object>} events - Raw samples of the session
+   * @returns {Promise<Array<number>>} - One error per scored input
+   */
+  async scoreSession(modelManager, events) {
+    const extractor = new FeatureExtractor()
+    extractor.setWindowSize(modelManager.windowSize)
+
+    const inputs = []
+    for (const event of events) {
+      for (const rawFeatures of extractor.extractFeatures(event, event.time)) {
+        const normalized = modelManager.normalizeFeatures(rawFeatures)
+        const input = modelManager.isSequenceModel() ? extractor.pushToWindow(normalized) : normalized
+        if (input) {
+          inputs.push(input)
+        }
+      }
+    }
+
+    return inputs.length > 0 ? modelManager.computeReconstructionErrors(inputs) : []
+  }
+}
+
+/**
+ * FAR, FRR, EER, ROC and best threshold for genuine and impostor errors
+ * An input is rejected when its error is at or above the threshold, so
+ * FRR = genuine errors >= threshold and FAR = impostor errors < threshold.
+ * @param {Array<number>} genuineErrors - Errors of genuine inputs
+ * @param {Array<number>} impostorErrors - Errors of impostor inputs
+ * @param {Function} toScore - Maps an error threshold to a calibrated score, or null
+ * @returns {Object} - { genuineCount, impostorCount, eer, eerThreshold, best, roc },
+ *   where best is the point with the lowest (FAR + FRR) / 2 and roc lists
+ *   { threshold, score, far, frr } points in ascending threshold order
+ */
+export function computeErrorRates(genuineErrors, impostorErrors, toScore = () => null) {
+  const genuine = [...genuineErrors].sort((a, b) => a - b)
+  const impostor = [...impostorErrors].sort((a, b) => a - b)
+  const candidates = [...new Set([...genuine, ...impostor, Infinity])].sort((a, b) => a - b)
+
+  const points = candidates.map(threshold => ({
+    threshold,
+    far: countBelow(impostor, threshold) / impostor.length,
+    frr: 1 - countBelow(genuine, threshold) / genuine.length
+  }))
+
+  // FRR falls and FAR rises with the threshold; the EER lies where they cross
+  let eer = points[0].frr
+  let eerThreshold = points[0].threshold
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1]
+    const point = points[i]
+    if (point.far >= point.frr) {
+      const previousGap = previous.frr - previous.far
+      const gap = point.far - point.frr
+      const t = previousGap + gap > 0 ? previousGap / (previousGap + gap) : 0
+      eer = previous.far + t * (point.far - previous.far)
+      eerThreshold = Number.isFinite(point.threshold)
+        ? previous.threshold + t * (point.threshold - previous.threshold)
+        : previous.threshold
+      break
+    }
+  }
+
+  const best = points.reduce((bestPoint, point) =>
+    point.far + point.frr < bestPoint.far + bestPoint.frr ? point : bestPoint
+  )
+
+  const withScore = (point) => ({
+    ...point,
+    score: Number.isFinite(point.threshold) ? toScore(point.threshold) : null
+  })
+  const step = Math.max(1, Math.ceil(points.length / ROC_POINTS))
+  const roc = points.filter((_, i) => i % step === 0 || i === points.length - 1).map(withScore)
+
+  return {
+    genuineCount: genuine.length,
+    impostorCount: impostor.length,
+    eer,
+    eerThreshold,
+    best: { ...withScore(best), halfTotalErrorRate: (best.far + best.frr) / 2 },
+    roc
+  }
+}
+
+/**
+ * Sort recorded sessions into enrollment, genuine test and impostor test sessions
+ * @param {Object} recordings - Labeled recordings
+ * @returns {Object} - { enrollment, genuine, impostor }
+ */
+function splitSessions(recordings) {
+  const sessions = ((recordings && recordings.sessions) || []).map(session => ({
+    ...session,
+    events: toRawSamples(session.events || [])
+  }))
+  const genuineSessions = sessions.filter(session => session.label === 'genuine')
+  const impostor = sessions.filter(session => session.label === 'impostor')
+
+  let enrollment = genuineSessions.filter(session => session.enrollment)
+  if (enrollment.length === 0) {
+    enrollment = genuineSessions.slice(0, 1)
+  }
+
+  return {
+    enrollment,
+    genuine: genuineSessions.filter(session => !enrollment.includes(session)),
+    impostor
+  }
+}
+
+/**
+ * Zero the features left out of an ablation
+ * @param {Array<number>} vector - Normalized feature vector
+ * @param {Array<boolean>} mask - Features kept
+ * @returns {Array<number>}
+ */
+function applyMask(vector, mask) {
+  return vector.map((value, i) => (mask[i] ? value : 0))
+}
+
+/**
+ * Number of values below a threshold in a sorted array
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} threshold - Threshold
+ * @returns {number}
+ */
+function countBelow(sorted, threshold) {
+  let low = 0
+  let high = sorted.length
+  while (low < high) {
+    const middle = (low + high) >> 1
+    if (sorted[middle] < threshold) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return low
+}
+
+/**
+ * Mean of a non-empty array
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
@@ -1,113 +1,277 @@
+import { resolveKeyCode } from './KeyboardLayout.js'
+import { KeystrokeFilter } from './KeystrokeFilter.js'
+
+/**
+ * Names of the features produced for each digraph (pair of consecutive keystrokes),
+ * in the order they appear in the normalized feature vector
+ * Keys are encoded by their physical position (see KeyboardLayout), so the features
+ * do not depend on the keyboard layout or input language.
+ */
+export const FEATURE_NAMES = [
+  'prevKeyRow', // Keyboard row of the first key
+  'prevKeyColumn', // Horizontal position of the first key
+  'prevKeyHand', // Hand that types the first key
+  'prevKeyFinger', // Finger that types the first key
+  'nextKeyRow', // Keyboard row of the second key
+  'nextKeyColumn', // Horizontal position of the second key
+  'nextKeyHand', // Hand that types the second key
+  'nextKeyFinger', // Finger that types the second key
+  'prevHoldTime', // Dwell time of the first key (down -> up)
+  'nextHoldTime', // Dwell time of the second key (down -> up)
+  'downDownTime', // First key down -> second key down
+  'upDownTime', // First key up -> second key down (negative when keys overlap)
+  'upUpTime' // First key up -> second key up
+]
+
+export const FEATURE_COUNT = FEATURE_NAMES.length
+
+const COMPOSITION_EVENTS = ['compositionstart', 'compositionend']
+
+/**
+ * Convert a keyboard or composition event to the compact raw sample that is queued
+ * for feature extraction and stored for retraining
+ * Replaying raw samples through extractFeatures reproduces the same features
+ * @param {KeyboardEvent|CompositionEvent} event - The keydown, keyup,
+ *   compositionstart or compositionend event
+ * @param {number} time - Event time in milliseconds
+ * @returns {Object} - { type, code, keyCode, repeat, time }
+ */
+export function toRawSample(event, time) {
+  return {
+    type: event.type,
+    code: resolveKeyCode(event) || '',
+    keyCode: event.keyCode || event.which || 0,
+    repeat: Boolean(event.repeat),
+    time
+  }
+}
+
 /**
- * FeatureExtractor - Extracts features from keystroke events
- * Features: Previous key, Next key, Time interval between keystrokes
+ * FeatureExtractor - Extracts keystroke-dynamics features from keydown/keyup events
+ * Features: Position of the previous and next key, hold (dwell) times of both keys
+ * and the down-down, up-down and up-up flight times between them
+ *
+ * IME composition: keys pressed while composing still carry their physical code and
+ * are timed like any other keystroke, but a digraph is never built across a
+ * compositionstart or compositionend, since the pause there is spent picking a
+ * candidate rather than moving between keys. Keys whose position is unknown
+ * (code 'Unidentified' on some virtual keyboards) break the chain the same way.
+ *
+ * Preprocessing (see KeystrokeFilter): only ordinary typing becomes digraphs. Editing,
+ * navigation, function and modifier keys, shortcuts and auto-repeated keys are left
+ * out, and a pause longer than the burst gap ends the typing burst, so the digraph
+ * across it is dropped. Each event's mark is kept in lastMark.
+ *
+ * Digraphs are raw timings in milliseconds; they are normalized with stats fitted on
+ * the enrollment (see FeatureNormalizer).
  */
 export class FeatureExtractor {
   constructor() {
-    this.lastKey = null
-    this.lastKeyTime = null
-    this.maxTimeInterval = 1000 // Maximum time interval for normalization (1 second)
-    this.maxKeyCode = 255 // Maximum key code for normalization
+    this.pendingKeys = new Map() // Keys currently held down, by event.code
+    this.keystrokeQueue = [] // Keystrokes in keydown order, waiting for their keyup
+    this.lastKeystroke = null // Last completed keystroke
+    this.chainBreaks = [] // Times after which no digraph may pair with earlier keystrokes
+    this.staleKeyTimeout = 5000 // Drop a keydown whose keyup never arrived after 5 seconds
+    this.windowSize = 10 // Digraphs kept in the rolling window for sequence models
+    this.featureWindow = [] // Last windowSize normalized feature vectors
+    this.keystrokeFilter = new KeystrokeFilter()
+    this.lastMark = null // { reason, code, time } when the last event was excluded or began a burst
   }
 
   /**
    * Extract features from a keystroke event
-   * @param {KeyboardEvent} event - The keyboard event
-   * @returns {Object|null} - Feature object with prevKey, nextKey, timeInterval, or null if not enough data
+   * A digraph is only complete once both of its keys have been released, so keydown
+   * events never produce features. A single keyup can complete several digraphs when
+   * keys were released out of order during fast rollover.
+   * @param {KeyboardEvent|CompositionEvent|Object} event - The keydown, keyup or
+   *   composition event, or a raw sample from toRawSample
+   * @param {number} currentTime - Event time in milliseconds (defaults to the raw
+   *   sample's time, or the event's timeStamp)
+   * @returns {Array<Object>} - Completed digraph feature objects (possibly empty)
    */
-  extractFeatures(event) {
-    const currentKey = event.keyCode || event.which || 0
-    const currentTime = Date.now()
-
-    // For the first keystroke, we don't have previous key yet
-    if (this.lastKey === null || this.lastKeyTime === null) {
-      this.lastKey = currentKey
-      this.lastKeyTime = currentTime
-      return null
+  extractFeatures(event, currentTime = event.time !== undefined ? event.time : event.timeStamp) {
+    if (COMPOSITION_EVENTS.includes(event.type)) {
+      this.chainBreaks.push(currentTime)
+      return []
     }
 
-    // Calculate time interval
-    const timeInterval = currentTime - this.lastKeyTime
+    this.lastMark = null
+    const currentKey = resolveKeyCode(event)
+    if (currentKey === null) {
+      this.chainBreaks.push(currentTime)
+      return []
+    }
+
+    const mark = this.keystrokeFilter.classify(event, currentTime)
+    if (mark.reason) {
+      this.lastMark = { reason: mark.reason, code: currentKey, time: currentTime }
+    }
+    if (mark.breaksChain) {
+      this.chainBreaks.push(currentTime)
+    }
+    if (mark.reason === 'repeat' && this.pendingKeys.has(currentKey)) {
+      // A held key's hold time is not a typing rhythm
+      this.pendingKeys.get(currentKey).excluded = true
+    }
+    if (mark.excluded) {
+      return []
+    }
+
+    if (event.type === 'keyup') {
+      return this.handleKeyUp(currentKey, currentTime)
+    }
+
+    this.handleKeyDown(currentKey, currentTime, event.repeat)
+    return []
+  }
 
-    // Update max time interval for normalization
-    if (timeInterval > this.maxTimeInterval) {
-      this.maxTimeInterval = timeInterval
+  /**
+   * Register a key press
+   * @param {string} key - Key code string (event.code)
+   * @param {number} time - Event time in milliseconds
+   * @param {boolean} isRepeat - Whether the event is an auto-repeat
+   */
+  handleKeyDown(key, time, isRepeat) {
+    // Auto-repeat keeps the original press; its keyup closes the keystroke
+    if (isRepeat || this.pendingKeys.has(key)) {
+      return
     }
 
-    // Extract features
-    const features = {
-      prevKey: this.lastKey,
-      nextKey: currentKey,
-      timeInterval: timeInterval
+    const keystroke = { key, downTime: time, upTime: null, excluded: false }
+    this.pendingKeys.set(key, keystroke)
+    this.keystrokeQueue.push(keystroke)
+  }
+
+  /**
+   * Register a key release and emit every digraph it completes
+   * @param {string} key - Key code string (event.code)
+   * @param {number} time - Event time in milliseconds
+   * @returns {Array<Object>} - Completed digraph feature objects
+   */
+  handleKeyUp(key, time) {
+    const keystroke = this.pendingKeys.get(key)
+
+    // Key was pressed before the input had focus
+    if (!keystroke) {
+      return []
     }
 
-    // Update state
-    this.lastKey = currentKey
-    this.lastKeyTime = currentTime
+    keystroke.upTime = time
+    this.pendingKeys.delete(key)
 
-    return features
+    return this.flushCompletedKeystrokes(time)
   }
 
   /**
-   * Normalize features to [0, 1] range
-   * @param {Object} features - Raw feature object
-   * @returns {Array} - Normalized feature vector [prevKey, nextKey, timeInterval]
+   * Pop completed keystrokes off the front of the queue in keydown order,
+   * pairing each one with the keystroke before it
+   * @param {number} currentTime - Current event time, used to detect lost keyups
+   * @returns {Array<Object>} - Completed digraph feature objects
    */
-  normalizeFeatures(features) {
-    if (!features) return null
-
-    return [
-      features.prevKey / this.maxKeyCode, // Normalize key code
-      features.nextKey / this.maxKeyCode, // Normalize key code
-      Math.min(features.timeInterval / this.maxTimeInterval, 1.0) // Normalize time interval
-    ]
+  flushCompletedKeystrokes(currentTime) {
+    const completed = []
+
+    while (this.keystrokeQueue.length > 0) {
+      const head = this.keystrokeQueue[0]
+
+      if (head.upTime === null) {
+        // Keyup was lost (e.g. focus moved away), so stop waiting for it
+        if (currentTime - head.downTime > this.staleKeyTimeout) {
+          this.keystrokeQueue.shift()
+          this.pendingKeys.delete(head.key)
+          // The keys on either side of the lost one were not typed in a row
+          this.lastKeystroke = null
+          continue
+        }
+        break
+      }
+
+      this.keystrokeQueue.shift()
+
+      if (head.excluded) {
+        // Pairs with neither neighbour
+        this.lastKeystroke = null
+        continue
+      }
+
+      if (this.lastKeystroke !== null && !this.isChainBroken(this.lastKeystroke, head)) {
+        completed.push(this.buildDigraph(this.lastKeystroke, head))
+      }
+      this.lastKeystroke = head
+      this.chainBreaks = this.chainBreaks.filter(time => time > head.downTime)
+    }
+
+    return completed
   }
 
   /**
-   * Normalize features using provided statistics (for prediction)
-   * @param {Object} features - Raw feature object
-   * @param {Object} stats - Normalization statistics from training
-   * @returns {Array} - Normalized feature vector
+   * Whether a composition boundary or unknown key fell between two keydowns
+   * @param {Object} first - First keystroke
+   * @param {Object} second - Second keystroke
+   * @returns {boolean}
    */
-  normalizeFeaturesWithStats(features, stats) {
-    if (!features || !stats) return null
-
-    return [
-      features.prevKey / stats.maxKeyCode,
-      features.nextKey / stats.maxKeyCode,
-      Math.min(features.timeInterval / stats.maxTimeInterval, 1.0)
-    ]
+  isChainBroken(first, second) {
+    return this.chainBreaks.some(time => time > first.downTime && time <= second.downTime)
   }
 
   /**
-   * Get normalization statistics for saving
-   * @returns {Object} - Statistics object
+   * Build the feature object for a pair of consecutive keystrokes
+   * @param {Object} first - First keystroke { key, downTime, upTime }
+   * @param {Object} second - Second keystroke { key, downTime, upTime }
+   * @returns {Object} - Feature object; prevTime and nextTime are the keydown times,
+   *   which locate the keys but are not features
    */
-  getStats() {
+  buildDigraph(first, second) {
     return {
-      maxKeyCode: this.maxKeyCode,
-      maxTimeInterval: this.maxTimeInterval
+      prevKey: first.key,
+      nextKey: second.key,
+      prevTime: first.downTime,
+      nextTime: second.downTime,
+      prevHoldTime: first.upTime - first.downTime,
+      nextHoldTime: second.upTime - second.downTime,
+      downDownTime: second.downTime - first.downTime,
+      upDownTime: second.downTime - first.upTime,
+      upUpTime: second.upTime - first.upTime
     }
   }
 
   /**
-   * Set normalization statistics from loaded model
-   * @param {Object} stats - Statistics object
+   * Set the rolling window length used by sequence models
+   * @param {number} windowSize - Number of digraphs per window
+   */
+  setWindowSize(windowSize) {
+    this.windowSize = windowSize
+    this.featureWindow = this.featureWindow.slice(-windowSize)
+  }
+
+  /**
+   * Append a normalized feature vector to the rolling window
+   * @param {Array} normalizedFeatures - Normalized feature vector
+   * @returns {Array|null} - Copy of the last windowSize vectors, or null until the window is full
    */
-  setStats(stats) {
-    if (stats) {
-      this.maxKeyCode = stats.maxKeyCode || 255
-      this.maxTimeInterval = stats.maxTimeInterval || 1000
+  pushToWindow(normalizedFeatures) {
+    if (!normalizedFeatures) return null
+
+    this.featureWindow.push(normalizedFeatures)
+    if (this.featureWindow.length > this.windowSize) {
+      this.featureWindow.shift()
     }
+
+    return this.featureWindow.length === this.windowSize
+      ? this.featureWindow.slice()
+      : null
   }
 
   /**
    * Reset the feature extractor
    */
   reset() {
-    this.lastKey = null
-    this.lastKeyTime = null
-    this.maxTimeInterval = 1000
+    this.pendingKeys.clear()
+    this.keystrokeQueue = []
+    this.lastKeystroke = null
+    this.chainBreaks = []
+    this.featureWindow = []
+    this.keystrokeFilter.reset()
+    this.lastMark = null
   }
 }
-
@@ -0,0 +1,86 @@
+import { encodeKey } from './KeyboardLayout.js'
+
+/**
+ * Robust normalization of digraph timings
+ * Timings are log-transformed (sign-preserving, since flight times are negative when
+ * keys overlap), then centered on their enrollment median and divided by their
+ * interquartile range. The stats are fitted once on the whole enrollment and frozen,
+ * so a few long intervals neither shift nor stretch the scale the way a running
+ * maximum did. Key geometry is already in [0, 1] and passes through unchanged.
+ */
+
+export const NORMALIZATION_METHOD = 'log-robust'
+
+// Timing features, in FEATURE_NAMES order after the key geometry
+export const TIMING_FEATURES = ['prevHoldTime', 'nextHoldTime', 'downDownTime', 'upDownTime', 'upUpTime']
+
+const MIN_SPREAD = 0.1 // Floor for the log-space IQR, about a 10% change in timing
+const MAX_DEVIATION = 5 // Normalized timings are clamped to this many IQRs from the median
+
+/**
+ * Sign-preserving log transform
+ * @param {number} time - Timing in milliseconds
+ * @returns {number}
+ */
+function signedLog(time) {
+  return Math.sign(time) * Math.log1p(Math.abs(time))
+}
+
+/**
+ * Value at a probability of a sorted sample, interpolated
+ * @param {Array<number>} sorted - Sorted values
+ * @param {number} probability - Probability in [0, 1]
+ * @returns {number}
+ */
+function quantile(sorted, probability) {
+  const position = probability * (sorted.length - 1)
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+/**
+ * Fit normalization stats on a set of digraphs
+ * @param {Array<Object>} digraphs - Raw feature objects from FeatureExtractor
+ * @returns {Object|null} - { method, sampleCount, timings }, where timings maps each of
+ *   TIMING_FEATURES to { median, spread } in log space; null without digraphs
+ */
+export function fitNormalization(digraphs) {
+  if (digraphs.length === 0) {
+    return null
+  }
+
+  const timings = {}
+  TIMING_FEATURES.forEach(feature => {
+    const sorted = digraphs.map(digraph => signedLog(digraph[feature])).sort((a, b) => a - b)
+    timings[feature] = {
+      median: quantile(sorted, 0.5),
+      spread: Math.max(quantile(sorted, 0.75) - quantile(sorted, 0.25), MIN_SPREAD)
+    }
+  })
+
+  return { method: NORMALIZATION_METHOD, sampleCount: digraphs.length, timings }
+}
+
+/**
+ * Convert a raw feature object into a normalized vector
+ * @param {Object} features - Raw feature object
+ * @param {Object} stats - From fitNormalization
+ * @returns {Array|null} - Normalized feature vector in FEATURE_NAMES order, or null
+ *   without features or stats
+ */
+export function normalizeFeatures(features, stats) {
+  if (!features || !stats) {
+    return null
+  }
+
+  return [
+    ...encodeKey(features.prevKey),
+    ...encodeKey(features.nextKey),
+    ...TIMING_FEATURES.map(feature => {
+      const { median, spread } = stats.timings[feature]
+      const deviation = (signedLog(features[feature]) - median) / spread
+      return Math.max(-MAX_DEVIATION, Math.min(deviation, MAX_DEVIATION))
+    })
+  ]
+}
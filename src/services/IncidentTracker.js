@@ -0,0 +1,216 @@
+import { getKeyLabel } from './KeyboardLayout.js'
+
+/**
+ * Kinds of incident
+ * - verdict-change: the session verdict changed (see VerdictEngine)
+ * - threshold-crossing: a keystroke score rose to the anomalous cutoff from below it
+ */
+export const INCIDENT_TYPES = ['verdict-change', 'threshold-crossing']
+
+export const INCIDENT_SEVERITIES = ['info', 'warning', 'critical']
+
+export const DEFAULT_INCIDENT_OPTIONS = {
+  windowDuration: 30000, // Scores of the last 30 seconds describe an incident
+  crossingCooldown: 10000, // Shortest time between two threshold-crossing incidents
+  maxWindowScores: 500 // Scores kept for the window, however fast they arrive
+}
+
+let incidentCounter = 0 // Keeps incident ids unique within the same millisecond
+
+/**
+ * IncidentTracker - Turns verdict changes and threshold crossings into structured
+ * incidents
+ * Keeps the scores of the last windowDuration, so every incident carries the score
+ * statistics of the typing that led to it, and the latest explanation among them.
+ * Incidents are plain JSON:
+ *   { id, type, severity, profile, detector, createdAt,
+ *     window: { start, end, scoreCount },
+ *     scores: { mean, min, max, last, suspiciousCount, anomalousCount },
+ *     thresholds: { suspicious, anomalous } | null,
+ *     verdict: { verdict, previous, method, statistic } | null,
+ *     explanation: { keys, labels, reasons, features } | null }
+ * with times as ISO strings. Storage and delivery add a delivery field (see
+ * IncidentWebhook).
+ */
+export class IncidentTracker {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_INCIDENT_OPTIONS
+   * @param {Function} now - Wall-clock time source in milliseconds
+   */
+  constructor(options = {}, now = () => Date.now()) {
+    this.options = { ...DEFAULT_INCIDENT_OPTIONS, ...options }
+    this.now = now
+    this.reset()
+  }
+
+  /**
+   * Add a keystroke score
+   * @param {Object} result - Score event { score, explanation } (see ModelSession)
+   * @param {Object} context - { profile, detector, thresholds, verdict } where verdict is
+   *   the current VerdictEngine result, or null
+   * @returns {Object|null} - A threshold-crossing incident, or null
+   */
+  addScore(result, context) {
+    const time = this.now()
+    this.recentScores.push({ time, score: result.score, explanation: result.explanation || null })
+    this.pruneScores(time)
+
+    const { thresholds } = context
+    if (!thresholds) {
+      return null
+    }
+
+    const wasAnomalous = this.anomalous
+    this.anomalous = result.score >= thresholds.anomalous
+    if (!this.anomalous || wasAnomalous ||
+        (this.lastCrossingTime !== null && time - this.lastCrossingTime < this.options.crossingCooldown)) {
+      return null
+    }
+
+    this.lastCrossingTime = time
+    return this.createIncident('threshold-crossing', 'warning', context, time, {
+      verdict: context.verdict ? describeVerdict(context.verdict, null) : null
+    })
+  }
+
+  /**
+   * Add a session verdict
+   * @param {Object} result - From VerdictEngine.addScore
+   * @param {string|null} previousVerdict - Verdict before this result
+   * @param {Object} context - { profile, detector, thresholds }
+   * @returns {Object|null} - A verdict-change incident when the verdict changed, or null
+   */
+  addVerdict(result, previousVerdict, context) {
+    if (!result.changed) {
+      return null
+    }
+    const time = this.now()
+    this.pruneScores(time)
+    return this.createIncident(
+      'verdict-change',
+      result.verdict === 'impostor' ? 'critical' : 'info',
+      context,
+      time,
+      { verdict: describeVerdict(result, previousVerdict) }
+    )
+  }
+
+  /**
+   * Drop scores older than the window
+   * @param {number} time - Current time in milliseconds
+   */
+  pruneScores(time) {
+    const { windowDuration, maxWindowScores } = this.options
+    this.recentScores = this.recentScores
+      .filter(entry => time - entry.time <= windowDuration)
+      .slice(-maxWindowScores)
+  }
+
+  /**
+   * Build an incident from the scores in the window
+   * @param {string} type - One of INCIDENT_TYPES
+   * @param {string} severity - One of INCIDENT_SEVERITIES
+   * @param {Object} context - { profile, detector, thresholds }
+   * @param {number} time - Current time in milliseconds
+   * @param {Object} fields - Type-specific fields
+   * @returns {Object}
+   */
+  createIncident(type, severity, context, time, fields) {
+    const { profile, detector, thresholds } = context
+    const scores = this.recentScores.map(entry => entry.score)
+    const explained = this.recentScores.filter(entry => entry.explanation)
+    const start = this.recentScores.length > 0 ? this.recentScores[0].time : time
+
+    return {
+      id: createIncidentId(time),
+      type,
+      severity,
+      profile,
+      detector: detector || null,
+      createdAt: new Date(time).toISOString(),
+      window: {
+        start: new Date(start).toISOString(),
+        end: new Date(time).toISOString(),
+        scoreCount: scores.length
+      },
+      scores: summarizeScores(scores, thresholds),
+      thresholds: thresholds ? { suspicious: thresholds.suspicious, anomalous: thresholds.anomalous } : null,
+      verdict: null,
+      explanation: explained.length > 0 ? describeExplanation(explained[explained.length - 1].explanation) : null,
+      ...fields
+    }
+  }
+
+  /**
+   * Forget the window and crossing state, e.g. when a new session starts
+   */
+  reset() {
+    this.recentScores = [] // { time, score, explanation } within the window
+    this.anomalous = false // Whether the last score was at or above the anomalous cutoff
+    this.lastCrossingTime = null
+  }
+}
+
+/**
+ * Unique incident id
+ * crypto.randomUUID only exists in secure contexts, and the tracker has to work on
+ * plain-http pages too, so the id is the time, a counter and a random suffix.
+ * @param {number} time - Incident time in milliseconds
+ * @returns {string}
+ */
+function createIncidentId(time) {
+  incidentCounter++
+  return `${Math.round(time).toString(36)}-${incidentCounter.toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Statistics of the scores in an incident's window
+ * @param {Array<number>} scores - Scores, oldest first
+ * @param {Object|null} thresholds - { suspicious, anomalous }
+ * @returns {Object|null} - { mean, min, max, last, suspiciousCount, anomalousCount }
+ *   (the counts are null without thresholds), or null without scores
+ */
+function summarizeScores(scores, thresholds) {
+  if (scores.length === 0) {
+    return null
+  }
+  return {
+    mean: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+    min: Math.min(...scores),
+    max: Math.max(...scores),
+    last: scores[scores.length - 1],
+    suspiciousCount: thresholds
+      ? scores.filter(score => score >= thresholds.suspicious && score < thresholds.anomalous).length
+      : null,
+    anomalousCount: thresholds ? scores.filter(score => score >= thresholds.anomalous).length : null
+  }
+}
+
+/**
+ * Verdict fields of an incident
+ * @param {Object} result - VerdictEngine result
+ * @param {string|null} previous - Previous verdict
+ * @returns {Object} - { verdict, previous, method, statistic }
+ */
+function describeVerdict(result, previous) {
+  return {
+    verdict: result.verdict,
+    previous,
+    method: result.evidence.method,
+    statistic: result.evidence.statistic
+  }
+}
+
+/**
+ * Keep the parts of a score explanation that mean something outside this page
+ * @param {Object} explanation - From explainScore
+ * @returns {Object} - { keys, labels, reasons, features }; labels are the keys as typed
+ */
+function describeExplanation(explanation) {
+  return {
+    keys: explanation.keys,
+    labels: explanation.keys.map(getKeyLabel),
+    reasons: explanation.reasons,
+    features: explanation.features
+  }
+}
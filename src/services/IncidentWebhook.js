@@ -0,0 +1,323 @@
+export const DEFAULT_WEBHOOK_CONFIG = {
+  enabled: false,
+  url: '', // http(s) endpoint that receives a POST per incident
+  token: '', // Sent as a bearer token when set
+  maxAttempts: 5 // Attempts per incident before it is marked failed
+}
+
+export const WEBHOOK_FORMAT = 'typing-behavior-incident'
+export const WEBHOOK_FORMAT_VERSION = 1
+
+const RETRY_BASE_DELAY = 1000 // First retry after 1 second, doubling after each failure
+const RETRY_MAX_DELAY = 60000
+
+/**
+ * Check a webhook configuration
+ * @param {Object} config - Webhook configuration
+ * @returns {string|null} - What is wrong with it, or null when it can be used
+ */
+export function validateWebhookConfig(config) {
+  if (!config.enabled) {
+    return null
+  }
+  let url
+  try {
+    url = new URL(config.url)
+  } catch (error) {
+    return 'Enter the full webhook URL, e.g. http://localhost:8787/incidents'
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'The webhook URL must start with http:// or https://'
+  }
+  if (!(config.maxAttempts >= 1)) {
+    return 'Allow at least one delivery attempt'
+  }
+  return null
+}
+
+/**
+ * IncidentWebhook - POSTs incidents to a configurable endpoint
+ * Incidents are queued in storage with a delivery field
+ *   { status: 'pending' | 'delivered' | 'failed', attempts, lastAttemptAt, lastError,
+ *     deliveredAt }
+ * and delivered oldest first, one at a time, so the receiver sees them in order.
+ * A failed attempt is retried with exponential backoff until maxAttempts; the incident
+ * is then marked failed and left for retryFailed. While the browser is offline no
+ * attempt is made, and the queue is flushed once it comes back online. The queue is
+ * reloaded from storage on start, so incidents raised before a reload are still sent.
+ */
+export class IncidentWebhook {
+  /**
+   * @param {Object} options
+   * @param {StorageManager} options.storageManager - Where incidents are queued
+   * @param {Function} options.fetch - fetch implementation
+   * @param {Function} options.onDelivery - Called with (incident) when its delivery
+   *   state changes
+   * @param {Function} options.onStatus - Called with getStatus() when the queue changes
+   */
+  constructor({ storageManager, fetch = (...args) => globalThis.fetch(...args), onDelivery = () => {}, onStatus = () => {} }) {
+    this.storageManager = storageManager
+    this.fetch = fetch
+    this.onDelivery = onDelivery
+    this.onStatus = onStatus
+    this.config = { ...DEFAULT_WEBHOOK_CONFIG }
+    this.queue = [] // Pending incidents, oldest first
+    this.failedCount = 0
+    this.lastDeliveredAt = null
+    this.lastError = null
+    this.flushing = false
+    this.retryTimer = null
+    this.handleOnline = () => this.flush()
+  }
+
+  /**
+   * Reload the queue from storage and start delivering
+   * @param {Object} config - Webhook configuration
+   */
+  async start(config) {
+    this.setConfig(config)
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline)
+    }
+    await this.reload()
+  }
+
+  /**
+   * Stop delivering; queued incidents stay in storage
+   */
+  stop() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline)
+    }
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
+  }
+
+  /**
+   * Change the configuration and flush the queue with it
+   * @param {Object} config - Webhook configuration
+   * @throws {Error} - When the configuration cannot be used
+   */
+  setConfig(config) {
+    const merged = { ...DEFAULT_WEBHOOK_CONFIG, ...config }
+    const problem = validateWebhookConfig(merged)
+    if (problem) {
+      throw new Error(problem)
+    }
+    this.config = merged
+    this.lastError = null
+    this.scheduleFlush(0)
+  }
+
+  /**
+   * Read the pending incidents back from storage
+   */
+  async reload() {
+    const pending = await this.storageManager.loadIncidentsByDelivery('pending')
+    const queued = new Set(this.queue.map(incident => incident.id))
+    this.queue = sortByCreation([...this.queue, ...pending.filter(incident => !queued.has(incident.id))])
+    this.failedCount = (await this.storageManager.loadIncidentsByDelivery('failed')).length
+    this.notifyStatus()
+    this.scheduleFlush(0)
+  }
+
+  /**
+   * Queue a stored incident for delivery
+   * @param {Object} incident - Incident whose delivery status is pending
+   */
+  enqueue(incident) {
+    this.queue.push(incident)
+    this.notifyStatus()
+    // Keep the backoff of an endpoint that is failing instead of retrying at once
+    if (!this.isBackingOff()) {
+      this.scheduleFlush(0)
+    }
+  }
+
+  /**
+   * Whether a retry of a failed attempt is scheduled
+   * @returns {boolean}
+   */
+  isBackingOff() {
+    const head = this.queue[0]
+    return this.retryTimer !== null && Boolean(head && head.delivery && head.delivery.attempts > 0)
+  }
+
+  /**
+   * Queue every failed incident again with fresh attempts
+   * @returns {Promise<number>} - Number of incidents queued
+   */
+  async retryFailed() {
+    const failed = await this.storageManager.loadIncidentsByDelivery('failed')
+    for (const incident of failed) {
+      await this.updateDelivery(incident, { ...incident.delivery, status: 'pending', attempts: 0, lastError: null })
+    }
+    this.queue = sortByCreation([...this.queue, ...failed])
+    this.failedCount = 0
+    this.notifyStatus()
+    this.scheduleFlush(0)
+    return failed.length
+  }
+
+  /**
+   * Flush the queue after a delay, replacing a flush scheduled earlier
+   * @param {number} delay - Delay in milliseconds
+   */
+  scheduleFlush(delay) {
+    clearTimeout(this.retryTimer)
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null
+      this.flush()
+    }, delay)
+  }
+
+  /**
+   * Deliver queued incidents oldest first, stopping at the first failure
+   * Storage errors end the flush and are reported as the last error.
+   * @returns {Promise<number>} - Number of incidents delivered
+   */
+  async flush() {
+    if (this.flushing || !this.config.enabled || this.queue.length === 0 || isOffline()) {
+      return 0
+    }
+    this.flushing = true
+    let delivered = 0
+    try {
+      while (this.queue.length > 0 && this.config.enabled && !isOffline()) {
+        const incident = this.queue[0]
+        if (!await this.deliver(incident)) {
+          if (incident.delivery.status === 'pending') {
+            this.scheduleFlush(retryDelay(incident.delivery.attempts))
+          } else {
+            // Gave up on this one; carry on with the rest
+            this.queue.shift()
+            this.failedCount++
+            this.notifyStatus()
+            continue
+          }
+          break
+        }
+        this.queue.shift()
+        delivered++
+        this.notifyStatus()
+      }
+    } catch (error) {
+      console.error('Error delivering incidents:', error)
+      this.lastError = error.message || 'Storage error'
+      this.notifyStatus()
+    } finally {
+      this.flushing = false
+    }
+    return delivered
+  }
+
+  /**
+   * Make one delivery attempt
+   * @param {Object} incident - Queued incident
+   * @returns {Promise<boolean>} - Whether the endpoint accepted it
+   */
+  async deliver(incident) {
+    const { url, token, maxAttempts } = this.config
+    const attemptedAt = new Date().toISOString()
+    const attempts = (incident.delivery ? incident.delivery.attempts : 0) + 1
+    const { delivery, ...payload } = incident
+
+    let error = null
+    try {
+      const headers = { 'Content-Type': 'application/json' }
+      if (token) {
+        headers.Authorization = `Bearer ${token}`
+      }
+      const response = await this.fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ format: WEBHOOK_FORMAT, formatVersion: WEBHOOK_FORMAT_VERSION, incident: payload })
+      })
+      if (!response.ok) {
+        error = `HTTP ${response.status}`
+      }
+    } catch (fetchError) {
+      error = fetchError.message || 'Network error'
+    }
+
+    this.lastError = error
+    if (error === null) {
+      this.lastDeliveredAt = attemptedAt
+    }
+    await this.updateDelivery(incident, {
+      status: error === null ? 'delivered' : (attempts >= maxAttempts ? 'failed' : 'pending'),
+      attempts,
+      lastAttemptAt: attemptedAt,
+      lastError: error,
+      deliveredAt: error === null ? attemptedAt : null
+    })
+    return error === null
+  }
+
+  /**
+   * Store and report an incident's new delivery state
+   * @param {Object} incident - Incident; its delivery field is replaced
+   * @param {Object} delivery - New delivery state
+   */
+  async updateDelivery(incident, delivery) {
+    incident.delivery = delivery
+    await this.storageManager.updateIncidentDelivery(incident.id, delivery)
+    this.onDelivery(incident)
+  }
+
+  /**
+   * Drop queued incidents of a profile, e.g. after they were cleared from the log
+   * @param {string} profileName - Profile name
+   */
+  forget(profileName) {
+    this.queue = this.queue.filter(incident => incident.profile !== profileName)
+    this.notifyStatus()
+  }
+
+  /**
+   * Delivery status
+   * @returns {Object} - { pending, failed, lastDeliveredAt, lastError, offline }
+   */
+  getStatus() {
+    return {
+      pending: this.queue.length,
+      failed: this.failedCount,
+      lastDeliveredAt: this.lastDeliveredAt,
+      lastError: this.lastError,
+      offline: isOffline()
+    }
+  }
+
+  /**
+   * Report the delivery status
+   */
+  notifyStatus() {
+    this.onStatus(this.getStatus())
+  }
+}
+
+/**
+ * Whether the browser reports being offline
+ * @returns {boolean}
+ */
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false
+}
+
+/**
+ * Sort incidents oldest first
+ * @param {Array<Object>} incidents - Incidents in any order
+ * @returns {Array<Object>}
+ */
+function sortByCreation(incidents) {
+  return incidents.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY)
+}
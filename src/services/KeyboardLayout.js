@@ -0,0 +1,268 @@
+/**
+ * Physical keyboard geometry, keyed by KeyboardEvent.code
+ * event.code names the physical key position (after the US layout), whatever
+ * character the active layout or IME produces, so the same finger movement gets the
+ * same encoding on QWERTY, AZERTY, Dvorak or a Japanese keyboard.
+ *
+ * Row: 0 function row, 1 digit row, 2 top letter row, 3 home row, 4 bottom row,
+ *      5 space bar row
+ * Column: Horizontal key position in key widths from the left edge, with the
+ *      navigation cluster and numeric keypad to the right of the main block
+ * Hand: 0 left, 1 right, 0.5 either (space bar)
+ * Finger: 0 thumb, 1 index, 2 middle, 3 ring, 4 pinky (touch-typing assignment)
+ */
+
+export const KEY_CATEGORIES = [
+  'letter',
+  'digit',
+  'punctuation',
+  'whitespace',
+  'editing',
+  'navigation',
+  'modifier',
+  'function',
+  'numpad',
+  'other'
+]
+
+const MAX_ROW = 5
+const MAX_COLUMN = 22
+const MAX_FINGER = 4
+
+const LEFT = 0
+const RIGHT = 1
+const EITHER = 0.5
+
+const THUMB = 0
+const INDEX = 1
+const MIDDLE = 2
+const RING = 3
+const PINKY = 4
+
+// [code, column, hand, finger, category] per row of the main block
+const MAIN_ROWS = [
+  [
+    ['Escape', 0, LEFT, PINKY, 'function'],
+    ...Array.from({ length: 12 }, (_, i) => [`F${i + 1}`, 2 + i + Math.floor(i / 4) * 0.5, i < 6 ? LEFT : RIGHT, MIDDLE, 'function'])
+  ],
+  [
+    ['Backquote', 0, LEFT, PINKY, 'punctuation'],
+    ['Digit1', 1, LEFT, PINKY, 'digit'],
+    ['Digit2', 2, LEFT, RING, 'digit'],
+    ['Digit3', 3, LEFT, MIDDLE, 'digit'],
+    ['Digit4', 4, LEFT, INDEX, 'digit'],
+    ['Digit5', 5, LEFT, INDEX, 'digit'],
+    ['Digit6', 6, RIGHT, INDEX, 'digit'],
+    ['Digit7', 7, RIGHT, INDEX, 'digit'],
+    ['Digit8', 8, RIGHT, MIDDLE, 'digit'],
+    ['Digit9', 9, RIGHT, RING, 'digit'],
+    ['Digit0', 10, RIGHT, PINKY, 'digit'],
+    ['Minus', 11, RIGHT, PINKY, 'punctuation'],
+    ['Equal', 12, RIGHT, PINKY, 'punctuation'],
+    ['Backspace', 13.5, RIGHT, PINKY, 'editing']
+  ],
+  [
+    ['Tab', 0.25, LEFT, PINKY, 'whitespace'],
+    ['KeyQ', 1.5, LEFT, PINKY, 'letter'],
+    ['KeyW', 2.5, LEFT, RING, 'letter'],
+    ['KeyE', 3.5, LEFT, MIDDLE, 'letter'],
+    ['KeyR', 4.5, LEFT, INDEX, 'letter'],
+    ['KeyT', 5.5, LEFT, INDEX, 'letter'],
+    ['KeyY', 6.5, RIGHT, INDEX, 'letter'],
+    ['KeyU', 7.5, RIGHT, INDEX, 'letter'],
+    ['KeyI', 8.5, RIGHT, MIDDLE, 'letter'],
+    ['KeyO', 9.5, RIGHT, RING, 'letter'],
+    ['KeyP', 10.5, RIGHT, PINKY, 'letter'],
+    ['BracketLeft', 11.5, RIGHT, PINKY, 'punctuation'],
+    ['BracketRight', 12.5, RIGHT, PINKY, 'punctuation'],
+    ['Backslash', 13.75, RIGHT, PINKY, 'punctuation']
+  ],
+  [
+    ['CapsLock', 0.4, LEFT, PINKY, 'modifier'],
+    ['KeyA', 1.75, LEFT, PINKY, 'letter'],
+    ['KeyS', 2.75, LEFT, RING, 'letter'],
+    ['KeyD', 3.75, LEFT, MIDDLE, 'letter'],
+    ['KeyF', 4.75, LEFT, INDEX, 'letter'],
+    ['KeyG', 5.75, LEFT, INDEX, 'letter'],
+    ['KeyH', 6.75, RIGHT, INDEX, 'letter'],
+    ['KeyJ', 7.75, RIGHT, INDEX, 'letter'],
+    ['KeyK', 8.75, RIGHT, MIDDLE, 'letter'],
+    ['KeyL', 9.75, RIGHT, RING, 'letter'],
+    ['Semicolon', 10.75, RIGHT, PINKY, 'punctuation'],
+    ['Quote', 11.75, RIGHT, PINKY, 'punctuation'],
+    ['Enter', 13.4, RIGHT, PINKY, 'whitespace']
+  ],
+  [
+    ['ShiftLeft', 0.6, LEFT, PINKY, 'modifier'],
+    ['IntlBackslash', 1.25, LEFT, PINKY, 'punctuation'],
+    ['KeyZ', 2.25, LEFT, PINKY, 'letter'],
+    ['KeyX', 3.25, LEFT, RING, 'letter'],
+    ['KeyC', 4.25, LEFT, MIDDLE, 'letter'],
+    ['KeyV', 5.25, LEFT, INDEX, 'letter'],
+    ['KeyB', 6.25, LEFT, INDEX, 'letter'],
+    ['KeyN', 7.25, RIGHT, INDEX, 'letter'],
+    ['KeyM', 8.25, RIGHT, INDEX, 'letter'],
+    ['Comma', 9.25, RIGHT, MIDDLE, 'punctuation'],
+    ['Period', 10.25, RIGHT, RING, 'punctuation'],
+    ['Slash', 11.25, RIGHT, PINKY, 'punctuation'],
+    ['IntlRo', 12.25, RIGHT, PINKY, 'punctuation'],
+    ['ShiftRight', 13.1, RIGHT, PINKY, 'modifier']
+  ],
+  [
+    ['ControlLeft', 0.6, LEFT, PINKY, 'modifier'],
+    ['MetaLeft', 1.9, LEFT, THUMB, 'modifier'],
+    ['AltLeft', 3.1, LEFT, THUMB, 'modifier'],
+    ['Lang2', 4, LEFT, THUMB, 'modifier'],
+    ['NonConvert', 4, LEFT, THUMB, 'modifier'],
+    ['Space', 7, EITHER, THUMB, 'whitespace'],
+    ['Lang1', 10, RIGHT, THUMB, 'modifier'],
+    ['Convert', 10, RIGHT, THUMB, 'modifier'],
+    ['KanaMode', 10.5, RIGHT, THUMB, 'modifier'],
+    ['AltRight', 11, RIGHT, THUMB, 'modifier'],
+    ['MetaRight', 12, RIGHT, THUMB, 'modifier'],
+    ['ContextMenu', 13, RIGHT, PINKY, 'modifier'],
+    ['ControlRight', 14, RIGHT, PINKY, 'modifier']
+  ]
+]
+
+// [code, row, column, finger, category]; all typed with the right hand
+const RIGHT_BLOCK_KEYS = [
+  ['PrintScreen', 0, 15, MIDDLE, 'function'],
+  ['ScrollLock', 0, 16, MIDDLE, 'function'],
+  ['Pause', 0, 17, MIDDLE, 'function'],
+  ['Insert', 1, 15, INDEX, 'editing'],
+  ['Home', 1, 16, MIDDLE, 'navigation'],
+  ['PageUp', 1, 17, RING, 'navigation'],
+  ['Delete', 2, 15, INDEX, 'editing'],
+  ['End', 2, 16, MIDDLE, 'navigation'],
+  ['PageDown', 2, 17, RING, 'navigation'],
+  ['ArrowUp', 4, 16, MIDDLE, 'navigation'],
+  ['ArrowLeft', 5, 15, INDEX, 'navigation'],
+  ['ArrowDown', 5, 16, MIDDLE, 'navigation'],
+  ['ArrowRight', 5, 17, RING, 'navigation'],
+  ['NumLock', 1, 18.5, INDEX, 'numpad'],
+  ['NumpadDivide', 1, 19.5, MIDDLE, 'numpad'],
+  ['NumpadMultiply', 1, 20.5, RING, 'numpad'],
+  ['NumpadSubtract', 1, 21.5, PINKY, 'numpad'],
+  ['Numpad7', 2, 18.5, INDEX, 'numpad'],
+  ['Numpad8', 2, 19.5, MIDDLE, 'numpad'],
+  ['Numpad9', 2, 20.5, RING, 'numpad'],
+  ['NumpadAdd', 2.5, 21.5, PINKY, 'numpad'],
+  ['Numpad4', 3, 18.5, INDEX, 'numpad'],
+  ['Numpad5', 3, 19.5, MIDDLE, 'numpad'],
+  ['Numpad6', 3, 20.5, RING, 'numpad'],
+  ['Numpad1', 4, 18.5, INDEX, 'numpad'],
+  ['Numpad2', 4, 19.5, MIDDLE, 'numpad'],
+  ['Numpad3', 4, 20.5, RING, 'numpad'],
+  ['NumpadEnter', 4.5, 21.5, PINKY, 'numpad'],
+  ['Numpad0', 5, 19, THUMB, 'numpad'],
+  ['NumpadDecimal', 5, 20.5, RING, 'numpad']
+]
+
+const KEYS = new Map()
+MAIN_ROWS.forEach((keys, row) => {
+  keys.forEach(([code, column, hand, finger, category]) => {
+    KEYS.set(code, { code, row, column, hand, finger, category })
+  })
+})
+RIGHT_BLOCK_KEYS.forEach(([code, row, column, finger, category]) => {
+  KEYS.set(code, { code, row, column, hand: RIGHT, finger, category })
+})
+
+// Keys that cannot be placed (media keys, unknown codes) share one neutral position
+const UNKNOWN_KEY = { code: null, row: 0, column: 0, hand: EITHER, finger: 0, category: 'other' }
+
+// keyCode -> code for raw samples saved before keys were recorded by code (US layout)
+const LEGACY_KEY_CODES = {
+  8: 'Backspace', 9: 'Tab', 13: 'Enter', 16: 'ShiftLeft', 17: 'ControlLeft', 18: 'AltLeft',
+  19: 'Pause', 20: 'CapsLock', 27: 'Escape', 32: 'Space', 33: 'PageUp', 34: 'PageDown',
+  35: 'End', 36: 'Home', 37: 'ArrowLeft', 38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown',
+  45: 'Insert', 46: 'Delete', 91: 'MetaLeft', 92: 'MetaRight', 93: 'ContextMenu',
+  106: 'NumpadMultiply', 107: 'NumpadAdd', 109: 'NumpadSubtract', 110: 'NumpadDecimal',
+  111: 'NumpadDivide', 144: 'NumLock', 145: 'ScrollLock', 186: 'Semicolon', 187: 'Equal',
+  188: 'Comma', 189: 'Minus', 190: 'Period', 191: 'Slash', 192: 'Backquote',
+  219: 'BracketLeft', 220: 'Backslash', 221: 'BracketRight', 222: 'Quote'
+}
+
+/**
+ * Physical key of a keyboard event or raw sample
+ * Prefers event.code. Raw samples saved before codes were recorded only have a
+ * keyCode, which is mapped as on a US layout. During IME composition keyCode is 229,
+ * but code still names the physical key.
+ * @param {KeyboardEvent|Object} event - Keyboard event or raw sample
+ * @returns {string|null} - Key code string, or null when the key cannot be located
+ */
+export function resolveKeyCode(event) {
+  if (event.code && event.code !== 'Unidentified') {
+    return event.code
+  }
+
+  const keyCode = event.keyCode || event.which || 0
+  if (keyCode >= 65 && keyCode <= 90) {
+    return `Key${String.fromCharCode(keyCode)}`
+  }
+  if (keyCode >= 48 && keyCode <= 57) {
+    return `Digit${keyCode - 48}`
+  }
+  if (keyCode >= 96 && keyCode <= 105) {
+    return `Numpad${keyCode - 96}`
+  }
+  if (keyCode >= 112 && keyCode <= 123) {
+    return `F${keyCode - 111}`
+  }
+  return LEGACY_KEY_CODES[keyCode] || null
+}
+
+/**
+ * Geometry and category of a key
+ * @param {string|null} code - Key code string
+ * @returns {Object} - { code, row, column, hand, finger, category }
+ */
+export function getKeyInfo(code) {
+  return KEYS.get(code) || UNKNOWN_KEY
+}
+
+/**
+ * Encode a key as [row, column, hand, finger], each scaled to [0, 1]
+ * Neighbouring keys get nearby values and keys typed by the same finger share one,
+ * which a raw keyCode does not provide
+ * @param {string|null} code - Key code string
+ * @returns {Array<number>}
+ */
+export function encodeKey(code) {
+  const { row, column, hand, finger } = getKeyInfo(code)
+  return [row / MAX_ROW, column / MAX_COLUMN, hand, finger / MAX_FINGER]
+}
+
+// Printed labels of keys whose code does not end in their character
+const KEY_LABELS = {
+  Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+  Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/', IntlBackslash: '\\',
+  IntlRo: 'ろ', Space: '␣', Backspace: '⌫', Enter: '⏎', Tab: 'Tab', CapsLock: 'Caps',
+  ShiftLeft: 'Shift', ShiftRight: 'Shift', ControlLeft: 'Ctrl', ControlRight: 'Ctrl',
+  AltLeft: 'Alt', AltRight: 'Alt', MetaLeft: 'Meta', MetaRight: 'Meta', Escape: 'Esc'
+}
+
+/**
+ * Short label for a key, as printed on a US keyboard
+ * @param {string|null} code - Key code string
+ * @returns {string}
+ */
+export function getKeyLabel(code) {
+  if (!code) {
+    return '?'
+  }
+  if (KEY_LABELS[code]) {
+    return KEY_LABELS[code]
+  }
+  const match = /^(?:Key|Digit)(.)$/.exec(code)
+  return match ? match[1] : code
+}
+
+/**
+ * Keys of the main block row by row, for drawing a keyboard
+ * @returns {Array<Array<Object>>} - getKeyInfo results per row, left to right
+ */
+export function getMainBlockRows() {
+  return MAIN_ROWS.map(keys => keys.map(([code]) => KEYS.get(code)))
+}
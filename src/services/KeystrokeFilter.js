@@ -0,0 +1,134 @@
+import { resolveKeyCode, getKeyInfo } from './KeyboardLayout.js'
+
+/**
+ * Why a keystroke (or the digraph leading into it) is left out of training and scoring
+ * - pause: the keydown came more than burstGap after the previous one, so it starts a
+ *   new typing burst; the key itself is kept
+ * - editing: Backspace, Delete or Insert
+ * - navigation: arrows, Home, End, Page Up/Down
+ * - function: Escape, F-keys and the like
+ * - shortcut: a key pressed while Control, Alt or Meta is held
+ * - repeat: a key held long enough to auto-repeat
+ * - modifier: Shift, Control, Alt, Meta, Caps Lock; the key is left out, but the keys
+ *   typed around it still form a digraph (e.g. the Shift of a capital letter)
+ */
+export const EXCLUSION_REASONS = ['pause', 'editing', 'navigation', 'function', 'shortcut', 'repeat', 'modifier']
+
+export const DEFAULT_BURST_GAP = 1000 // Longest keydown-to-keydown time within a typing burst
+
+// Modifiers that turn the next key into a command rather than typing. AltRight is
+// AltGr on many layouts, which types characters.
+const SHORTCUT_MODIFIERS = ['ControlLeft', 'ControlRight', 'AltLeft', 'MetaLeft', 'MetaRight']
+const STALE_MODIFIER_TIMEOUT = 5000 // Forget a held modifier whose keyup never arrived
+
+// Key categories left out, with the reason; other categories are typing
+const EXCLUDED_CATEGORIES = {
+  editing: 'editing',
+  navigation: 'navigation',
+  function: 'function',
+  modifier: 'modifier'
+}
+
+const KEPT = { excluded: false, reason: null, breaksChain: false }
+const ALREADY_EXCLUDED = { excluded: true, reason: null, breaksChain: false }
+
+/**
+ * KeystrokeFilter - Splits the keystroke stream into typing bursts and marks the
+ * events that are not part of ordinary typing, so thinking pauses, corrections,
+ * navigation, shortcuts and auto-repeat never reach the model as digraph timings
+ */
+export class KeystrokeFilter {
+  /**
+   * @param {Object} options - { burstGap } in milliseconds
+   */
+  constructor({ burstGap = DEFAULT_BURST_GAP } = {}) {
+    this.burstGap = burstGap
+    this.heldModifiers = new Map() // Shortcut modifiers held down, by code, to their keydown time
+    this.excludedKeys = new Set() // Keys whose keydown was excluded, so their keyup is too
+    this.repeatingKeys = new Set() // Keys held down long enough to auto-repeat
+    this.lastTypingTime = null // Keydown time of the last typing key
+  }
+
+  /**
+   * Classify a keydown or keyup event
+   * @param {Object} event - Keyboard event or raw sample
+   * @param {number} time - Event time in milliseconds
+   * @returns {Object} - { excluded, reason, breaksChain }: excluded events must not
+   *   become keystrokes; breaksChain means no digraph may span this event. A kept
+   *   keydown with reason 'pause' starts a new burst. Only the first event of a left
+   *   out keystroke carries a reason.
+   */
+  classify(event, time) {
+    const code = resolveKeyCode(event)
+    if (event.type === 'keyup') {
+      return this.classifyKeyUp(code)
+    }
+
+    if (SHORTCUT_MODIFIERS.includes(code)) {
+      this.heldModifiers.set(code, time)
+    }
+
+    if (event.repeat) {
+      if (this.excludedKeys.has(code) || this.repeatingKeys.has(code)) {
+        return ALREADY_EXCLUDED
+      }
+      // The original keydown is already a keystroke; FeatureExtractor drops it
+      this.repeatingKeys.add(code)
+      return { excluded: true, reason: 'repeat', breaksChain: true }
+    }
+
+    const category = getKeyInfo(code).category
+    let mark = KEPT
+    if (EXCLUDED_CATEGORIES[category]) {
+      const reason = EXCLUDED_CATEGORIES[category]
+      mark = { excluded: true, reason, breaksChain: reason !== 'modifier' }
+    } else if (this.isShortcutHeld(time)) {
+      mark = { excluded: true, reason: 'shortcut', breaksChain: true }
+    } else {
+      if (this.lastTypingTime !== null && time - this.lastTypingTime > this.burstGap) {
+        mark = { excluded: false, reason: 'pause', breaksChain: true }
+      }
+      this.lastTypingTime = time
+    }
+
+    if (mark.excluded) {
+      this.excludedKeys.add(code)
+    }
+    return mark
+  }
+
+  /**
+   * Classify a keyup: excluded with its keydown
+   * @param {string} code - Key code
+   * @returns {Object}
+   */
+  classifyKeyUp(code) {
+    this.heldModifiers.delete(code)
+    this.repeatingKeys.delete(code)
+    return this.excludedKeys.delete(code) ? ALREADY_EXCLUDED : KEPT
+  }
+
+  /**
+   * Whether a shortcut modifier is held down
+   * @param {number} time - Current event time
+   * @returns {boolean}
+   */
+  isShortcutHeld(time) {
+    for (const [code, downTime] of this.heldModifiers) {
+      if (time - downTime > STALE_MODIFIER_TIMEOUT) {
+        this.heldModifiers.delete(code)
+      }
+    }
+    return this.heldModifiers.size > 0
+  }
+
+  /**
+   * Forget held keys and the current burst
+   */
+  reset() {
+    this.heldModifiers.clear()
+    this.excludedKeys.clear()
+    this.repeatingKeys.clear()
+    this.lastTypingTime = null
+  }
+}
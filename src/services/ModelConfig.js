@@ -0,0 +1,16 @@
+/**
+ * Model settings shared by the page and the model worker
+ * Kept free of TensorFlow.js, so the page can show and change them without loading it
+ * (see ModelManager for the models themselves).
+ */
+
+/**
+ * Available model architectures
+ * - dense: scores each digraph on its own
+ * - lstm: sequence autoencoder over a sliding window of digraphs
+ * - conv1d: convolutional autoencoder over a sliding window of digraphs
+ */
+export const MODEL_ARCHITECTURES = ['dense', 'lstm', 'conv1d']
+
+export const DEFAULT_ARCHITECTURE = 'dense'
+export const DEFAULT_WINDOW_SIZE = 10 // Digraphs per window for sequence models
@@ -1,213 +1,846 @@
 import * as tf from '@tensorflow/tfjs'
+import { FeatureExtractor, FEATURE_COUNT } from './FeatureExtractor.js'
+import { fitNormalization, normalizeFeatures } from './FeatureNormalizer.js'
+import { buildTimingBaseline } from './ScoreExplainer.js'
+import { ScoreCalibrator, DEFAULT_THRESHOLD_TARGETS } from './ScoreCalibrator.js'
+import { MODEL_ARCHITECTURES, DEFAULT_ARCHITECTURE, DEFAULT_WINDOW_SIZE } from './ModelConfig.js'
+import { DEFAULT_TRAINING_CONFIG, normalizeTrainingConfig } from './TrainingConfig.js'
+import { DETECTORS, DEFAULT_DETECTOR, createDetector, deserializeDetector } from './detectors/index.js'
+
+const HOLDOUT_INTERVAL = 5 // Every 5th example is held out of fitting for score calibration
+const ADAPTED_EXAMPLES_LIMIT = 500 // Newest adapted inputs kept with a classic detector
 
 /**
  * ModelManager - Handles TensorFlow.js model creation, training, and prediction
- * Uses an autoencoder-based approach for anomaly detection
+ * Uses an autoencoder-based approach for anomaly detection by default, or one of the
+ * classic detectors in ./detectors, whose raw scores are calibrated the same way
  */
 export class ModelManager {
-  constructor() {
+  /**
+   * @param {Object} options - Model options
+   * @param {string} options.architecture - One of MODEL_ARCHITECTURES
+   * @param {number} options.windowSize - Window length for sequence architectures
+   * @param {Object} options.trainingConfig - Training policy (see TrainingConfig)
+   * @param {string} options.detector - One of DETECTORS
+   */
+  constructor({
+    architecture = DEFAULT_ARCHITECTURE,
+    windowSize = DEFAULT_WINDOW_SIZE,
+    trainingConfig = DEFAULT_TRAINING_CONFIG,
+    detector = DEFAULT_DETECTOR
+  } = {}) {
+    if (!DETECTORS.includes(detector)) {
+      throw new Error(`Unknown detector: ${detector}`)
+    }
+
     this.model = null
+    this.detectorType = detector
+    this.detector = null // Fitted detector when detectorType is not 'autoencoder'
     this.isTraining = false
-    this.trainingData = []
-    this.featureStats = null
+    this.trainingFeatures = [] // Raw digraph feature objects of the enrollment
+    this.trainingData = [] // The same digraphs, normalized
+    this.rawSamples = [] // Un-normalized keystroke events the training data was extracted from
+    this.trainedSampleCount = 0 // Digraphs the current model was trained on
+    this.adaptedExamples = [] // Genuine inputs a classic detector was refitted on since enrollment
+    this.featureStats = null // Normalization stats (see FeatureNormalizer)
+    this.normalizationFrozen = false // Whether featureStats were fitted on the whole enrollment
+    this.timingBaseline = null // Enrollment timings that explanations compare against
+    this.featureCount = FEATURE_COUNT
+    this.architecture = architecture
+    this.windowSize = windowSize
+    this.calibrator = new ScoreCalibrator()
+    this.thresholdTargets = { ...DEFAULT_THRESHOLD_TARGETS }
+    this.trainingConfig = normalizeTrainingConfig(trainingConfig)
+  }
+
+  /**
+   * Change the training policy used by the next training passes
+   * @param {Object} trainingConfig - Partial or complete training config
+   * @throws {Error} - When a field is out of range
+   */
+  setTrainingConfig(trainingConfig) {
+    this.trainingConfig = normalizeTrainingConfig(trainingConfig)
+  }
+
+  /**
+   * Select the model architecture
+   * Disposes the current model, so it should only be called before training
+   * @param {string} architecture - One of MODEL_ARCHITECTURES
+   * @param {number} windowSize - Window length for sequence architectures
+   */
+  setArchitecture(architecture, windowSize = this.windowSize) {
+    if (!MODEL_ARCHITECTURES.includes(architecture)) {
+      throw new Error(`Unknown model architecture: ${architecture}`)
+    }
+
+    if (this.model) {
+      this.model.dispose()
+      this.model = null
+    }
+    this.architecture = architecture
+    this.windowSize = windowSize
+  }
+
+  /**
+   * Select the anomaly detector
+   * Discards the current model or detector, so it should only be called before training
+   * @param {string} detector - One of DETECTORS
+   */
+  setDetector(detector) {
+    if (!DETECTORS.includes(detector)) {
+      throw new Error(`Unknown detector: ${detector}`)
+    }
+
+    if (this.model) {
+      this.model.dispose()
+      this.model = null
+    }
+    this.detector = null
+    this.detectorType = detector
+  }
+
+  /**
+   * Check whether scores come from the TensorFlow.js autoencoder
+   * @returns {boolean}
+   */
+  usesAutoencoder() {
+    return this.detectorType === 'autoencoder'
+  }
+
+  /**
+   * Check whether an autoencoder or detector has been trained or loaded
+   * @returns {boolean}
+   */
+  hasModel() {
+    return this.usesAutoencoder() ? this.model !== null : this.detector !== null
   }
 
   /**
-   * Create a new anomaly detection model
-   * Uses a simple autoencoder architecture
+   * Check whether the current architecture scores windows of digraphs
+   * Classic detectors always score single digraphs
+   * @returns {boolean}
+   */
+  isSequenceModel() {
+    return this.usesAutoencoder() && this.architecture !== 'dense'
+  }
+
+  /**
+   * Create a new anomaly detection model for the selected architecture
    */
   createModel() {
-    // Input layer: 3 features (prevKey, nextKey, timeInterval)
-    // Encoder: 3 -> 2 -> 1
-    // Decoder: 1 -> 2 -> 3
+    const layers = this.isSequenceModel()
+      ? this.createSequenceLayers()
+      : this.createDenseLayers()
+
+    const model = tf.sequential({ layers })
+    this.compileModel(model)
+
+    this.model = model
+    return model
+  }
+
+  /**
+   * Compile a newly built or loaded model for training
+   * @param {tf.LayersModel} model - Model to compile
+   * @param {number|null} learningRate - Learning rate, or null for the training config's
+   */
+  compileModel(model, learningRate = null) {
+    const { optimizer, learningRate: configuredRate } = this.trainingConfig
+    model.compile({
+      optimizer: tf.train[optimizer](learningRate || configuredRate),
+      loss: 'meanSquaredError',
+      metrics: ['mse']
+    })
+  }
+
+  /**
+   * Layers for the single-digraph autoencoder
+   * @returns {Array} - Layer list
+   */
+  createDenseLayers() {
+    // Input layer: one unit per digraph feature (keys, hold and flight times)
+    // Encoder: N -> 4 -> 2
+    // Decoder: 2 -> 4 -> N
     // Anomaly score is reconstruction error
-    
-    const model = tf.sequential({
-      layers: [
-        // Encoder
-        tf.layers.dense({
-          inputShape: [3],
-          units: 2,
-          activation: 'relu',
+    return [
+      // Encoder
+      tf.layers.dense({
+        inputShape: [this.featureCount],
+        units: 4,
+        activation: 'relu',
+        name: 'encoder1'
+      }),
+      tf.layers.dense({
+        units: 2,
+        activation: 'relu',
+        name: 'encoder2'
+      }),
+      // Decoder
+      tf.layers.dense({
+        units: 4,
+        activation: 'relu',
+        name: 'decoder1'
+      }),
+      tf.layers.dense({
+        units: this.featureCount,
+        activation: 'linear',
+        name: 'decoder2'
+      })
+    ]
+  }
+
+  /**
+   * Layers for the windowed sequence autoencoders
+   * Input and output shape: [windowSize, featureCount]
+   * @returns {Array} - Layer list
+   */
+  createSequenceLayers() {
+    const inputShape = [this.windowSize, this.featureCount]
+
+    if (this.architecture === 'lstm') {
+      // Encoder: window -> 8-unit summary vector
+      // Decoder: summary repeated per step -> reconstructed window
+      return [
+        tf.layers.lstm({
+          inputShape,
+          units: 8,
           name: 'encoder1'
         }),
-        tf.layers.dense({
-          units: 1,
-          activation: 'relu',
+        tf.layers.repeatVector({
+          n: this.windowSize,
           name: 'encoder2'
         }),
-        // Decoder
-        tf.layers.dense({
-          units: 2,
-          activation: 'relu',
+        tf.layers.lstm({
+          units: 8,
+          returnSequences: true,
           name: 'decoder1'
         }),
-        tf.layers.dense({
-          units: 3,
-          activation: 'linear',
+        tf.layers.timeDistributed({
+          layer: tf.layers.dense({ units: this.featureCount, activation: 'linear' }),
           name: 'decoder2'
         })
       ]
-    })
-
-    model.compile({
-      optimizer: 'adam',
-      loss: 'meanSquaredError',
-      metrics: ['mse']
-    })
+    }
 
-    this.model = model
-    return model
+    // conv1d: Encoder 8 -> 4 filters, Decoder 4 -> 8 filters -> features per step
+    return [
+      tf.layers.conv1d({
+        inputShape,
+        filters: 8,
+        kernelSize: 3,
+        padding: 'same',
+        activation: 'relu',
+        name: 'encoder1'
+      }),
+      tf.layers.conv1d({
+        filters: 4,
+        kernelSize: 3,
+        padding: 'same',
+        activation: 'relu',
+        name: 'encoder2'
+      }),
+      tf.layers.conv1d({
+        filters: 8,
+        kernelSize: 3,
+        padding: 'same',
+        activation: 'relu',
+        name: 'decoder1'
+      }),
+      tf.layers.conv1d({
+        filters: this.featureCount,
+        kernelSize: 1,
+        activation: 'linear',
+        name: 'decoder2'
+      })
+    ]
   }
 
   /**
    * Add training sample
-   * @param {Array} normalizedFeatures - Normalized feature vector [prevKey, nextKey, timeInterval]
-   * @param {Object} stats - Feature normalization statistics
+   * @param {Object} features - Raw digraph feature object from FeatureExtractor
+   */
+  addTrainingSample(features) {
+    if (features) {
+      this.trainingFeatures.push(features)
+    }
+  }
+
+  /**
+   * Fit the normalization stats on every enrollment digraph and freeze them
+   * Until then, each training pass fits provisional stats on the digraphs so far.
+   */
+  freezeNormalization() {
+    this.featureStats = fitNormalization(this.trainingFeatures)
+    this.normalizationFrozen = this.featureStats !== null
+  }
+
+  /**
+   * Normalize a digraph with the model's stats
+   * @param {Object} features - Raw digraph feature object
+   * @returns {Array|null} - Normalized feature vector (see FEATURE_NAMES), or null before
+   *   any stats were fitted
+   */
+  normalizeFeatures(features) {
+    return normalizeFeatures(features, this.featureStats)
+  }
+
+  /**
+   * Normalize the enrollment digraphs for training, fitting provisional stats while
+   * the normalization is not frozen yet
+   */
+  prepareTrainingData() {
+    if (!this.normalizationFrozen) {
+      this.featureStats = fitNormalization(this.trainingFeatures)
+    }
+    this.trainingData = this.featureStats
+      ? this.trainingFeatures.map(features => this.normalizeFeatures(features))
+      : []
+    this.timingBaseline = null
+  }
+
+  /**
+   * Add a raw keystroke event recorded during enrollment
+   * @param {Object} rawSample - Raw sample from toRawSample
+   */
+  addRawSample(rawSample) {
+    this.rawSamples.push(rawSample)
+  }
+
+  /**
+   * Replace the raw keystroke events, e.g. with the ones saved with the profile
+   * @param {Array<Object>} rawSamples - Raw samples from toRawSample
+   */
+  setRawSamples(rawSamples) {
+    this.rawSamples = rawSamples || []
+  }
+
+  /**
+   * Build training examples from the collected digraphs
+   * Sequence models use every sliding window of consecutive digraphs
+   * @returns {Array} - Feature vectors, or windows of feature vectors
+   */
+  getTrainingExamples() {
+    if (!this.isSequenceModel()) {
+      return this.trainingData
+    }
+
+    const windows = []
+    for (let end = this.windowSize; end <= this.trainingData.length; end++) {
+      windows.push(this.trainingData.slice(end - this.windowSize, end))
+    }
+    return windows
+  }
+
+  /**
+   * Training examples of the enrollment
+   * A loaded model has no digraphs in memory, so they are re-extracted from the raw
+   * samples and normalized with the saved stats
+   * @returns {Array} - Feature vectors, or windows of feature vectors
+   */
+  getEnrollmentExamples() {
+    this.restoreTrainingFeatures()
+    return this.getTrainingExamples()
+  }
+
+  /**
+   * Re-extract the enrollment digraphs of a loaded model from its raw samples
+   */
+  restoreTrainingFeatures() {
+    if (this.trainingData.length === 0 && this.rawSamples.length > 0 && this.featureStats) {
+      const extractor = new FeatureExtractor()
+      this.trainingFeatures = this.rawSamples.flatMap(sample => extractor.extractFeatures(sample, sample.time))
+      this.prepareTrainingData()
+    }
+  }
+
+  /**
+   * Median enrollment timings, overall and per key and key pair, for explaining scores
+   * @returns {Object} - See buildTimingBaseline
    */
-  addTrainingSample(normalizedFeatures, stats) {
-    if (normalizedFeatures && normalizedFeatures.length === 3) {
-      this.trainingData.push(normalizedFeatures)
-      this.featureStats = stats
+  getTimingBaseline() {
+    this.restoreTrainingFeatures()
+    if (!this.timingBaseline) {
+      this.timingBaseline = buildTimingBaseline(this.trainingFeatures)
     }
+    return this.timingBaseline
+  }
+
+  /**
+   * Convert examples (vectors or windows) to an input tensor
+   * @param {Array} examples - Feature vectors, or windows of feature vectors
+   * @returns {tf.Tensor}
+   */
+  toInputTensor(examples) {
+    return this.isSequenceModel() ? tf.tensor3d(examples) : tf.tensor2d(examples)
   }
 
   /**
    * Train the model on collected data
+   * Every HOLDOUT_INTERVAL-th example is held out of fitting, and the reconstruction
+   * errors (or detector scores) on those examples calibrate the anomaly score afterwards
    * @param {number} batchSize - Batch size for training
-   * @returns {Promise} - Training promise
+   * @param {number} epochs - Passes over the training data
+   * @param {Object} options - Training options
+   * @param {Function} options.onEpochEnd - Called with { epoch, loss, valLoss } after
+   *   each epoch; valLoss is the loss on the held-out examples (null without any).
+   *   Classic detectors are fitted in one step and report a single epoch
+   * @returns {Promise<Object|null>} - { loss, valLoss, error } of the pass, where valLoss
+   *   is the mean reconstruction error of the held-out examples (null without any) and
+   *   error the message of a failed pass (null on success), or null when there was
+   *   not enough data to train
    */
-  async train(batchSize = 10) {
-    if (this.trainingData.length < batchSize) {
-      return // Not enough data yet
+  async train(
+    batchSize = this.trainingConfig.batchSize,
+    epochs = this.trainingConfig.epochs,
+    { onEpochEnd = null } = {}
+  ) {
+    if (this.isTraining) {
+      return null // Already training
     }
 
-    if (this.isTraining) {
-      return // Already training
+    this.prepareTrainingData()
+    const { fitExamples, heldOutExamples } = this.splitExamples(this.getTrainingExamples())
+
+    if (fitExamples.length < batchSize) {
+      return null // Not enough data yet
+    }
+
+    this.isTraining = true
+
+    try {
+      const loss = this.usesAutoencoder()
+        ? await this.fitAutoencoder(fitExamples, heldOutExamples, { batchSize, epochs, onEpochEnd })
+        : await this.fitDetector(fitExamples)
+      this.trainedSampleCount = this.trainingData.length
+
+      // Calibrate scores on the error distribution of unseen genuine samples
+      let valLoss = null
+      if (heldOutExamples.length > 0) {
+        const errors = await this.computeReconstructionErrors(heldOutExamples)
+        this.calibrator.fit(errors)
+        valLoss = errors.reduce((sum, error) => sum + error, 0) / errors.length
+      }
+
+      if (!this.usesAutoencoder() && onEpochEnd) {
+        onEpochEnd({ epoch: 0, loss, valLoss })
+      }
+
+      return { loss, valLoss, error: null }
+    } catch (error) {
+      console.error('Training error:', error)
+      return { loss: null, valLoss: null, error: error.message }
+    } finally {
+      this.isTraining = false
+    }
+  }
+
+  /**
+   * Split examples into the ones fitted on and the ones held out for calibration
+   * @param {Array} examples - Feature vectors, or windows of feature vectors
+   * @returns {Object} - { fitExamples, heldOutExamples }
+   */
+  splitExamples(examples) {
+    return {
+      fitExamples: examples.filter((_, i) => i % HOLDOUT_INTERVAL !== HOLDOUT_INTERVAL - 1),
+      heldOutExamples: examples.filter((_, i) => i % HOLDOUT_INTERVAL === HOLDOUT_INTERVAL - 1)
     }
+  }
 
+  /**
+   * Fit the autoencoder, creating it on the first pass
+   * @param {Array} fitExamples - Examples to fit
+   * @param {Array} heldOutExamples - Examples reported as validation loss
+   * @param {Object} options - { batchSize, epochs, onEpochEnd } (see train)
+   * @returns {Promise<number>} - Training loss of the last epoch
+   */
+  async fitAutoencoder(fitExamples, heldOutExamples, { batchSize, epochs, onEpochEnd }) {
     if (!this.model) {
       this.createModel()
     }
 
-    this.isTraining = true
+    const tensors = []
 
     try {
       // Convert training data to tensor
-      const xs = tf.tensor2d(this.trainingData)
-      
+      const xs = this.toInputTensor(fitExamples)
+
       // For autoencoder, input and target are the same
       const ys = xs.clone()
+      tensors.push(xs, ys)
+
+      // Report the held-out loss per epoch alongside the training loss
+      let validationData
+      if (heldOutExamples.length > 0) {
+        const validationXs = this.toInputTensor(heldOutExamples)
+        tensors.push(validationXs)
+        validationData = [validationXs, validationXs]
+      }
 
       // Train the model
+      const history = await this.model.fit(xs, ys, {
+        epochs,
+        batchSize: Math.min(batchSize, fitExamples.length),
+        shuffle: true,
+        verbose: 0,
+        validationData,
+        callbacks: onEpochEnd
+          ? {
+              onEpochEnd: (epoch, logs) => onEpochEnd({
+                epoch,
+                loss: logs.loss,
+                valLoss: logs.val_loss === undefined ? null : logs.val_loss
+              })
+            }
+          : undefined
+      })
+
+      const losses = history.history.loss
+      return losses[losses.length - 1]
+    } finally {
+      // Clean up tensors
+      tensors.forEach(tensor => tensor.dispose())
+    }
+  }
+
+  /**
+   * Fit a classic detector from scratch on all fitting examples
+   * @param {Array<Array<number>>} fitExamples - Feature vectors to fit
+   * @returns {Promise<number>} - Mean detector score of the fitted examples, as training loss
+   */
+  async fitDetector(fitExamples) {
+    const detector = createDetector(this.detectorType)
+    detector.fit(fitExamples)
+    this.detector = detector
+
+    const scores = await detector.score(fitExamples)
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length
+  }
+
+  /**
+   * Fine-tune the trained model on new genuine examples
+   * Calibration of the autoencoder is left as is: a few epochs at a low learning rate
+   * only nudge the weights, so the reconstruction error scale stays comparable. Classic
+   * detectors are refitted and recalibrated instead (see refitDetector).
+   * @param {Array} examples - Feature vectors, or windows of feature vectors
+   * @param {Object} options - { learningRate, epochs, batchSize }
+   * @returns {Promise<boolean>} - Whether the model was updated
+   */
+  async fineTune(examples, { learningRate = 0.0001, epochs = 2, batchSize = 10 } = {}) {
+    if (!this.isReady() || this.isTraining || examples.length < batchSize) {
+      return false
+    }
+
+    if (!this.usesAutoencoder()) {
+      return this.refitDetector(examples)
+    }
+
+    this.isTraining = true
+    this.compileModel(this.model, learningRate)
+
+    const tensors = []
+    try {
+      const xs = this.toInputTensor(examples)
+      tensors.push(xs)
+      const ys = xs.clone()
+      tensors.push(ys)
+
       await this.model.fit(xs, ys, {
-        epochs: 10,
-        batchSize: Math.min(batchSize, this.trainingData.length),
+        epochs,
+        batchSize,
         shuffle: true,
         verbose: 0
       })
+      return true
+    } catch (error) {
+      console.error('Fine-tuning error:', error)
+      return false
+    } finally {
+      tensors.forEach(tensor => tensor.dispose())
+      this.compileModel(this.model)
+      this.isTraining = false
+    }
+  }
 
-      // Clean up tensors
-      xs.dispose()
-      ys.dispose()
+  /**
+   * Refit the classic detector on the enrollment plus every input adapted on so far
+   * The adapted inputs are kept in the model state, so adaptations survive a reload.
+   * As in train, every HOLDOUT_INTERVAL-th example is held out of fitting and
+   * recalibrates the scores to the new detector.
+   * @param {Array<Array<number>>} examples - New genuine feature vectors
+   * @returns {Promise<boolean>} - Whether the detector was refitted
+   */
+  async refitDetector(examples) {
+    // Replay buffer inputs are the same arrays from one update to the next
+    const known = new Set(this.adaptedExamples)
+    const adaptedExamples = [
+      ...this.adaptedExamples,
+      ...examples.filter(example => !known.has(example))
+    ].slice(-ADAPTED_EXAMPLES_LIMIT)
+    const { fitExamples, heldOutExamples } = this.splitExamples([
+      ...this.getEnrollmentExamples(),
+      ...adaptedExamples
+    ])
+
+    this.isTraining = true
+    try {
+      await this.fitDetector(fitExamples)
+      if (heldOutExamples.length > 0) {
+        this.calibrator.fit(await this.computeReconstructionErrors(heldOutExamples))
+      }
+      this.adaptedExamples = adaptedExamples
+      return true
     } catch (error) {
-      console.error('Training error:', error)
+      console.error('Fine-tuning error:', error)
+      return false
     } finally {
       this.isTraining = false
     }
   }
 
   /**
-   * Predict anomaly score for a feature vector
-   * @param {Array} normalizedFeatures - Normalized feature vector
+   * Compute the reconstruction error (MSE) of each example, or the raw score of the
+   * classic detector
+   * @param {Array} examples - Feature vectors, or windows of feature vectors
+   * @returns {Promise<Array<number>>} - One error per example
+   */
+  async computeReconstructionErrors(examples) {
+    if (!this.usesAutoencoder()) {
+      return Array.from(await this.detector.score(examples))
+    }
+
+    const errors = tf.tidy(() => {
+      const input = this.toInputTensor(examples)
+      const reconstruction = this.model.predict(input)
+      const axes = this.isSequenceModel() ? [1, 2] : 1
+      return tf.mean(tf.squaredDifference(input, reconstruction), axes)
+    })
+
+    const errorValues = await errors.data()
+    errors.dispose()
+    return Array.from(errorValues)
+  }
+
+  /**
+   * Reconstruction error of one input together with its per-feature errors
+   * @param {Array} input - Feature vector, or window of feature vectors
+   * @returns {Promise<Object>} - { error, featureErrors } where featureErrors holds one
+   *   value per FEATURE_NAMES entry for the newest digraph (the last step of a window):
+   *   the squared reconstruction error of each feature, or each feature's share of a
+   *   classic detector's score (see detectors/index.js)
+   */
+  async computeErrorDetails(input) {
+    if (!this.usesAutoencoder()) {
+      const [error] = await this.detector.score([input])
+      const [featureErrors] = await this.detector.featureErrors([input])
+      return { error, featureErrors }
+    }
+
+    const squaredErrors = tf.tidy(() => {
+      const inputTensor = this.toInputTensor([input])
+      return tf.squaredDifference(inputTensor, this.model.predict(inputTensor))
+    })
+    const [values] = await squaredErrors.array()
+    squaredErrors.dispose()
+
+    // The error is the mean over every feature of every step, as in computeReconstructionErrors
+    const steps = this.isSequenceModel() ? values : [values]
+    const error = steps.flat().reduce((sum, value) => sum + value, 0) / (steps.length * this.featureCount)
+    return { error, featureErrors: steps[steps.length - 1] }
+  }
+
+  /**
+   * Check that an input matches the shape the current architecture expects
+   * @param {Array} input - Feature vector, or window of feature vectors
+   * @returns {boolean}
+   */
+  isValidInput(input) {
+    if (!input) {
+      return false
+    }
+
+    if (!this.isSequenceModel()) {
+      return input.length === this.featureCount
+    }
+
+    return input.length === this.windowSize &&
+      input.every(vector => vector && vector.length === this.featureCount)
+  }
+
+  /**
+   * Predict anomaly score for a feature vector or window
+   * @param {Array} input - Normalized feature vector (dense), or window of the
+   *   last windowSize normalized feature vectors (sequence architectures)
    * @returns {Promise<number>} - Anomaly score (0-1, higher = more anomalous)
    */
-  async predict(normalizedFeatures) {
-    if (!this.model || !normalizedFeatures || normalizedFeatures.length !== 3) {
-      return 0.5 // Default score if model not ready
+  async predict(input) {
+    const { score } = await this.predictWithDetails(input)
+    return score
+  }
+
+  /**
+   * Predict anomaly score along with the raw error it was derived from
+   * @param {Array} input - Normalized feature vector or window (see predict)
+   * @returns {Promise<Object>} - { score, error, zScore, featureErrors }; score is the
+   *   percentile of the reconstruction error among held-out training errors once
+   *   calibrated, and featureErrors the per-feature errors of the newest digraph (see
+   *   computeErrorDetails)
+   */
+  async predictWithDetails(input) {
+    if (!this.hasModel() || !this.isValidInput(input)) {
+      // Default score if model not ready
+      return { score: 0.5, error: null, zScore: null, featureErrors: null }
     }
 
     try {
-      // Convert to tensor
-      const input = tf.tensor2d([normalizedFeatures])
-      
-      // Get prediction (reconstruction)
-      const reconstruction = this.model.predict(input)
-      
-      // Calculate reconstruction error
-      const original = input
-      const error = tf.losses.meanSquaredError(original, reconstruction)
-      
-      // Get error value
-      const errorValue = await error.data()
-      const anomalyScore = Math.min(errorValue[0] * 10, 1.0) // Scale to 0-1
-      
-      // Clean up tensors
-      input.dispose()
-      reconstruction.dispose()
-      error.dispose()
-      
-      return anomalyScore
+      const { error, featureErrors } = await this.computeErrorDetails(input)
+
+      if (!this.calibrator.isCalibrated()) {
+        // Too few held-out samples to calibrate yet, fall back to a fixed scale
+        const score = this.usesAutoencoder() ? Math.min(error * 10, 1.0) : error / (error + 1)
+        return { score, error, zScore: null, featureErrors }
+      }
+
+      return {
+        score: this.calibrator.score(error),
+        error,
+        zScore: this.calibrator.zScore(error),
+        featureErrors
+      }
     } catch (error) {
       console.error('Prediction error:', error)
-      return 0.5
+      return { score: 0.5, error: null, zScore: null, featureErrors: null }
+    }
+  }
+
+  /**
+   * Set the error-rate targets the score cutoffs are derived from
+   * @param {Object} targets - { falseRejectRate, falseAcceptRate }
+   */
+  setThresholdTargets(targets) {
+    this.thresholdTargets = { ...this.thresholdTargets, ...targets }
+  }
+
+  /**
+   * Get the Normal/Suspicious/Anomalous score cutoffs
+   * @returns {Object|null} - { suspicious, anomalous }, or null if not calibrated
+   */
+  getThresholds() {
+    if (!this.calibrator.isCalibrated()) {
+      return null
     }
+    return this.calibrator.getThresholds(this.thresholdTargets)
   }
 
   /**
    * Get model state for saving
+   * Autoencoder topology and weights are persisted separately through saveModel; a
+   * classic detector is serialized into detectorState
    * @returns {Promise<Object>} - Model state object
    */
   async getModelState() {
-    if (!this.model) {
+    if (!this.hasModel()) {
       return null
     }
 
-    try {
-      const weights = await this.model.getWeights()
-      const weightData = await Promise.all(
-        weights.map(w => w.array())
-      )
+    return {
+      detector: this.detectorType,
+      detectorState: this.detector ? this.detector.serialize() : null,
+      adaptedExamples: this.adaptedExamples,
+      architecture: this.architecture,
+      windowSize: this.windowSize,
+      featureStats: this.featureStats,
+      calibration: this.calibrator.getState(),
+      thresholdTargets: this.thresholdTargets,
+      trainingConfig: this.trainingConfig,
+      trainingDataLength: this.trainedSampleCount
+    }
+  }
 
-      return {
-        weights: weightData,
-        featureStats: this.featureStats,
-        trainingDataLength: this.trainingData.length
-      }
-    } catch (error) {
-      console.error('Error getting model state:', error)
-      return null
+  /**
+   * Check that the loaded network accepts this architecture's input
+   * @throws {Error} - When the saved topology does not match
+   */
+  checkInputShape() {
+    const expected = this.isSequenceModel()
+      ? [this.windowSize, this.featureCount]
+      : [this.featureCount]
+    const actual = this.model.inputs[0].shape.slice(1)
+
+    if (actual.join(',') !== expected.join(',')) {
+      throw new Error(`Saved model expects input shape [${actual}], but ${this.architecture} needs [${expected}]`)
     }
   }
 
+  /**
+   * Save model topology and weights through a tf.io handler
+   * @param {string|tf.io.IOHandler} destination - URL (e.g. 'indexeddb://...') or IO handler
+   * @returns {Promise<tf.io.SaveResult>}
+   */
+  async saveModel(destination) {
+    if (!this.model) {
+      throw new Error('No model to save')
+    }
+    return this.model.save(destination)
+  }
+
   /**
    * Load model state
-   * @param {Object} modelState - Model state object
+   * @param {Object} modelState - Model state object, with either a detectorState for a
+   *   classic detector, a modelUrl (tf.io URL or IO handler) to load autoencoder
+   *   topology and weights from, or weights serialized as nested arrays by older saves
    */
   async loadModelState(modelState) {
-    if (!modelState || !modelState.weights) {
+    if (!modelState || (!modelState.detectorState && !modelState.modelUrl && !modelState.weights)) {
       return false
     }
 
     try {
-      // Create model first
-      this.createModel()
+      // Models saved before detectors were selectable are autoencoders
+      this.setDetector(modelState.detector || DEFAULT_DETECTOR)
+      this.setArchitecture(
+        modelState.architecture || DEFAULT_ARCHITECTURE,
+        modelState.windowSize || DEFAULT_WINDOW_SIZE
+      )
 
-      // Convert weight arrays back to tensors
-      const weightTensors = modelState.weights.map(w => tf.tensor(w))
+      if (!this.usesAutoencoder()) {
+        this.detector = deserializeDetector(this.detectorType, modelState.detectorState)
+      } else if (modelState.modelUrl) {
+        this.model = await tf.loadLayersModel(modelState.modelUrl)
+        this.trainingConfig = normalizeTrainingConfig(modelState.trainingConfig)
+        this.compileModel(this.model)
+        this.checkInputShape()
+      } else {
+        // Rebuild the network the weights were trained with
+        this.createModel()
 
-      // Set weights
-      this.model.setWeights(weightTensors)
+        // Convert weight arrays back to tensors
+        const weightTensors = modelState.weights.map(w => tf.tensor(w))
 
-      // Restore feature stats
-      this.featureStats = modelState.featureStats
+        // Set weights
+        this.model.setWeights(weightTensors)
 
-      // Clean up
-      weightTensors.forEach(t => t.dispose())
+        // Clean up
+        weightTensors.forEach(t => t.dispose())
+      }
+
+      // Restore feature stats and score calibration
+      this.trainedSampleCount = modelState.trainingDataLength || 0
+      this.adaptedExamples = modelState.adaptedExamples || []
+      this.featureStats = modelState.featureStats
+      this.normalizationFrozen = Boolean(modelState.featureStats)
+      this.calibrator.setState(modelState.calibration)
+      this.thresholdTargets = { ...DEFAULT_THRESHOLD_TARGETS, ...modelState.thresholdTargets }
+      // Models saved before training configs were recorded used the defaults
+      this.trainingConfig = normalizeTrainingConfig(modelState.trainingConfig)
 
       return true
     } catch (error) {
       console.error('Error loading model state:', error)
+      if (this.model) {
+        this.model.dispose()
+        this.model = null
+      }
+      this.detector = null
       return false
     }
   }
@@ -217,7 +850,76 @@ export class ModelManager {
    * @returns {boolean}
    */
   isReady() {
-    return this.model !== null && this.trainingData.length >= 10
+    return this.hasModel() && this.trainedSampleCount >= this.trainingConfig.minTrainingSamples
+  }
+
+  /**
+   * Refit the model from scratch on the stored raw keystroke events
+   * Features are re-extracted and normalization stats rebuilt from all samples at
+   * once. The current model is only replaced once the new one has trained.
+   * @param {Object} options - Retraining options
+   * @param {string} options.architecture - Architecture of the new model
+   * @param {number} options.windowSize - Window length for sequence architectures
+   * @param {Object} options.trainingConfig - Training policy of the new model
+   * @param {string} options.detector - Detector of the new model
+   * @param {number} options.batchSize - Batch size for training
+   * @param {number} options.epochs - Passes over the training data
+   * @param {Function} options.onEpochEnd - Per-epoch loss callback (see train)
+   * @returns {Promise<boolean>} - Whether a new model was trained
+   */
+  async retrain({
+    architecture = this.architecture,
+    windowSize = this.windowSize,
+    trainingConfig = this.trainingConfig,
+    detector = this.detectorType,
+    batchSize = trainingConfig.batchSize,
+    epochs = trainingConfig.retrainEpochs,
+    onEpochEnd = null
+  } = {}) {
+    if (this.isTraining || this.rawSamples.length === 0) {
+      return false
+    }
+
+    const extractor = new FeatureExtractor()
+    const rawFeatures = this.rawSamples.flatMap(sample => extractor.extractFeatures(sample, sample.time))
+
+    const candidate = new ModelManager({ architecture, windowSize, trainingConfig, detector })
+    candidate.rawSamples = this.rawSamples
+    candidate.thresholdTargets = this.thresholdTargets
+    rawFeatures.forEach(features => candidate.addTrainingSample(features))
+    candidate.freezeNormalization()
+
+    this.isTraining = true
+    try {
+      await candidate.train(batchSize, epochs, { onEpochEnd })
+    } finally {
+      this.isTraining = false
+    }
+
+    if (!candidate.isReady()) {
+      candidate.reset()
+      return false
+    }
+
+    // Swap in the retrained model
+    if (this.model) {
+      this.model.dispose()
+    }
+    this.model = candidate.model
+    this.detectorType = candidate.detectorType
+    this.detector = candidate.detector
+    this.architecture = candidate.architecture
+    this.windowSize = candidate.windowSize
+    this.trainingConfig = candidate.trainingConfig
+    this.trainingFeatures = candidate.trainingFeatures
+    this.trainingData = candidate.trainingData
+    this.trainedSampleCount = candidate.trainedSampleCount
+    this.adaptedExamples = candidate.adaptedExamples
+    this.featureStats = candidate.featureStats
+    this.normalizationFrozen = candidate.normalizationFrozen
+    this.timingBaseline = null
+    this.calibrator = candidate.calibrator
+    return true
   }
 
   /**
@@ -228,9 +930,16 @@ export class ModelManager {
       this.model.dispose()
     }
     this.model = null
+    this.detector = null
+    this.trainingFeatures = []
     this.trainingData = []
+    this.rawSamples = []
+    this.trainedSampleCount = 0
+    this.adaptedExamples = []
     this.featureStats = null
+    this.normalizationFrozen = false
+    this.timingBaseline = null
+    this.calibrator.reset()
     this.isTraining = false
   }
 }
-
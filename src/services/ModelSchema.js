@@ -0,0 +1,141 @@
+import { FEATURE_NAMES } from './FeatureExtractor.js'
+import { NORMALIZATION_METHOD } from './FeatureNormalizer.js'
+import { MODEL_ARCHITECTURES } from './ModelConfig.js'
+import { DETECTORS } from './detectors/index.js'
+
+/**
+ * Current model schema version
+ * Bump it whenever the architecture set, feature set or normalization changes in a way
+ * that makes saved models incompatible, and register a migration from the previous version.
+ *
+ * History:
+ * 1 - Saves stamped version '1.0' by the original release: a 3-feature dense model
+ *     (previous key code, next key code, inter-keydown interval) in localStorage
+ * 2 - Schema fields (detector, architecture, featureSet, normalization) recorded in
+ *     every save
+ */
+export const SCHEMA_VERSION = 2
+
+const RESET_ADVICE = 'Reset the profile to enroll again.'
+
+/**
+ * ModelSchemaError - A saved model cannot be used by this release
+ */
+export class ModelSchemaError extends Error {
+  /**
+   * @param {string} message - Human-readable reason
+   * @param {number|null} version - Schema version of the saved model
+   */
+  constructor(message, version = null) {
+    super(message)
+    this.name = 'ModelSchemaError'
+    this.version = version
+  }
+}
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each takes a model state of that version and returns one of the next version,
+ * or throws a ModelSchemaError when the saved model cannot be upgraded
+ */
+const MIGRATIONS = {
+  1: () => {
+    // The weights were fitted on key codes and a single interval; neither maps onto
+    // key positions and digraph timings, and these saves kept no raw samples
+    throw new ModelSchemaError(
+      'This model was trained on the original 3 keystroke features (previous key, next key, ' +
+      `interval) and cannot be used with hold and flight time features. ${RESET_ADVICE}`,
+      1
+    )
+  }
+}
+
+/**
+ * Read the schema version of a saved model state
+ * @param {Object} modelState - Saved model state
+ * @param {string|number} legacyVersion - Version stamped outside the state by older saves
+ * @returns {number}
+ */
+export function getSchemaVersion(modelState, legacyVersion = null) {
+  if (modelState && Number.isInteger(modelState.schemaVersion)) {
+    return modelState.schemaVersion
+  }
+  // Saves before schema versioning were stamped '1.0' (or not at all)
+  return Math.floor(parseFloat(legacyVersion)) || 1
+}
+
+/**
+ * Stamp a model state with the current schema
+ * @param {Object} modelState - Model state from ModelManager
+ * @returns {Object}
+ */
+export function stampSchema(modelState) {
+  return {
+    ...modelState,
+    schemaVersion: SCHEMA_VERSION,
+    featureSet: [...FEATURE_NAMES],
+    normalization: NORMALIZATION_METHOD
+  }
+}
+
+/**
+ * Upgrade a saved model state to the current schema
+ * @param {Object} modelState - Saved model state
+ * @param {string|number} legacyVersion - Version stamped outside the state by older saves
+ * @returns {Object} - Model state of the current schema version
+ * @throws {ModelSchemaError} - When the model cannot be upgraded or does not match this release
+ */
+export function migrateModelState(modelState, legacyVersion = null) {
+  let version = getSchemaVersion(modelState, legacyVersion)
+  let migrated = { ...modelState, schemaVersion: version }
+
+  if (version > SCHEMA_VERSION) {
+    throw new ModelSchemaError(
+      `This model was saved by a newer release (schema ${version}, this release supports ${SCHEMA_VERSION}).`,
+      version
+    )
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const migration = MIGRATIONS[version]
+    if (!migration) {
+      throw new ModelSchemaError(`No migration from model schema ${version}.`, version)
+    }
+    migrated = migration(migrated)
+    version = migrated.schemaVersion
+  }
+
+  validateModelState(migrated)
+  return migrated
+}
+
+/**
+ * Check that a current-version model state matches this release's network and features
+ * @param {Object} modelState - Model state of the current schema version
+ * @throws {ModelSchemaError}
+ */
+export function validateModelState(modelState) {
+  const { schemaVersion, detector, architecture, featureSet, normalization } = modelState
+
+  if (!DETECTORS.includes(detector)) {
+    throw new ModelSchemaError(`Unknown detector "${detector}".`, schemaVersion)
+  }
+
+  if (!MODEL_ARCHITECTURES.includes(architecture)) {
+    throw new ModelSchemaError(`Unknown model architecture "${architecture}".`, schemaVersion)
+  }
+
+  if (!Array.isArray(featureSet) || featureSet.join(',') !== FEATURE_NAMES.join(',')) {
+    throw new ModelSchemaError(
+      'This model was trained on a different feature set. Reset the profile to enroll again.',
+      schemaVersion
+    )
+  }
+
+  if (normalization !== NORMALIZATION_METHOD) {
+    throw new ModelSchemaError(
+      `This model uses "${normalization}" normalization, which this release does not support.`,
+      schemaVersion
+    )
+  }
+}
@@ -0,0 +1,485 @@
+import { FeatureExtractor } from './FeatureExtractor.js'
+import { ModelManager } from './ModelManager.js'
+import { ModelStore } from './ModelStore.js'
+import { ProfileIdentifier } from './ProfileIdentifier.js'
+import { ProfileTransfer, ProfileImportError } from './ProfileTransfer.js'
+import { AdaptiveTrainer } from './AdaptiveTrainer.js'
+import { VerdictEngine } from './VerdictEngine.js'
+import { explainScore } from './ScoreExplainer.js'
+import { DEFAULT_TRAINING_CONFIG, normalizeTrainingConfig, hasConverged } from './TrainingConfig.js'
+
+/**
+ * ModelSession - Everything that touches the TF.js models for one active profile
+ * Turns raw keystroke samples into features, trains and scores the profile's model,
+ * identifies the typist across profiles, and saves, loads, exports and imports models.
+ * It runs inside the model worker (see workers/modelWorker.js); results that are not
+ * replies to a request are streamed through the emit callback:
+ *   'progress'       - { samplesCollected } after each enrollment sample
+ *   'excluded'       - { reason, code, time } for each keystroke the preprocessing left
+ *                      out or that began a burst (see KeystrokeFilter)
+ *   'epoch'          - { pass, epoch, loss, valLoss } after each epoch of a training pass
+ *                      or retrain
+ *   'training'       - { pass, loss, valLoss, converged, error, errorQuantiles } after
+ *                      each enrollment training pass
+ *   'score'          - { score, error, zScore, featureErrors, explanation } for each
+ *                      scored input; explanation (see explainScore) is set for scores
+ *                      at or above the suspicious cutoff, with their level
+ *   'verdict'        - Session verdict from VerdictEngine.addScore after each score
+ *   'identification' - { profile, confidence, scores } in identify mode
+ *   'adaptation'     - Adaptive learning status from AdaptiveTrainer.getStatus
+ */
+export class ModelSession {
+  /**
+   * @param {Function} emit - Called with (event, payload) for streamed results
+   */
+  constructor(emit = () => {}) {
+    this.emit = emit
+    this.featureExtractor = new FeatureExtractor()
+    this.modelManager = new ModelManager()
+    this.storageManager = new ModelStore()
+    this.profileIdentifier = new ProfileIdentifier()
+    this.profileTransfer = new ProfileTransfer()
+    this.adaptiveTrainer = new AdaptiveTrainer(this.modelManager)
+    this.verdictEngine = new VerdictEngine()
+    this.profileName = null
+    this.adaptiveLearning = false
+    this.trainingConfig = DEFAULT_TRAINING_CONFIG // Policy for the next enrollment
+    this.samplesSinceLastTraining = 0
+    this.trainingPasses = 0 // Enrollment training passes and retrains so far
+    this.valLosses = [] // Validation loss after each enrollment training pass
+  }
+
+  /**
+   * Summarize the model for the UI
+   * @returns {Object} - { detector, architecture, windowSize, thresholds, thresholdTargets,
+   *   trainingConfig, samplesCollected, rawSampleCount, errorQuantiles }; errorQuantiles
+   *   are the calibrated held-out reconstruction error quantiles, or null
+   */
+  getStatus() {
+    const modelManager = this.modelManager
+    return {
+      detector: modelManager.detectorType,
+      architecture: modelManager.architecture,
+      windowSize: modelManager.windowSize,
+      thresholds: modelManager.getThresholds(),
+      thresholdTargets: modelManager.thresholdTargets,
+      trainingConfig: modelManager.trainingConfig,
+      samplesCollected: modelManager.trainedSampleCount,
+      rawSampleCount: modelManager.rawSamples.length,
+      errorQuantiles: modelManager.calibrator.quantiles
+    }
+  }
+
+  /**
+   * Forget the in-memory model and session
+   * Identification models stay loaded, but their recent scores are dropped with the session.
+   */
+  reset() {
+    this.featureExtractor.reset()
+    this.profileIdentifier.clearHistory()
+    this.modelManager.reset()
+    this.modelManager.setTrainingConfig(this.trainingConfig)
+    this.adaptiveTrainer.reset()
+    this.verdictEngine.reset()
+    this.samplesSinceLastTraining = 0
+    this.trainingPasses = 0
+    this.valLosses = []
+  }
+
+  /**
+   * Switch to a profile and load its model if it has been enrolled
+   * @param {string} profileName - Profile name
+   * @returns {Promise<Object|null>} - Model status, or null when the profile is not enrolled
+   * @throws {ModelSchemaError} - When the saved model cannot be used by this release
+   */
+  async load(profileName) {
+    this.reset()
+    this.profileName = profileName
+
+    const savedModelState = await this.storageManager.loadModel(profileName)
+    if (!savedModelState) {
+      return null
+    }
+
+    if (!await this.modelManager.loadModelState(savedModelState)) {
+      throw new Error('The saved model could not be loaded. Reset the profile to enroll again.')
+    }
+    if (!savedModelState.featureStats) {
+      return null
+    }
+
+    this.modelManager.setRawSamples(await this.storageManager.loadSamples(profileName))
+    this.featureExtractor.setWindowSize(this.modelManager.windowSize)
+    return this.getStatus()
+  }
+
+  /**
+   * Select the architecture of the model that will be enrolled
+   * @param {string} architecture - One of MODEL_ARCHITECTURES
+   * @param {number} windowSize - Digraphs per input window for sequence models
+   */
+  setArchitecture(architecture, windowSize) {
+    this.modelManager.setArchitecture(architecture, windowSize)
+    this.featureExtractor.setWindowSize(windowSize)
+  }
+
+  /**
+   * Select the anomaly detector that will be enrolled
+   * @param {string} detector - One of DETECTORS
+   */
+  setDetector(detector) {
+    this.modelManager.setDetector(detector)
+  }
+
+  /**
+   * Choose the training policy for the next enrollment or retrain
+   * A model that is already trained keeps the config it was trained with.
+   * @param {Object} config - Partial or complete training config
+   * @returns {Object} - The complete config
+   * @throws {Error} - When a field is out of range
+   */
+  setTrainingConfig(config) {
+    this.trainingConfig = normalizeTrainingConfig(config)
+    if (this.modelManager.trainedSampleCount === 0) {
+      this.modelManager.setTrainingConfig(this.trainingConfig)
+    }
+    return this.trainingConfig
+  }
+
+  /**
+   * Extract the digraphs a keystroke completes, reporting events the preprocessing
+   * left out (see KeystrokeFilter)
+   * @param {Object} rawSample - Raw sample from toRawSample
+   * @returns {Array<Object>} - Completed digraph feature objects
+   */
+  extractFeatures(rawSample) {
+    const digraphs = this.featureExtractor.extractFeatures(rawSample, rawSample.time)
+    if (this.featureExtractor.lastMark) {
+      this.emit('excluded', this.featureExtractor.lastMark)
+    }
+    return digraphs
+  }
+
+  /**
+   * Add an enrollment keystroke, training a batch every batchSize samples
+   * @param {Object} rawSample - Raw sample from toRawSample
+   */
+  async addSample(rawSample) {
+    const { modelManager } = this
+
+    // Keep the raw enrollment events so the model can be retrained from them later
+    modelManager.addRawSample(rawSample)
+
+    for (const rawFeatures of this.extractFeatures(rawSample)) {
+      modelManager.addTrainingSample(rawFeatures)
+      this.emit('progress', { samplesCollected: modelManager.trainingFeatures.length })
+
+      this.samplesSinceLastTraining += 1
+      if (this.samplesSinceLastTraining >= modelManager.trainingConfig.batchSize) {
+        this.samplesSinceLastTraining = 0
+        await this.trainPass()
+      }
+    }
+  }
+
+  /**
+   * Callback streaming the per-epoch losses of the next training pass or retrain
+   * @returns {Function} - onEpochEnd for ModelManager.train
+   */
+  nextEpochReporter() {
+    const pass = this.trainingPasses + 1
+    return (epochLosses) => this.emit('epoch', { pass, ...epochLosses })
+  }
+
+  /**
+   * Run an enrollment training pass and stream its losses and whether they have plateaued
+   */
+  async trainPass() {
+    const { modelManager } = this
+    const { batchSize, epochs } = modelManager.trainingConfig
+    const onEpochEnd = this.nextEpochReporter()
+    const result = await modelManager.train(batchSize, epochs, { onEpochEnd })
+    if (!result) {
+      return
+    }
+    this.trainingPasses += 1
+
+    if (result.valLoss !== null) {
+      this.valLosses.push(result.valLoss)
+    }
+    this.emit('training', {
+      pass: this.trainingPasses,
+      ...result,
+      converged: hasConverged(this.valLosses, modelManager.trainingConfig),
+      errorQuantiles: modelManager.calibrator.quantiles
+    })
+  }
+
+  /**
+   * Final training pass at the end of enrollment
+   * The normalization is fitted on the whole enrollment and frozen first, so the
+   * final model and everything scored against it share one scale.
+   * @returns {Promise<Object>} - Model status, with thresholds from the final calibration
+   */
+  async train() {
+    this.modelManager.freezeNormalization()
+    await this.trainPass()
+    return this.getStatus()
+  }
+
+  /**
+   * Score a keystroke against the trained model
+   * @param {Object} rawSample - Raw sample from toRawSample
+   */
+  async predict(rawSample) {
+    const { featureExtractor, modelManager } = this
+
+    for (const rawFeatures of this.extractFeatures(rawSample)) {
+      const normalizedFeatures = modelManager.normalizeFeatures(rawFeatures)
+
+      // Sequence models score the rolling window of recent digraphs
+      const input = modelManager.isSequenceModel()
+        ? featureExtractor.pushToWindow(normalizedFeatures)
+        : normalizedFeatures
+
+      if (input) {
+        const details = await modelManager.predictWithDetails(input)
+        const thresholds = modelManager.getThresholds()
+        this.emit('score', { ...details, explanation: this.explain(rawFeatures, details, thresholds) })
+        this.emit('verdict', this.verdictEngine.addScore(details.score, thresholds))
+
+        if (this.adaptiveLearning) {
+          await this.adapt(input, details.score)
+        }
+      }
+    }
+  }
+
+  /**
+   * Explain what drove a suspicious or anomalous score
+   * @param {Object} rawFeatures - Raw feature object of the newest scored digraph
+   * @param {Object} details - From ModelManager.predictWithDetails
+   * @param {Object|null} thresholds - Score cutoffs; uncalibrated scores are not explained
+   * @returns {Object|null} - explainScore result with its level ('suspicious' or
+   *   'anomalous'), or null for a normal score
+   */
+  explain(rawFeatures, details, thresholds) {
+    if (!thresholds || !details.featureErrors || details.score < thresholds.suspicious) {
+      return null
+    }
+    return {
+      ...explainScore(rawFeatures, details.featureErrors, this.modelManager.getTimingBaseline()),
+      level: details.score >= thresholds.anomalous ? 'anomalous' : 'suspicious'
+    }
+  }
+
+  /**
+   * Feed a scored input to adaptive learning and save the model after each update
+   * @param {Array} input - Scored model input
+   * @param {number} score - Its anomaly score
+   */
+  async adapt(input, score) {
+    const { adaptiveTrainer, modelManager } = this
+
+    if (adaptiveTrainer.observe(input, score, modelManager.getThresholds())) {
+      if (await adaptiveTrainer.update()) {
+        await this.save(this.profileName)
+      }
+    }
+    this.emit('adaptation', adaptiveTrainer.getStatus())
+  }
+
+  /**
+   * Opt in or out of fine-tuning on confidently normal typing
+   * @param {boolean} enabled
+   */
+  setAdaptiveLearning(enabled) {
+    this.adaptiveLearning = Boolean(enabled)
+    this.adaptiveTrainer.reset()
+  }
+
+  /**
+   * Change how keystroke scores are aggregated into the session verdict
+   * @param {Object} options - VerdictEngine options, e.g. { method }
+   * @returns {Object} - The restarted verdict and its options
+   */
+  setVerdictOptions(options) {
+    this.verdictEngine.setOptions(options)
+    return { ...this.verdictEngine.getResult(), options: this.verdictEngine.options }
+  }
+
+  /**
+   * Save the model to a profile
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async save(profileName) {
+    return this.storageManager.saveModel(profileName, this.modelManager)
+  }
+
+  /**
+   * Clear a profile's saved model, samples and recent sessions (the profile is kept)
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clearModel(profileName) {
+    return this.storageManager.clearModel(profileName)
+  }
+
+  /**
+   * Delete a profile, its saved model and its incidents
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteProfile(profileName) {
+    return this.storageManager.deleteProfile(profileName)
+  }
+
+  /**
+   * Save models that older versions kept in localStorage (read on the page, see
+   * StorageManager.migrateLegacyModels)
+   * @param {Array<Object>} entries - [{ profileName, key, savedData }]
+   * @returns {Promise<Object>} - { migratedKeys, remainingProfiles }
+   */
+  async migrateLegacyModels(entries) {
+    return this.storageManager.migrateLegacyEntries(entries)
+  }
+
+  /**
+   * Refit the model from scratch on its stored raw samples with the chosen training
+   * config, then save it
+   * @param {Object} options - { detector, architecture, windowSize }
+   * @returns {Promise<Object|null>} - Model status, or null when nothing was retrained
+   */
+  async retrain({ detector, architecture, windowSize }) {
+    const { featureExtractor, modelManager } = this
+
+    const retrained = await modelManager.retrain({
+      detector,
+      architecture,
+      windowSize,
+      trainingConfig: this.trainingConfig,
+      onEpochEnd: this.nextEpochReporter()
+    })
+    if (!retrained) {
+      return null
+    }
+    this.trainingPasses += 1
+
+    featureExtractor.reset()
+    featureExtractor.setWindowSize(modelManager.windowSize)
+    // Buffered inputs were normalized for the replaced model
+    this.adaptiveTrainer.reset()
+    this.verdictEngine.reset()
+
+    await this.save(this.profileName)
+    return this.getStatus()
+  }
+
+  /**
+   * Change the error-rate targets the score cutoffs are derived from
+   * @param {Object} targets - { falseRejectRate, falseAcceptRate }
+   * @param {Object} options - { save } to persist them with an already trained model
+   * @returns {Promise<Object>} - { thresholdTargets, thresholds }
+   */
+  async setThresholdTargets(targets, { save = false } = {}) {
+    const modelManager = this.modelManager
+    modelManager.setThresholdTargets(targets)
+
+    if (save) {
+      await this.save(this.profileName)
+    }
+    return {
+      thresholdTargets: modelManager.thresholdTargets,
+      thresholds: modelManager.getThresholds()
+    }
+  }
+
+  /**
+   * Load every enrolled profile's model for identification
+   * @param {Array<string>} profileNames - Enrolled profile names
+   * @returns {Promise<number>} - Number of profiles loaded
+   */
+  async startIdentification(profileNames) {
+    this.featureExtractor.reset()
+
+    const enrolledProfiles = await Promise.all(profileNames.map(async name => ({
+      name,
+      modelState: await this.storageManager.loadModel(name).catch(() => null)
+    })))
+    return this.profileIdentifier.loadProfiles(enrolledProfiles.filter(p => p.modelState))
+  }
+
+  /**
+   * Dispose the identification models and return to the active profile
+   */
+  stopIdentification() {
+    this.profileIdentifier.reset()
+
+    // Restore the active profile's window size cleared with the extractor
+    this.featureExtractor.reset()
+    this.featureExtractor.setWindowSize(this.modelManager.windowSize)
+  }
+
+  /**
+   * Score a keystroke against every enrolled profile
+   * @param {Object} rawSample - Raw sample from toRawSample
+   */
+  async identify(rawSample) {
+    for (const rawFeatures of this.extractFeatures(rawSample)) {
+      const result = await this.profileIdentifier.identify(rawFeatures)
+      if (result) {
+        this.emit('identification', result)
+      }
+    }
+  }
+
+  /**
+   * Export the active profile's trained model as portable file contents
+   * @param {Object} options - { includeSamples }
+   * @returns {Promise<string>} - JSON file contents
+   */
+  async exportProfile({ includeSamples = false } = {}) {
+    const samples = includeSamples
+      ? await this.storageManager.loadSamples(this.profileName)
+      : null
+
+    return this.profileTransfer.createExport(this.profileName, this.modelManager, samples)
+  }
+
+  /**
+   * Validate an export file without importing it
+   * @param {string} text - JSON file contents
+   * @returns {Promise<string>} - Name of the profile in the file
+   * @throws {ProfileImportError}
+   */
+  async inspectImport(text) {
+    const { profileName } = await this.profileTransfer.parseImport(text)
+    return profileName
+  }
+
+  /**
+   * Validate an export file and save it as the profile it names
+   * @param {string} text - JSON file contents
+   * @returns {Promise<string>} - Name of the imported profile
+   * @throws {ProfileImportError}
+   */
+  async importProfile(text) {
+    const { profileName, modelState, samples } = await this.profileTransfer.parseImport(text)
+
+    const modelManager = new ModelManager()
+    try {
+      if (!await modelManager.loadModelState(modelState)) {
+        throw new ProfileImportError('The model in the file could not be loaded.')
+      }
+
+      modelManager.setRawSamples(samples)
+      if (!await this.storageManager.saveModel(profileName, modelManager)) {
+        throw new Error('The imported profile could not be saved.')
+      }
+    } finally {
+      modelManager.reset()
+    }
+    return profileName
+  }
+}
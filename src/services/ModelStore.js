@@ -0,0 +1,184 @@
+import * as tf from '@tensorflow/tfjs'
+import { ModelManager } from './ModelManager.js'
+import { StorageManager } from './StorageManager.js'
+import { ModelSchemaError, migrateModelState, stampSchema } from './ModelSchema.js'
+
+/**
+ * ModelStore - StorageManager that also saves and removes the autoencoder files
+ * Autoencoder topology and weights are saved through tf.io's 'indexeddb://' handler,
+ * so this class loads TensorFlow.js and is only used inside the model worker (see
+ * ModelSession); the page keeps to the plain StorageManager.
+ *
+ * Every save writes the model under a new tf.io key first, then points the profile
+ * at it in a single transaction, and only then removes the previous model. A save
+ * that fails at any step therefore leaves the previous good model in place.
+ */
+export class ModelStore extends StorageManager {
+  constructor() {
+    super()
+    this.modelUrlCounter = 0 // Keeps model URLs unique within the same millisecond
+  }
+
+  /**
+   * tf.io URL for a new copy of a profile's model
+   * The timestamp is followed by a counter and a random suffix, so two saves in the
+   * same millisecond (from this or another ModelStore) never share a URL.
+   * @param {string} profileName - Profile name
+   * @returns {string}
+   */
+  createModelUrl(profileName) {
+    this.modelUrlCounter++
+    const suffix = `${this.modelUrlCounter}-${Math.random().toString(36).slice(2, 8)}`
+    return `indexeddb://typing-behavior/${encodeURIComponent(profileName)}/${Date.now()}-${suffix}`
+  }
+
+  /**
+   * Save model to IndexedDB
+   * @param {string} profileName - Profile the model belongs to
+   * @param {ModelManager} modelManager - Model manager holding the trained model
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveModel(profileName, modelManager) {
+    const state = await modelManager.getModelState()
+    if (!state) {
+      return false
+    }
+    const modelState = stampSchema(state)
+
+    // Classic detectors are saved entirely in the model state
+    const modelUrl = modelManager.usesAutoencoder() ? this.createModelUrl(profileName) : null
+
+    try {
+      // Write the new model next to the previous one
+      if (modelUrl) {
+        await modelManager.saveModel(modelUrl)
+      }
+    } catch (error) {
+      console.error('Error saving model:', error)
+      return false
+    }
+
+    let previousModelUrl = null
+    try {
+      previousModelUrl = await this.saveModelRecords(profileName, { modelUrl, modelState }, modelManager.rawSamples)
+    } catch (error) {
+      console.error('Error saving model metadata:', error)
+      if (modelUrl) {
+        await removeModelQuietly(modelUrl)
+      }
+      return false
+    }
+
+    // Never remove the model that was just written
+    if (previousModelUrl && previousModelUrl !== modelUrl) {
+      await removeModelQuietly(previousModelUrl)
+    }
+    return true
+  }
+
+  /**
+   * Clear model from storage (the profile itself is kept)
+   * Recent sessions are cleared with it, since they were typed against that enrollment
+   * @param {string} profileName - Profile whose model to clear
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clearModel(profileName) {
+    let modelUrl
+    try {
+      modelUrl = await this.clearModelRecords(profileName)
+    } catch (error) {
+      console.error('Error clearing model:', error)
+      return false
+    }
+    if (modelUrl) {
+      await removeModelQuietly(modelUrl)
+    }
+    return true
+  }
+
+  /**
+   * Delete a profile, its model and its incidents
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteProfile(profileName) {
+    let modelUrl
+    try {
+      modelUrl = await this.deleteProfileRecords(profileName)
+    } catch (error) {
+      console.error('Error deleting profile:', error)
+      return false
+    }
+    if (modelUrl) {
+      await removeModelQuietly(modelUrl)
+    }
+    return true
+  }
+
+  /**
+   * Save models read from localStorage by StorageManager.migrateLegacyModels
+   * Models whose schema cannot be migrated are recorded as unsupported and their
+   * localStorage copy is kept.
+   * @param {Array<Object>} entries - [{ profileName, key, savedData }], savedData being
+   *   the localStorage value under key (null once it is gone)
+   * @returns {Promise<Object>} - { migratedKeys, remainingProfiles }: the keys whose model
+   *   was saved, and how many profiles still have a model left in localStorage
+   */
+  async migrateLegacyEntries(entries) {
+    const migratedKeys = []
+    let remainingProfiles = 0
+
+    for (const { profileName, key, savedData } of entries) {
+      // Already migrated, or already recorded as unsupported
+      if (await this.hasProfile(profileName)) {
+        if (savedData !== null) {
+          remainingProfiles++
+        }
+        continue
+      }
+
+      if (savedData === null) {
+        await this.addProfile(profileName)
+        continue
+      }
+
+      const parsed = JSON.parse(savedData)
+      let modelState
+      try {
+        modelState = migrateModelState(parsed.modelState, parsed.version)
+      } catch (error) {
+        if (!(error instanceof ModelSchemaError)) {
+          throw error
+        }
+        console.warn(`Saved model for profile "${profileName}" is not supported:`, error.message)
+        await this.markUnsupported(profileName, error.message, error.version)
+        remainingProfiles++
+        continue
+      }
+
+      const modelManager = new ModelManager()
+      const loaded = await modelManager.loadModelState(modelState)
+      if (loaded && await this.saveModel(profileName, modelManager)) {
+        migratedKeys.push(key)
+      } else {
+        console.warn(`Could not migrate saved model for profile "${profileName}"`)
+        remainingProfiles++
+      }
+      modelManager.reset()
+    }
+
+    return { migratedKeys, remainingProfiles }
+  }
+}
+
+/**
+ * Remove a tf.io model, ignoring models that are already gone
+ * @param {string} modelUrl - tf.io model URL
+ */
+async function removeModelQuietly(modelUrl) {
+  try {
+    await tf.io.removeModel(modelUrl)
+  } catch (error) {
+    console.warn('Could not remove model:', modelUrl, error)
+  }
+}
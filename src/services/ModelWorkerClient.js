@@ -0,0 +1,107 @@
+/**
+ * ModelWorkerClient - UI-thread side of the model worker's message API
+ * call() sends a request and resolves with the worker's reply; send() queues a
+ * request without waiting, for keystrokes. Streamed results (see ModelSession)
+ * are delivered to listeners registered with on().
+ */
+export class ModelWorkerClient {
+  /**
+   * @param {Worker} worker - Model worker (a new one by default)
+   */
+  constructor(worker = createModelWorker()) {
+    this.worker = worker
+    this.nextId = 1
+    this.pending = new Map() // Request id -> { resolve, reject }
+    this.listeners = new Map() // Event name -> Set of listeners
+
+    this.worker.onmessage = ({ data }) => this.handleMessage(data)
+    this.worker.onerror = (event) => console.error('Model worker error:', event.message)
+  }
+
+  /**
+   * Call a worker method
+   * @param {string} method - ModelSession method name
+   * @param {...*} args - Structured-cloneable arguments
+   * @returns {Promise<*>} - The method's result
+   */
+  call(method, ...args) {
+    const id = this.nextId++
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject })
+      this.worker.postMessage({ id, method, args })
+    })
+  }
+
+  /**
+   * Queue a worker method call without waiting for it; failures are logged
+   * @param {string} method - ModelSession method name
+   * @param {...*} args - Structured-cloneable arguments
+   */
+  send(method, ...args) {
+    this.call(method, ...args).catch(error => {
+      console.error(`Model worker ${method} error:`, error)
+    })
+  }
+
+  /**
+   * Listen to a streamed result
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} - Removes the listener
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set())
+    }
+    this.listeners.get(event).add(listener)
+    return () => this.listeners.get(event).delete(listener)
+  }
+
+  /**
+   * Route a message from the worker
+   * @param {Object} data - Reply or streamed result
+   */
+  handleMessage(data) {
+    if (data.event) {
+      const listeners = this.listeners.get(data.event)
+      if (listeners) {
+        listeners.forEach(listener => listener(data.payload))
+      }
+      return
+    }
+
+    const request = this.pending.get(data.id)
+    if (!request) {
+      return
+    }
+    this.pending.delete(data.id)
+
+    if (data.error) {
+      const error = new Error(data.error.message)
+      error.name = data.error.name
+      request.reject(error)
+    } else {
+      request.resolve(data.result)
+    }
+  }
+
+  /**
+   * Stop the worker and fail its outstanding requests
+   */
+  terminate() {
+    this.worker.terminate()
+    for (const { reject } of this.pending.values()) {
+      reject(new Error('The model worker was stopped'))
+    }
+    this.pending.clear()
+    this.listeners.clear()
+  }
+}
+
+/**
+ * Start the model worker
+ * @returns {Worker}
+ */
+function createModelWorker() {
+  return new Worker(new URL('../workers/modelWorker.js', import.meta.url), { type: 'module' })
+}
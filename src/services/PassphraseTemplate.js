@@ -0,0 +1,354 @@
+import { FeatureExtractor } from './FeatureExtractor.js'
+import { fitNormalization, normalizeFeatures, TIMING_FEATURES } from './FeatureNormalizer.js'
+
+export const DEFAULT_PASSPHRASE_OPTIONS = {
+  enrollmentAttempts: 5, // Clean typings of the phrase needed to build the template
+  tolerance: 1.5 // Accepted distance, as a multiple of the largest leave-one-out enrollment distance
+}
+
+const MIN_DEVIATION = 0.1 // Floor for a normalized timing's deviation, so a very steady timing does not dominate
+const MIN_PHRASE_LENGTH = 4
+const SALT_BYTES = 16
+
+// Keys that move the caret or delete forwards; after them keystrokes no longer map to positions
+const CARET_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Delete', 'PageUp', 'PageDown']
+
+/**
+ * PassphraseError - A passphrase or template cannot be used
+ */
+export class PassphraseError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PassphraseError'
+  }
+}
+
+/**
+ * Convert a keyboard event to the sample kept for a passphrase attempt
+ * Unlike toRawSample it keeps event.key, which is needed to line keystrokes up with
+ * the characters of the phrase
+ * @param {KeyboardEvent} event - The keydown or keyup event
+ * @param {number} time - Event time in milliseconds
+ * @returns {Object} - { type, key, code, repeat, time }
+ */
+export function toAttemptEvent(event, time) {
+  return {
+    type: event.type,
+    key: event.key,
+    code: event.code || '',
+    repeat: Boolean(event.repeat),
+    time
+  }
+}
+
+/**
+ * Line the keystrokes of an attempt up with the characters it left in the field
+ * Backspaces remove the keystroke of the character they deleted, so a corrected typo
+ * is realigned: the retyped keystroke takes the deleted one's position, and the
+ * flight times into it (which include the correction) are left out.
+ * @param {Array<Object>} events - Attempt events from toAttemptEvent, in order
+ * @param {string} text - Final contents of the field
+ * @returns {Object} - { status, keystrokes, corrected } where status is 'ok', or
+ *   'unaligned' when keystrokes cannot be mapped to characters (caret moved, text
+ *   pasted, auto-repeat, IME); keystrokes are { key, code, downTime, upTime,
+ *   afterCorrection } in phrase order
+ */
+export function alignAttempt(events, text) {
+  const typed = [] // Keystrokes of the characters still in the field
+  const pressed = [] // Every character keystroke, for matching keyups
+  let afterCorrection = false
+  let corrected = false
+
+  for (const event of events) {
+    if (event.type === 'keydown') {
+      if (CARET_KEYS.includes(event.key) || event.key === 'Process' || event.key === 'Dead') {
+        return { status: 'unaligned', keystrokes: [], corrected }
+      }
+      if (event.key === 'Backspace') {
+        typed.pop()
+        afterCorrection = true
+        corrected = true
+        continue
+      }
+      if (event.key.length !== 1) {
+        continue // Modifiers, Enter, Tab
+      }
+      if (event.repeat) {
+        return { status: 'unaligned', keystrokes: [], corrected }
+      }
+
+      const keystroke = { key: event.key, code: event.code, downTime: event.time, upTime: null, afterCorrection }
+      typed.push(keystroke)
+      pressed.push(keystroke)
+      afterCorrection = false
+    } else if (event.type === 'keyup') {
+      const keystroke = pressed.find(candidate => candidate.code === event.code && candidate.upTime === null)
+      if (keystroke) {
+        keystroke.upTime = event.time
+      }
+    }
+  }
+
+  const aligned = typed.map(keystroke => keystroke.key).join('') === text &&
+    typed.every(keystroke => keystroke.upTime !== null)
+  return { status: aligned ? 'ok' : 'unaligned', keystrokes: aligned ? typed : [], corrected }
+}
+
+/**
+ * Digraphs of an aligned attempt
+ * The keystrokes go through FeatureExtractor like free typing, so each consecutive
+ * pair yields the same raw digraph timings the model is trained on.
+ * @param {Array<Object>} keystrokes - Aligned keystrokes from alignAttempt
+ * @returns {Array<Object|null>} - Digraph feature objects in phrase order, one per
+ *   consecutive pair; null into a retyped keystroke (its flight times include the
+ *   correction) or where the extractor built no digraph
+ */
+export function extractAttemptDigraphs(keystrokes) {
+  const extractor = new FeatureExtractor()
+  const events = keystrokes
+    .flatMap(({ code, downTime, upTime }) => [
+      { type: 'keydown', code, repeat: false, time: downTime },
+      { type: 'keyup', code, repeat: false, time: upTime }
+    ])
+    .sort((a, b) => a.time - b.time)
+  const digraphs = events.flatMap(event => extractor.extractFeatures(event))
+
+  return keystrokes.slice(1).map((keystroke, i) => {
+    if (keystroke.afterCorrection) {
+      return null
+    }
+    const previous = keystrokes[i]
+    return digraphs.find(digraph =>
+      digraph.prevTime === previous.downTime && digraph.nextTime === keystroke.downTime) || null
+  })
+}
+
+/**
+ * PassphraseTemplate - Per-phrase timing template for fixed-text verification
+ * Like keystroke-hardened passwords, the phrase is typed several times to enroll and
+ * every later attempt is accepted or rejected as a whole. The template keeps each
+ * enrollment attempt's digraphs (see extractAttemptDigraphs). Their timings are
+ * normalized with stats fitted on all enrollment digraphs (see FeatureNormalizer), and
+ * an attempt's distance is the scaled Manhattan distance of its normalized timings to
+ * the enrollment mean (each timing's deviation from its mean, divided by its mean
+ * absolute deviation, averaged). The acceptance threshold is the largest leave-one-out
+ * distance among the enrollment attempts times the tolerance.
+ *
+ * The phrase itself is never stored, only a salted SHA-256 hash to detect typos.
+ */
+export class PassphraseTemplate {
+  /**
+   * @param {Object} state - { phraseHash, salt, length, attempts, options }, where
+   *   attempts holds the digraphs of each enrollment attempt
+   * @throws {PassphraseError} - When the options cannot be used
+   */
+  constructor({ phraseHash, salt, length, attempts = [], options = {} }) {
+    this.options = { ...DEFAULT_PASSPHRASE_OPTIONS, ...options }
+    // The threshold is fitted on leave-one-out distances, so it needs a second attempt
+    if (!(this.options.enrollmentAttempts >= 2)) {
+      throw new PassphraseError('Enroll the passphrase with at least 2 attempts.')
+    }
+    this.phraseHash = phraseHash
+    this.salt = salt
+    this.length = length
+    this.attempts = attempts
+    this.fit = null // { stats, vectors, threshold } of the enrollment attempts
+  }
+
+  /**
+   * Start a template for a new phrase
+   * @param {string} phrase - The passphrase
+   * @param {Object} options - Overrides of DEFAULT_PASSPHRASE_OPTIONS
+   * @returns {Promise<PassphraseTemplate>}
+   * @throws {PassphraseError} - When the phrase is too short
+   */
+  static async create(phrase, options = {}) {
+    if (phrase.length < MIN_PHRASE_LENGTH) {
+      throw new PassphraseError(`Use a passphrase of at least ${MIN_PHRASE_LENGTH} characters.`)
+    }
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(SALT_BYTES)))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+    return new PassphraseTemplate({
+      phraseHash: await hashPhrase(phrase, salt),
+      salt,
+      length: phrase.length,
+      options
+    })
+  }
+
+  /**
+   * Restore a saved template
+   * @param {Object} state - From toJSON
+   * @returns {PassphraseTemplate}
+   * @throws {PassphraseError}
+   */
+  static fromJSON(state) {
+    if (!state || typeof state.phraseHash !== 'string' || !Array.isArray(state.attempts)) {
+      throw new PassphraseError('The saved passphrase template is malformed.')
+    }
+    return new PassphraseTemplate(state)
+  }
+
+  /**
+   * @returns {Object} - Serializable state
+   */
+  toJSON() {
+    return {
+      phraseHash: this.phraseHash,
+      salt: this.salt,
+      length: this.length,
+      attempts: this.attempts,
+      options: this.options
+    }
+  }
+
+  /**
+   * @returns {boolean} - Whether enough attempts have been enrolled to verify
+   */
+  isEnrolled() {
+    return this.attempts.length >= this.options.enrollmentAttempts
+  }
+
+  /**
+   * Whether text is the template's phrase
+   * @param {string} text - Typed text
+   * @returns {Promise<boolean>}
+   */
+  async matches(text) {
+    return text.length === this.length && await hashPhrase(text, this.salt) === this.phraseHash
+  }
+
+  /**
+   * Check an attempt's text and line its keystrokes up with the phrase
+   * @param {Array<Object>} events - Attempt events from toAttemptEvent
+   * @param {string} text - Final contents of the field
+   * @returns {Promise<Object>} - { status, digraphs, corrected } where status is 'ok',
+   *   'typo' (the text is not the phrase) or 'unaligned'
+   */
+  async prepare(events, text) {
+    if (!await this.matches(text)) {
+      return { status: 'typo', digraphs: null, corrected: false }
+    }
+    const { status, keystrokes, corrected } = alignAttempt(events, text)
+    return { status, digraphs: status === 'ok' ? extractAttemptDigraphs(keystrokes) : null, corrected }
+  }
+
+  /**
+   * Add an enrollment attempt
+   * @param {Array<Object>} events - Attempt events from toAttemptEvent
+   * @param {string} text - Final contents of the field
+   * @returns {Promise<Object>} - { status, corrected, enrolledAttempts }
+   */
+  async enroll(events, text) {
+    const { status, digraphs, corrected } = await this.prepare(events, text)
+    if (status === 'ok') {
+      this.attempts.push(digraphs)
+      this.fit = null
+    }
+    return { status, corrected, enrolledAttempts: this.attempts.length }
+  }
+
+  /**
+   * Verify an attempt against the template
+   * @param {Array<Object>} events - Attempt events from toAttemptEvent
+   * @param {string} text - Final contents of the field
+   * @returns {Promise<Object>} - { status, accepted, corrected, distance, threshold },
+   *   where status is 'ok', 'typo' or 'unaligned'; only 'ok' attempts can be accepted
+   * @throws {PassphraseError} - When enrollment is not finished
+   */
+  async verify(events, text) {
+    if (!this.isEnrolled()) {
+      throw new PassphraseError('Finish enrolling the passphrase first.')
+    }
+
+    const { status, digraphs, corrected } = await this.prepare(events, text)
+    if (status !== 'ok') {
+      return { status, accepted: false, corrected, distance: null, threshold: null }
+    }
+
+    const { stats, vectors, threshold } = this.getFit()
+    const distance = computeDistance(toTimingVector(digraphs, stats), summarize(vectors))
+    return { status, accepted: distance <= threshold, corrected, distance, threshold }
+  }
+
+  /**
+   * Normalization stats, normalized timing vectors and acceptance threshold of the
+   * enrollment attempts; the threshold comes from their leave-one-out distances
+   * @returns {Object} - { stats, vectors, threshold }
+   */
+  getFit() {
+    if (this.fit === null) {
+      const stats = fitNormalization(this.attempts.flat().filter(digraph => digraph !== null))
+      const vectors = this.attempts.map(digraphs => toTimingVector(digraphs, stats))
+      const distances = vectors.map((vector, i) =>
+        computeDistance(vector, summarize(vectors.filter((_, j) => j !== i)))
+      )
+      this.fit = { stats, vectors, threshold: Math.max(...distances) * this.options.tolerance }
+    }
+    return this.fit
+  }
+}
+
+/**
+ * Normalized timing vector of an attempt's digraphs
+ * @param {Array<Object|null>} digraphs - From extractAttemptDigraphs
+ * @param {Object|null} stats - From fitNormalization
+ * @returns {Array<number|null>} - The normalized TIMING_FEATURES of every digraph in
+ *   phrase order, null for missing digraphs
+ */
+function toTimingVector(digraphs, stats) {
+  return digraphs.flatMap(digraph => {
+    const normalized = normalizeFeatures(digraph, stats)
+    return normalized ? normalized.slice(-TIMING_FEATURES.length) : TIMING_FEATURES.map(() => null)
+  })
+}
+
+/**
+ * Per-timing mean and mean absolute deviation over attempts, skipping missing values
+ * @param {Array<Array<number|null>>} attempts - Timing vectors
+ * @returns {Array<Object|null>} - { mean, deviation } per timing, null when never measured
+ */
+function summarize(attempts) {
+  return attempts[0].map((_, i) => {
+    const values = attempts.map(attempt => attempt[i]).filter(value => value !== null)
+    if (values.length === 0) {
+      return null
+    }
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length
+    const deviation = values.reduce((sum, value) => sum + Math.abs(value - mean), 0) / values.length
+    return { mean, deviation: Math.max(deviation, MIN_DEVIATION) }
+  })
+}
+
+/**
+ * Scaled Manhattan distance of a timing vector to a template summary
+ * @param {Array<number|null>} vector - Timing vector
+ * @param {Array<Object|null>} summary - From summarize
+ * @returns {number}
+ */
+function computeDistance(vector, summary) {
+  let total = 0
+  let count = 0
+  vector.forEach((value, i) => {
+    if (value !== null && summary[i]) {
+      total += Math.abs(value - summary[i].mean) / summary[i].deviation
+      count += 1
+    }
+  })
+  return count > 0 ? total / count : Infinity
+}
+
+/**
+ * Salted SHA-256 of a phrase
+ * @param {string} phrase - Phrase
+ * @param {string} salt - Hex salt
+ * @returns {Promise<string>} - Hex digest
+ */
+async function hashPhrase(phrase, salt) {
+  const bytes = new TextEncoder().encode(`${salt}:${phrase}`)
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
@@ -0,0 +1,118 @@
+import { FeatureExtractor } from './FeatureExtractor.js'
+import { ModelManager } from './ModelManager.js'
+
+const SCORE_HISTORY_SIZE = 20 // Keystroke scores averaged per profile
+const CONFIDENCE_TEMPERATURE = 0.1 // Softmax temperature over mean scores
+
+/**
+ * ProfileIdentifier - Scores live typing against every enrolled profile
+ * Each profile keeps its own model, normalization stats, rolling window and
+ * recent score history; the closest match is the profile with the lowest mean score
+ */
+export class ProfileIdentifier {
+  constructor() {
+    this.profiles = new Map() // name -> { modelManager, windowExtractor, scores }
+  }
+
+  /**
+   * Load the enrolled profiles' models
+   * @param {Array<Object>} savedProfiles - [{ name, modelState }]
+   * @returns {Promise<number>} - Number of profiles loaded
+   */
+  async loadProfiles(savedProfiles) {
+    this.reset()
+
+    for (const { name, modelState } of savedProfiles) {
+      const modelManager = new ModelManager()
+      const loaded = await modelManager.loadModelState(modelState)
+      if (!loaded || !modelState.featureStats) {
+        modelManager.reset()
+        continue
+      }
+
+      const windowExtractor = new FeatureExtractor()
+      windowExtractor.setWindowSize(modelManager.windowSize)
+      this.profiles.set(name, { modelManager, windowExtractor, scores: [] })
+    }
+
+    return this.profiles.size
+  }
+
+  /**
+   * Score a digraph against every profile and report the closest match
+   * @param {Object} rawFeatures - Raw feature object from FeatureExtractor
+   * @returns {Promise<Object|null>} - { profile, confidence, scores }, where scores maps
+   *   profile name to its mean recent score, or null while no profile has a score yet
+   */
+  async identify(rawFeatures) {
+    for (const entry of this.profiles.values()) {
+      const { modelManager, windowExtractor, scores } = entry
+      const normalizedFeatures = modelManager.normalizeFeatures(rawFeatures)
+
+      const input = modelManager.isSequenceModel()
+        ? windowExtractor.pushToWindow(normalizedFeatures)
+        : normalizedFeatures
+
+      if (input) {
+        scores.push(await modelManager.predict(input))
+        if (scores.length > SCORE_HISTORY_SIZE) {
+          scores.shift()
+        }
+      }
+    }
+
+    return this.getResult()
+  }
+
+  /**
+   * Summarize the recent scores of every profile
+   * Confidence is a softmax over negated mean scores, so it reflects how clearly
+   * the best profile stands apart from the others
+   * @returns {Object|null} - { profile, confidence, scores }
+   */
+  getResult() {
+    const meanScores = {}
+    for (const [name, { scores }] of this.profiles) {
+      if (scores.length > 0) {
+        meanScores[name] = scores.reduce((sum, s) => sum + s, 0) / scores.length
+      }
+    }
+
+    const names = Object.keys(meanScores)
+    if (names.length === 0) {
+      return null
+    }
+
+    const bestName = names.reduce((best, name) =>
+      meanScores[name] < meanScores[best] ? name : best
+    )
+    const weights = names.map(name => Math.exp(-meanScores[name] / CONFIDENCE_TEMPERATURE))
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0)
+
+    return {
+      profile: bestName,
+      confidence: Math.exp(-meanScores[bestName] / CONFIDENCE_TEMPERATURE) / totalWeight,
+      scores: meanScores
+    }
+  }
+
+  /**
+   * Forget recent scores and windows but keep the loaded models
+   */
+  clearHistory() {
+    for (const entry of this.profiles.values()) {
+      entry.scores = []
+      entry.windowExtractor.reset()
+    }
+  }
+
+  /**
+   * Dispose every loaded model
+   */
+  reset() {
+    for (const { modelManager } of this.profiles.values()) {
+      modelManager.reset()
+    }
+    this.profiles.clear()
+  }
+}
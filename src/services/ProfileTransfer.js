@@ -0,0 +1,181 @@
+import * as tf from '@tensorflow/tfjs'
+import { ModelSchemaError, migrateModelState, stampSchema } from './ModelSchema.js'
+
+export const EXPORT_FORMAT = 'typing-behavior-profile'
+export const EXPORT_FORMAT_VERSION = 1
+
+/**
+ * ProfileImportError - An imported file is not a valid profile export
+ */
+export class ProfileImportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ProfileImportError'
+  }
+}
+
+/**
+ * ProfileTransfer - Exports profiles to a portable, self-contained file and imports them back
+ * The file holds the model topology and weights, the model state (feature stats,
+ * calibration, schema fields), optionally the training samples, and a SHA-256
+ * checksum over all of it.
+ */
+export class ProfileTransfer {
+  /**
+   * Build the export file contents for a trained model
+   * @param {string} profileName - Profile being exported
+   * @param {ModelManager} modelManager - Model manager holding the trained model
+   * @param {Array|null} samples - Raw training samples to include, or null to leave them out
+   * @returns {Promise<string>} - JSON file contents
+   */
+  async createExport(profileName, modelManager, samples = null) {
+    const modelState = await modelManager.getModelState()
+    if (!modelState) {
+      throw new Error('There is no trained model to export')
+    }
+
+    // Classic detectors travel inside the model state
+    let model = null
+    if (modelManager.usesAutoencoder()) {
+      let artifacts = null
+      await modelManager.saveModel(tf.io.withSaveHandler(async (modelArtifacts) => {
+        artifacts = modelArtifacts
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } }
+      }))
+
+      const weightData = artifacts.weightData instanceof ArrayBuffer
+        ? artifacts.weightData
+        : tf.io.concatenateArrayBuffers(artifacts.weightData)
+
+      model = {
+        modelTopology: artifacts.modelTopology,
+        weightSpecs: artifacts.weightSpecs,
+        weightData: arrayBufferToBase64(weightData)
+      }
+    }
+
+    const payload = {
+      format: EXPORT_FORMAT,
+      formatVersion: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: profileName,
+      modelState: stampSchema(modelState),
+      model,
+      samples
+    }
+
+    return JSON.stringify({ ...payload, checksum: await computeChecksum(payload) })
+  }
+
+  /**
+   * Parse and validate an export file
+   * @param {string} text - JSON file contents
+   * @returns {Promise<Object>} - { profileName, modelState, samples }; modelState is
+   *   migrated to the current schema and, for an autoencoder, its modelUrl is an
+   *   in-memory tf.io handler
+   * @throws {ProfileImportError} - When the file is malformed, corrupted or incompatible
+   */
+  async parseImport(text) {
+    let parsed
+    try {
+      parsed = JSON.parse(text)
+    } catch (error) {
+      throw new ProfileImportError('The file is not valid JSON.')
+    }
+
+    if (!parsed || parsed.format !== EXPORT_FORMAT) {
+      throw new ProfileImportError('The file is not a typing profile export.')
+    }
+    if (parsed.formatVersion > EXPORT_FORMAT_VERSION) {
+      throw new ProfileImportError('The file was exported by a newer release.')
+    }
+
+    const { checksum, ...payload } = parsed
+    if (checksum !== await computeChecksum(payload)) {
+      throw new ProfileImportError('The checksum does not match; the file is corrupted or was modified.')
+    }
+
+    const { profile, model, samples } = payload
+    if (typeof profile !== 'string' || !profile.trim()) {
+      throw new ProfileImportError('The file does not name a profile.')
+    }
+    const savedDetector = payload.modelState && payload.modelState.detector
+    if (!savedDetector || savedDetector === 'autoencoder') {
+      if (!model || !model.modelTopology || !Array.isArray(model.weightSpecs) ||
+          typeof model.weightData !== 'string') {
+        throw new ProfileImportError('The file does not contain a model.')
+      }
+    } else if (!payload.modelState.detectorState) {
+      throw new ProfileImportError('The file does not contain a model.')
+    }
+    if (samples !== null && samples !== undefined && !Array.isArray(samples)) {
+      throw new ProfileImportError('The training samples in the file are malformed.')
+    }
+
+    let modelState
+    try {
+      modelState = migrateModelState(payload.modelState)
+    } catch (error) {
+      if (error instanceof ModelSchemaError) {
+        throw new ProfileImportError(error.message)
+      }
+      throw error
+    }
+
+    return {
+      profileName: profile.trim(),
+      modelState: {
+        ...modelState,
+        modelUrl: model
+          ? tf.io.fromMemory({
+              modelTopology: model.modelTopology,
+              weightSpecs: model.weightSpecs,
+              weightData: base64ToArrayBuffer(model.weightData)
+            })
+          : null
+      },
+      samples: samples || null
+    }
+  }
+}
+
+/**
+ * SHA-256 of the JSON serialization of an export payload
+ * @param {Object} payload - Export contents without the checksum
+ * @returns {Promise<string>} - Hex digest
+ */
+async function computeChecksum(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload))
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+/**
+ * Encode binary data as base64
+ * @param {ArrayBuffer} buffer - Binary data
+ * @returns {string}
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+/**
+ * Decode base64 into binary data
+ * @param {string} base64 - Base64 string
+ * @returns {ArrayBuffer}
+ */
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes.buffer
+}
@@ -0,0 +1,196 @@
+/**
+ * Default error-rate targets used to place the Normal/Suspicious/Anomalous cutoffs
+ * - falseRejectRate: share of the genuine user's keystrokes allowed to score above Normal
+ * - falseAcceptRate: share of impostor keystrokes allowed to score below Anomalous
+ */
+export const DEFAULT_THRESHOLD_TARGETS = {
+  falseRejectRate: 0.05,
+  falseAcceptRate: 0.01
+}
+
+const QUANTILE_COUNT = 101 // Stored quantiles (0th to 100th percentile)
+const MIN_CALIBRATION_SAMPLES = 5 // Held-out errors needed before scores are calibrated
+
+/**
+ * ScoreCalibrator - Turns raw reconstruction errors into calibrated anomaly scores
+ * Fitted on the reconstruction errors of held-out genuine samples, so a score is the
+ * percentile of an error within the user's own error distribution
+ */
+export class ScoreCalibrator {
+  constructor() {
+    this.quantiles = null // Genuine error quantiles
+    this.impostorQuantiles = null // Impostor error quantiles, when impostor data is available
+    this.mean = 0
+    this.std = 0
+    this.sampleCount = 0
+  }
+
+  /**
+   * Fit the error distribution
+   * @param {Array<number>} errors - Reconstruction errors of held-out genuine samples
+   * @param {Array<number>|null} impostorErrors - Reconstruction errors of impostor samples (optional)
+   * @returns {boolean} - Whether enough samples were available
+   */
+  fit(errors, impostorErrors = null) {
+    if (!errors || errors.length < MIN_CALIBRATION_SAMPLES) {
+      return false
+    }
+
+    this.quantiles = computeQuantiles(errors)
+    this.impostorQuantiles = impostorErrors && impostorErrors.length >= MIN_CALIBRATION_SAMPLES
+      ? computeQuantiles(impostorErrors)
+      : null
+
+    this.mean = errors.reduce((sum, e) => sum + e, 0) / errors.length
+    const variance = errors.reduce((sum, e) => sum + (e - this.mean) ** 2, 0) / errors.length
+    this.std = Math.sqrt(variance)
+    this.sampleCount = errors.length
+    return true
+  }
+
+  /**
+   * Check whether a distribution has been fitted
+   * @returns {boolean}
+   */
+  isCalibrated() {
+    return this.quantiles !== null
+  }
+
+  /**
+   * Percentile of an error within the genuine error distribution
+   * @param {number} error - Reconstruction error
+   * @returns {number} - Anomaly score (0-1, higher = more anomalous)
+   */
+  score(error) {
+    return percentileOf(error, this.quantiles)
+  }
+
+  /**
+   * Standard score of an error against the genuine error distribution
+   * @param {number} error - Reconstruction error
+   * @returns {number}
+   */
+  zScore(error) {
+    if (this.std === 0) {
+      return 0
+    }
+    return (error - this.mean) / this.std
+  }
+
+  /**
+   * Compute the Normal/Suspicious/Anomalous cutoffs in score space
+   * The suspicious cutoff rejects falseRejectRate of genuine keystrokes. The anomalous
+   * cutoff accepts falseAcceptRate of impostor keystrokes when impostor errors were
+   * fitted; without them it falls back to the genuine tail at falseAcceptRate.
+   * @param {Object} targets - { falseRejectRate, falseAcceptRate }
+   * @returns {Object} - { suspicious, anomalous }
+   */
+  getThresholds(targets = DEFAULT_THRESHOLD_TARGETS) {
+    const { falseRejectRate, falseAcceptRate } = { ...DEFAULT_THRESHOLD_TARGETS, ...targets }
+    const suspicious = 1 - falseRejectRate
+
+    let anomalous = 1 - falseAcceptRate
+    if (this.impostorQuantiles) {
+      const errorCutoff = quantileAt(this.impostorQuantiles, falseAcceptRate)
+      anomalous = this.score(errorCutoff)
+    }
+
+    return {
+      suspicious,
+      anomalous: Math.max(anomalous, suspicious)
+    }
+  }
+
+  /**
+   * Get calibration state for saving
+   * @returns {Object|null}
+   */
+  getState() {
+    if (!this.isCalibrated()) {
+      return null
+    }
+
+    return {
+      quantiles: this.quantiles,
+      impostorQuantiles: this.impostorQuantiles,
+      mean: this.mean,
+      std: this.std,
+      sampleCount: this.sampleCount
+    }
+  }
+
+  /**
+   * Restore calibration state
+   * @param {Object|null} state - Saved calibration state
+   */
+  setState(state) {
+    this.reset()
+    if (state && state.quantiles) {
+      this.quantiles = state.quantiles
+      this.impostorQuantiles = state.impostorQuantiles || null
+      this.mean = state.mean
+      this.std = state.std
+      this.sampleCount = state.sampleCount
+    }
+  }
+
+  /**
+   * Reset the calibrator
+   */
+  reset() {
+    this.quantiles = null
+    this.impostorQuantiles = null
+    this.mean = 0
+    this.std = 0
+    this.sampleCount = 0
+  }
+}
+
+/**
+ * Summarize a sample as QUANTILE_COUNT evenly spaced quantiles
+ * @param {Array<number>} values - Sample values
+ * @returns {Array<number>} - Sorted quantile values
+ */
+function computeQuantiles(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const quantiles = []
+  for (let i = 0; i < QUANTILE_COUNT; i++) {
+    const position = (i / (QUANTILE_COUNT - 1)) * (sorted.length - 1)
+    const lower = Math.floor(position)
+    const upper = Math.ceil(position)
+    quantiles.push(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower))
+  }
+  return quantiles
+}
+
+/**
+ * Value at a given probability, interpolated between stored quantiles
+ * @param {Array<number>} quantiles - Sorted quantile values
+ * @param {number} probability - Probability in [0, 1]
+ * @returns {number}
+ */
+function quantileAt(quantiles, probability) {
+  const position = probability * (quantiles.length - 1)
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return quantiles[lower] + (quantiles[upper] - quantiles[lower]) * (position - lower)
+}
+
+/**
+ * Probability of a value, interpolated between stored quantiles
+ * @param {number} value - Value to locate
+ * @param {Array<number>} quantiles - Sorted quantile values
+ * @returns {number} - Percentile in [0, 1]
+ */
+function percentileOf(value, quantiles) {
+  const last = quantiles.length - 1
+  if (value <= quantiles[0]) return 0
+  if (value >= quantiles[last]) return 1
+
+  let i = 0
+  while (quantiles[i + 1] <= value) {
+    i++
+  }
+  const span = quantiles[i + 1] - quantiles[i]
+  return (i + (value - quantiles[i]) / span) / last
+}
@@ -0,0 +1,246 @@
+import { FEATURE_NAMES } from './FeatureExtractor.js'
+import { getKeyLabel } from './KeyboardLayout.js'
+
+/**
+ * Explanations of anomaly scores
+ * A score comes with the per-feature errors of the newest digraph (see
+ * ModelManager.computeErrorDetails). The features with the largest share of the error
+ * point at the keys to blame, and the digraph's raw timings are compared with the
+ * same key or key pair during enrollment to say what looked wrong, e.g. "the 'th'
+ * digraph was 3.0x slower than your baseline".
+ */
+
+const MIN_BASELINE_COUNT = 3 // Occurrences a key or key pair needs for a baseline of its own
+const TOP_FEATURES = 3 // Features listed per explanation
+const MAX_REASONS = 2 // Messages per explanation
+const FLAG_SHARE = 0.25 // Share of the error that flags a feature's keys (the top feature always does)
+const NOTABLE_RATIO = 1.5 // A timing this many times off its baseline is called slower or faster
+
+const PAIR_TIMINGS = ['downDownTime', 'upDownTime', 'upUpTime']
+
+/**
+ * Which of the digraph's keys a feature is about: 0 the first, 1 the second
+ * @param {string} feature - One of FEATURE_NAMES
+ * @returns {Array<number>}
+ */
+function featureKeys(feature) {
+  if (feature.startsWith('prev')) return [0]
+  if (feature.startsWith('next')) return [1]
+  return [0, 1]
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values in any order
+ * @returns {number|null} - Null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null
+  }
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Label of a key as typed, e.g. 't' for KeyT
+ * @param {string} code - Key code string
+ * @returns {string}
+ */
+function keyLabel(code) {
+  const label = getKeyLabel(code)
+  return label.length === 1 ? label.toLowerCase() : label
+}
+
+/**
+ * Median enrollment timings to compare scored digraphs against
+ * @param {Array<Object>} digraphs - Raw digraph feature objects of the enrollment
+ * @returns {Object} - { holdTime, downDownTime, upDownTime, upUpTime, keys, pairs }:
+ *   medians over all digraphs, plus keys (hold time by key code) and pairs (the pair
+ *   timings by "prevKey nextKey") for those typed at least MIN_BASELINE_COUNT times,
+ *   each with its count
+ */
+export function buildTimingBaseline(digraphs) {
+  const holdsByKey = new Map()
+  const pairs = new Map()
+  const addHold = (code, holdTime) => {
+    if (!holdsByKey.has(code)) holdsByKey.set(code, [])
+    holdsByKey.get(code).push(holdTime)
+  }
+
+  digraphs.forEach(digraph => {
+    addHold(digraph.prevKey, digraph.prevHoldTime)
+    addHold(digraph.nextKey, digraph.nextHoldTime)
+    const pair = `${digraph.prevKey} ${digraph.nextKey}`
+    if (!pairs.has(pair)) pairs.set(pair, [])
+    pairs.get(pair).push(digraph)
+  })
+
+  const baseline = {
+    holdTime: median([...holdsByKey.values()].flat()),
+    keys: {},
+    pairs: {}
+  }
+  PAIR_TIMINGS.forEach(timing => {
+    baseline[timing] = median(digraphs.map(digraph => digraph[timing]))
+  })
+  holdsByKey.forEach((holdTimes, code) => {
+    if (holdTimes.length >= MIN_BASELINE_COUNT) {
+      baseline.keys[code] = { holdTime: median(holdTimes), count: holdTimes.length }
+    }
+  })
+  pairs.forEach((pairDigraphs, pair) => {
+    if (pairDigraphs.length >= MIN_BASELINE_COUNT) {
+      baseline.pairs[pair] = { count: pairDigraphs.length }
+      PAIR_TIMINGS.forEach(timing => {
+        baseline.pairs[pair][timing] = median(pairDigraphs.map(digraph => digraph[timing]))
+      })
+    }
+  })
+  return baseline
+}
+
+/**
+ * "2.1x" or "12x"
+ * @param {number} ratio - Ratio of at least 1
+ * @returns {string}
+ */
+function formatRatio(ratio) {
+  return `${ratio >= 10 ? Math.round(ratio) : ratio.toFixed(1)}x`
+}
+
+/**
+ * Compare a positive timing with its baseline
+ * @param {number} value - Timing in milliseconds
+ * @param {number|null} base - Baseline timing
+ * @param {Array<string>} words - [word when longer, word when shorter]
+ * @returns {string|null} - e.g. "3.0x slower", or null when the timing is not far off
+ *   or cannot be compared as a ratio
+ */
+function describeRatio(value, base, [longer, shorter]) {
+  if (!(value > 0) || !(base > 0)) {
+    return null
+  }
+  const ratio = value / base
+  if (ratio >= NOTABLE_RATIO) {
+    return `${formatRatio(ratio)} ${longer}`
+  }
+  if (ratio <= 1 / NOTABLE_RATIO) {
+    return `${formatRatio(1 / ratio)} ${shorter}`
+  }
+  return null
+}
+
+/**
+ * Message about one feature of a digraph
+ * @param {string} feature - One of FEATURE_NAMES
+ * @param {Object} digraph - Raw digraph feature object
+ * @param {Object} baseline - From buildTimingBaseline
+ * @returns {Object} - { topic, message }; features of the same topic share a message
+ */
+function describeFeature(feature, digraph, baseline) {
+  const labels = [keyLabel(digraph.prevKey), keyLabel(digraph.nextKey)]
+  const pairLabel = `'${labels.join('')}'`
+  const pairBaseline = baseline.pairs[`${digraph.prevKey} ${digraph.nextKey}`]
+
+  if (feature === 'prevHoldTime' || feature === 'nextHoldTime') {
+    const index = feature === 'prevHoldTime' ? 0 : 1
+    const code = index === 0 ? digraph.prevKey : digraph.nextKey
+    const keyBaseline = baseline.keys[code]
+    const comparison = describeRatio(
+      digraph[feature],
+      keyBaseline ? keyBaseline.holdTime : baseline.holdTime,
+      ['longer', 'shorter']
+    )
+    return {
+      topic: `hold ${index}`,
+      message: comparison
+        ? `the hold time on '${labels[index]}' was ${comparison} than ${keyBaseline ? 'your baseline' : 'your typical key'}`
+        : `the hold time on '${labels[index]}' is unusual`
+    }
+  }
+
+  if (PAIR_TIMINGS.includes(feature)) {
+    const than = pairBaseline ? 'your baseline' : 'your typical key pair'
+    if (feature === 'upDownTime') {
+      const base = pairBaseline ? pairBaseline.upDownTime : baseline.upDownTime
+      // Negative when the second key went down before the first came up
+      if (digraph.upDownTime < 0 && base >= 0) {
+        return { topic: 'pair', message: `'${labels[0]}' was still held when '${labels[1]}' was pressed, unlike ${than}` }
+      }
+      if (digraph.upDownTime >= 0 && base < 0) {
+        return { topic: 'pair', message: `'${labels[0]}' was released before '${labels[1]}' was pressed, unlike ${than}` }
+      }
+      const comparison = describeRatio(digraph.upDownTime, base, ['longer', 'shorter'])
+      return {
+        topic: 'pair',
+        message: comparison
+          ? `the gap between '${labels[0]}' and '${labels[1]}' was ${comparison} than ${than}`
+          : `the timing between '${labels[0]}' and '${labels[1]}' is unusual`
+      }
+    }
+    // A digraph's speed is its down-down time, whichever of the two timings stood out
+    const speedBase = pairBaseline ? pairBaseline.downDownTime : baseline.downDownTime
+    const comparison = describeRatio(digraph.downDownTime, speedBase, ['slower', 'faster'])
+    return {
+      topic: 'pair',
+      message: comparison
+        ? `the ${pairLabel} digraph was ${comparison} than ${than}`
+        : `the rhythm of the ${pairLabel} digraph is unusual`
+    }
+  }
+
+  // Key position features: the model did not expect these keys with these timings
+  return {
+    topic: 'keys',
+    message: pairBaseline
+      ? `the timing of ${pairLabel} does not fit those keys`
+      : `${pairLabel} is a key pair you rarely typed during enrollment`
+  }
+}
+
+/**
+ * Explain a score by the features and keys that drove it
+ * @param {Object} digraph - Raw digraph feature object that was scored (the newest
+ *   digraph of a window)
+ * @param {Array<number>} featureErrors - Per-feature errors, in FEATURE_NAMES order
+ * @param {Object} baseline - From buildTimingBaseline
+ * @returns {Object} - { keys, times, flagged, features, reasons }: the digraph's two
+ *   key codes and keydown times, which of them to highlight ([boolean, boolean]), the
+ *   TOP_FEATURES features by { feature, share } of the error, and up to MAX_REASONS
+ *   messages on what looked wrong
+ */
+export function explainScore(digraph, featureErrors, baseline) {
+  const total = featureErrors.reduce((sum, error) => sum + error, 0)
+  const ranked = FEATURE_NAMES
+    .map((feature, i) => ({ feature, share: total > 0 ? featureErrors[i] / total : 0 }))
+    .sort((a, b) => b.share - a.share)
+  const features = ranked.slice(0, TOP_FEATURES)
+
+  const flagged = [false, false]
+  features
+    .filter((feature, i) => i === 0 || feature.share >= FLAG_SHARE)
+    .forEach(({ feature }) => featureKeys(feature).forEach(index => {
+      flagged[index] = true
+    }))
+
+  const reasons = []
+  const topics = new Set()
+  features.forEach(({ feature }) => {
+    const { topic, message } = describeFeature(feature, digraph, baseline)
+    if (!topics.has(topic) && reasons.length < MAX_REASONS) {
+      topics.add(topic)
+      reasons.push(message)
+    }
+  })
+
+  return {
+    keys: [digraph.prevKey, digraph.nextKey],
+    times: [digraph.prevTime !== undefined ? digraph.prevTime : null,
+      digraph.nextTime !== undefined ? digraph.nextTime : null],
+    flagged,
+    features,
+    reasons
+  }
+}
@@ -0,0 +1,195 @@
+import { ManualClock, systemClock } from './Clock.js'
+
+export const RECORDING_FORMAT = 'typing-behavior-recording'
+export const RECORDING_FORMAT_VERSION = 1
+
+const TIME_PRECISION = 100 // Times are kept to 1/100 ms
+
+// Event type of a tuple, by the event type it records
+const EVENT_TYPES = {
+  keydown: 'd',
+  keyup: 'u',
+  compositionstart: 'cs',
+  compositionend: 'ce'
+}
+const TUPLE_TYPES = Object.fromEntries(Object.entries(EVENT_TYPES).map(([type, tag]) => [tag, type]))
+
+/**
+ * RecordingError - A file is not a valid session recording
+ */
+export class RecordingError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'RecordingError'
+  }
+}
+
+/**
+ * SessionRecorder - Records keydown/keyup events as a compact, replayable session
+ * Each event is stored as a tuple [time, 'd' | 'u', keyCode, code, repeat], with
+ * time in milliseconds since the first event, so a typical keystroke costs ~30 bytes.
+ * IME composition start and end are stored as [time, 'cs' | 'ce', 0, '', 0].
+ */
+export class SessionRecorder {
+  constructor() {
+    this.events = null
+    this.startTime = null
+    this.startedAt = null
+  }
+
+  /**
+   * @returns {boolean} - Whether a recording is in progress
+   */
+  isRecording() {
+    return this.events !== null
+  }
+
+  /**
+   * Start a new recording, discarding any unsaved one
+   */
+  start() {
+    this.events = []
+    this.startTime = null
+    this.startedAt = new Date()
+  }
+
+  /**
+   * Record a keyboard or composition event
+   * @param {KeyboardEvent|CompositionEvent|Object} event - The keydown, keyup,
+   *   compositionstart or compositionend event
+   * @param {number} time - Event time in milliseconds
+   */
+  record(event, time) {
+    if (!this.isRecording() || !EVENT_TYPES[event.type]) {
+      return
+    }
+    if (this.startTime === null) {
+      this.startTime = time
+    }
+
+    this.events.push([
+      Math.round((time - this.startTime) * TIME_PRECISION) / TIME_PRECISION,
+      EVENT_TYPES[event.type],
+      event.keyCode || event.which || 0,
+      event.code || '',
+      event.repeat ? 1 : 0
+    ])
+  }
+
+  /**
+   * Finish the recording
+   * @param {Object} metadata - Extra fields stored with it, e.g. { profile, label }
+   * @returns {Object|null} - The recording, or null when none was in progress
+   */
+  stop(metadata = {}) {
+    if (!this.isRecording()) {
+      return null
+    }
+
+    const recording = {
+      format: RECORDING_FORMAT,
+      formatVersion: RECORDING_FORMAT_VERSION,
+      recordedAt: this.startedAt.toISOString(),
+      ...metadata,
+      events: this.events
+    }
+    this.events = null
+    this.startTime = null
+    return recording
+  }
+}
+
+/**
+ * Parse and validate a recording file
+ * @param {string} text - JSON file contents
+ * @returns {Object} - The recording
+ * @throws {RecordingError}
+ */
+export function parseRecording(text) {
+  let recording
+  try {
+    recording = JSON.parse(text)
+  } catch (error) {
+    throw new RecordingError('The file is not valid JSON.')
+  }
+
+  if (!recording || recording.format !== RECORDING_FORMAT) {
+    throw new RecordingError('The file is not a typing session recording.')
+  }
+  if (recording.formatVersion > RECORDING_FORMAT_VERSION) {
+    throw new RecordingError('The recording was made by a newer release.')
+  }
+  if (!Array.isArray(recording.events) || !recording.events.every(isEventTuple)) {
+    throw new RecordingError('The events in the recording are malformed.')
+  }
+  return recording
+}
+
+/**
+ * Convert recorded events to raw samples
+ * Raw samples (see toRawSample) are passed through, so recordings and stored
+ * training samples can be used interchangeably
+ * @param {Array} events - Recorded event tuples or raw samples
+ * @returns {Array<Object>} - Raw samples { type, keyCode, code, repeat, time }
+ */
+export function toRawSamples(events) {
+  return events.map(event => {
+    if (!Array.isArray(event)) {
+      return event
+    }
+    const [time, type, keyCode, code, repeat] = event
+    return { type: TUPLE_TYPES[type], keyCode, code, repeat: Boolean(repeat), time }
+  })
+}
+
+/**
+ * Replay a recording as keyboard events
+ * With a ManualClock the clock is moved to each event's time and events are
+ * dispatched without waiting, so replay is instant and deterministic. With any other
+ * clock, events are dispatched in real time.
+ * @param {Object} recording - Recording from SessionRecorder or parseRecording
+ * @param {Function} onKeystroke - Receives each replayed event
+ * @param {Object} options - { clock, signal } where signal is an AbortSignal
+ * @returns {Promise<boolean>} - Whether the whole recording was replayed
+ */
+export async function replayRecording(recording, onKeystroke, { clock = systemClock, signal = null } = {}) {
+  const startTime = clock.now()
+
+  for (const sample of toRawSamples(recording.events)) {
+    if (signal && signal.aborted) {
+      return false
+    }
+
+    const time = startTime + sample.time
+    if (clock instanceof ManualClock) {
+      clock.set(time)
+    } else {
+      const wait = time - clock.now()
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait))
+      }
+    }
+
+    onKeystroke({
+      type: sample.type,
+      keyCode: sample.keyCode,
+      which: sample.keyCode,
+      code: sample.code || '',
+      repeat: sample.repeat,
+      timeStamp: time
+    })
+  }
+  return true
+}
+
+/**
+ * Check the shape of a recorded event tuple
+ * @param {*} event
+ * @returns {boolean}
+ */
+function isEventTuple(event) {
+  return Array.isArray(event) &&
+    typeof event[0] === 'number' &&
+    Boolean(TUPLE_TYPES[event[1]]) &&
+    Number.isInteger(event[2])
+}
@@ -1,119 +1,701 @@
+import {
+  SCHEMA_VERSION,
+  ModelSchemaError,
+  getSchemaVersion,
+  migrateModelState
+} from './ModelSchema.js'
+
+export const DEFAULT_PROFILE = 'Default'
+
+const DATABASE_NAME = 'typingBehavior'
+const DATABASE_VERSION = 4 // 2 added the passphrases store, 3 the sessions store, 4 the incidents store
+const PROFILES_STORE = 'profiles' // Profile metadata and model state, by profile name
+const SAMPLES_STORE = 'samples' // Raw training keystroke events, by profile name
+const SETTINGS_STORE = 'settings' // App settings such as the active profile, by key
+const PASSPHRASES_STORE = 'passphrases' // Fixed-text passphrase templates, by profile name
+const SESSIONS_STORE = 'sessions' // Raw keystroke events of recent prediction sessions, by profile name
+const INCIDENTS_STORE = 'incidents' // Anomaly incidents (see IncidentTracker), by id with a profile index
+
+const MAX_STORED_SESSIONS = 10 // Recent sessions kept per profile
+const MAX_STORED_INCIDENTS = 500 // Recent incidents kept per profile
+
+const LEGACY_MODEL_KEY = 'typingBehaviorModel' // localStorage key (prefix) of older saves
+const LEGACY_PROFILES_KEY = 'typingBehaviorProfiles'
+const LEGACY_ACTIVE_PROFILE_KEY = 'typingBehaviorActiveProfile'
+
 /**
- * StorageManager - Handles model persistence using localStorage
- * Stores model weights, configuration, and feature statistics
+ * StorageManager - Handles model persistence using IndexedDB
+ * Profile metadata, model state (including the state of a classic detector) and
+ * training samples live in this app's own object stores. Autoencoder topology and
+ * weights are saved through tf.io's 'indexeddb://' handler by ModelStore, which
+ * extends this class inside the model worker; this class never imports TensorFlow.js,
+ * so the page can use it without loading tfjs.
+ *
+ * Saved model states carry a schema version (see ModelSchema). Older saves are
+ * migrated on load; ones that cannot be migrated are reported and kept, never deleted.
  */
 export class StorageManager {
   constructor() {
-    this.storageKey = 'typingBehaviorModel'
+    this.databasePromise = null
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  getDatabase() {
+    if (!this.databasePromise) {
+      this.databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION)
+
+        request.onupgradeneeded = () => {
+          const database = request.result
+          if (!database.objectStoreNames.contains(PROFILES_STORE)) {
+            database.createObjectStore(PROFILES_STORE, { keyPath: 'name' })
+          }
+          if (!database.objectStoreNames.contains(SAMPLES_STORE)) {
+            database.createObjectStore(SAMPLES_STORE, { keyPath: 'profile' })
+          }
+          if (!database.objectStoreNames.contains(SETTINGS_STORE)) {
+            database.createObjectStore(SETTINGS_STORE, { keyPath: 'key' })
+          }
+          if (!database.objectStoreNames.contains(PASSPHRASES_STORE)) {
+            database.createObjectStore(PASSPHRASES_STORE, { keyPath: 'profile' })
+          }
+          if (!database.objectStoreNames.contains(SESSIONS_STORE)) {
+            database.createObjectStore(SESSIONS_STORE, { keyPath: 'profile' })
+          }
+          if (!database.objectStoreNames.contains(INCIDENTS_STORE)) {
+            const incidents = database.createObjectStore(INCIDENTS_STORE, { keyPath: 'id' })
+            incidents.createIndex('profile', 'profile')
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+
+      // Allow a later call to retry after a failed open
+      this.databasePromise.catch(() => {
+        this.databasePromise = null
+      })
+    }
+    return this.databasePromise
+  }
+
+  /**
+   * Read a single record
+   * @param {string} storeName - Object store name
+   * @param {string} key - Record key
+   * @returns {Promise<Object|undefined>}
+   */
+  async getRecord(storeName, key) {
+    const database = await this.getDatabase()
+    const transaction = database.transaction(storeName, 'readonly')
+    return requestToPromise(transaction.objectStore(storeName).get(key))
+  }
+
+  /**
+   * Point a profile at a newly saved model, together with its samples
+   * Both are written in a single transaction, so a failed save leaves the previous
+   * model in place.
+   * @param {string} profileName - Profile the model belongs to
+   * @param {Object} model - { modelUrl, modelState } of the new model; modelUrl is null
+   *   for classic detectors, which are saved entirely in the model state
+   * @param {Array<Object>} events - Raw training keystroke events
+   * @returns {Promise<string|null>} - tf.io URL of the model the profile pointed at before
+   */
+  async saveModelRecords(profileName, { modelUrl, modelState }, events) {
+    const database = await this.getDatabase()
+    const transaction = database.transaction([PROFILES_STORE, SAMPLES_STORE], 'readwrite')
+    const profiles = transaction.objectStore(PROFILES_STORE)
+    const existing = await requestToPromise(profiles.get(profileName))
+
+    profiles.put({
+      name: profileName,
+      modelUrl,
+      modelState,
+      timestamp: Date.now(),
+      schemaVersion: SCHEMA_VERSION
+    })
+    transaction.objectStore(SAMPLES_STORE).put({ profile: profileName, events })
+    await transactionDone(transaction)
+    return existing ? existing.modelUrl || null : null
   }
 
   /**
-   * Save model to localStorage
-   * @param {Object} modelState - Model state object from ModelManager
-   * @returns {boolean} - Success status
+   * Load model state from IndexedDB, migrating older schema versions
+   * @param {string} profileName - Profile to load
+   * @returns {Promise<Object|null>} - Model state object (with the modelUrl to load
+   *   autoencoder topology and weights from) or null if not found
+   * @throws {ModelSchemaError} - When the saved model cannot be used by this release
    */
-  saveModel(modelState) {
+  async loadModel(profileName) {
+    let record
     try {
-      if (!modelState) {
-        return false
-      }
+      record = await this.getRecord(PROFILES_STORE, profileName)
+    } catch (error) {
+      console.error('Error loading model:', error)
+      return null
+    }
 
-      const dataToSave = {
-        modelState: modelState,
-        timestamp: Date.now(),
-        version: '1.0'
-      }
+    if (record && record.unsupportedReason) {
+      throw new ModelSchemaError(record.unsupportedReason, record.schemaVersion)
+    }
+    if (!record || !hasSavedModel(record)) {
+      return null
+    }
+
+    const savedVersion = getSchemaVersion(record.modelState, record.version)
+    const modelState = migrateModelState(record.modelState, record.version)
+
+    // Store the upgraded state so the migration only runs once
+    if (savedVersion !== SCHEMA_VERSION) {
+      await this.putRecord(PROFILES_STORE, {
+        name: record.name,
+        modelUrl: record.modelUrl,
+        modelState,
+        timestamp: record.timestamp,
+        schemaVersion: SCHEMA_VERSION
+      })
+    }
+
+    return { ...modelState, modelUrl: record.modelUrl }
+  }
 
-      const jsonString = JSON.stringify(dataToSave)
-      localStorage.setItem(this.storageKey, jsonString)
+  /**
+   * Write a single record
+   * @param {string} storeName - Object store name
+   * @param {Object} record - Record to write
+   * @returns {Promise<boolean>} - Success status
+   */
+  async putRecord(storeName, record) {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(storeName, 'readwrite')
+      transaction.objectStore(storeName).put(record)
+      await transactionDone(transaction)
       return true
     } catch (error) {
-      console.error('Error saving model:', error)
-      
-      // If localStorage is full, try to clear old data
-      if (error.name === 'QuotaExceededError') {
-        console.warn('localStorage quota exceeded, clearing old data')
-        this.clearModel()
-        try {
-          const jsonString = JSON.stringify({
-            modelState: modelState,
-            timestamp: Date.now(),
-            version: '1.0'
-          })
-          localStorage.setItem(this.storageKey, jsonString)
-          return true
-        } catch (retryError) {
-          console.error('Failed to save after clearing:', retryError)
-          return false
-        }
-      }
-      
+      console.error('Error writing record:', error)
       return false
     }
   }
 
   /**
-   * Load model from localStorage
-   * @returns {Object|null} - Model state object or null if not found
+   * Load the raw training keystroke events saved with a profile's model
+   * @param {string} profileName - Profile to load
+   * @returns {Promise<Array>} - Raw samples (empty if none, or if only normalized
+   *   vectors were saved by an older version)
    */
-  loadModel() {
+  async loadSamples(profileName) {
     try {
-      const savedData = localStorage.getItem(this.storageKey)
-      
-      if (!savedData) {
-        return null
-      }
-
-      const parsed = JSON.parse(savedData)
-      return parsed.modelState || null
+      const record = await this.getRecord(SAMPLES_STORE, profileName)
+      return record && record.events ? record.events : []
     } catch (error) {
-      console.error('Error loading model:', error)
-      return null
+      console.error('Error loading samples:', error)
+      return []
     }
   }
 
   /**
    * Check if a model exists in storage
-   * @returns {boolean}
+   * @param {string} profileName - Profile to check
+   * @returns {Promise<boolean>}
+   */
+  async modelExists(profileName) {
+    const metadata = await this.getMetadata(profileName)
+    return metadata !== null
+  }
+
+  /**
+   * Load the raw keystroke events of a profile's recent prediction sessions
+   * @param {string} profileName - Profile to load
+   * @returns {Promise<Array<Object>>} - { startedAt, events } oldest first (empty if none)
+   */
+  async loadSessions(profileName) {
+    try {
+      const record = await this.getRecord(SESSIONS_STORE, profileName)
+      return record ? record.sessions : []
+    } catch (error) {
+      console.error('Error loading sessions:', error)
+      return []
+    }
+  }
+
+  /**
+   * Save a prediction session's raw keystroke events, replacing an earlier save of the
+   * same session; only the MAX_STORED_SESSIONS most recent sessions are kept
+   * @param {string} profileName - Profile the session was typed as
+   * @param {Object} session - { startedAt, events }; startedAt identifies the session
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveSession(profileName, session) {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(SESSIONS_STORE, 'readwrite')
+      const store = transaction.objectStore(SESSIONS_STORE)
+      const existing = await requestToPromise(store.get(profileName))
+
+      const sessions = (existing ? existing.sessions : [])
+        .filter(saved => saved.startedAt !== session.startedAt)
+      sessions.push(session)
+      store.put({ profile: profileName, sessions: sessions.slice(-MAX_STORED_SESSIONS) })
+      await transactionDone(transaction)
+      return true
+    } catch (error) {
+      console.error('Error saving session:', error)
+      return false
+    }
+  }
+
+  /**
+   * Load a profile's incidents
+   * @param {string} profileName - Profile to load
+   * @returns {Promise<Array<Object>>} - Incidents oldest first (empty if none)
+   */
+  async loadIncidents(profileName) {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(INCIDENTS_STORE, 'readonly')
+      const index = transaction.objectStore(INCIDENTS_STORE).index('profile')
+      return sortByCreation(await requestToPromise(index.getAll(profileName)))
+    } catch (error) {
+      console.error('Error loading incidents:', error)
+      return []
+    }
+  }
+
+  /**
+   * Load the incidents of every profile in a webhook delivery state
+   * @param {string} status - Delivery status, e.g. 'pending' (see IncidentWebhook)
+   * @returns {Promise<Array<Object>>} - Incidents oldest first
    */
-  modelExists() {
-    return localStorage.getItem(this.storageKey) !== null
+  async loadIncidentsByDelivery(status) {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(INCIDENTS_STORE, 'readonly')
+      const incidents = await requestToPromise(transaction.objectStore(INCIDENTS_STORE).getAll())
+      return sortByCreation(incidents.filter(incident =>
+        incident.delivery && incident.delivery.status === status))
+    } catch (error) {
+      console.error('Error loading incidents:', error)
+      return []
+    }
   }
 
   /**
-   * Clear model from storage
-   * @returns {boolean} - Success status
+   * Save an incident, replacing an earlier save with the same id; only the
+   * MAX_STORED_INCIDENTS most recent incidents of its profile are kept
+   * @param {Object} incident - Incident from IncidentTracker, with its delivery field
+   * @returns {Promise<boolean>} - Success status
    */
-  clearModel() {
+  async saveIncident(incident) {
     try {
-      localStorage.removeItem(this.storageKey)
+      const database = await this.getDatabase()
+      const transaction = database.transaction(INCIDENTS_STORE, 'readwrite')
+      const store = transaction.objectStore(INCIDENTS_STORE)
+      store.put(incident)
+
+      const saved = sortByCreation(await requestToPromise(store.index('profile').getAll(incident.profile)))
+      saved.slice(0, Math.max(saved.length - MAX_STORED_INCIDENTS, 0))
+        .forEach(old => store.delete(old.id))
+      await transactionDone(transaction)
       return true
     } catch (error) {
-      console.error('Error clearing model:', error)
+      console.error('Error saving incident:', error)
       return false
     }
   }
 
   /**
-   * Get model metadata (timestamp, version)
-   * @returns {Object|null}
+   * Record the webhook delivery state of a stored incident
+   * @param {string} id - Incident id
+   * @param {Object} delivery - Delivery state (see IncidentWebhook)
+   * @returns {Promise<boolean>} - Success status; false as well when the incident is
+   *   no longer stored
    */
-  getMetadata() {
+  async updateIncidentDelivery(id, delivery) {
     try {
-      const savedData = localStorage.getItem(this.storageKey)
-      if (!savedData) {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(INCIDENTS_STORE, 'readwrite')
+      const store = transaction.objectStore(INCIDENTS_STORE)
+      const existing = await requestToPromise(store.get(id))
+      if (existing) {
+        store.put({ ...existing, delivery })
+      }
+      await transactionDone(transaction)
+      return Boolean(existing)
+    } catch (error) {
+      console.error('Error updating incident delivery:', error)
+      return false
+    }
+  }
+
+  /**
+   * Delete a profile's incidents
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clearIncidents(profileName) {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(INCIDENTS_STORE, 'readwrite')
+      await deleteIncidents(transaction.objectStore(INCIDENTS_STORE), profileName)
+      await transactionDone(transaction)
+      return true
+    } catch (error) {
+      console.error('Error clearing incidents:', error)
+      return false
+    }
+  }
+
+  /**
+   * Clear a profile's model records (the profile itself is kept)
+   * Recent sessions are cleared with it, since they were typed against that enrollment
+   * @param {string} profileName - Profile whose model to clear
+   * @returns {Promise<string|null>} - tf.io URL of the model that was cleared, whose
+   *   files are left to the caller (see ModelStore.clearModel)
+   */
+  async clearModelRecords(profileName) {
+    const database = await this.getDatabase()
+    const transaction = database.transaction([PROFILES_STORE, SAMPLES_STORE, SESSIONS_STORE], 'readwrite')
+    const profiles = transaction.objectStore(PROFILES_STORE)
+    const existing = await requestToPromise(profiles.get(profileName))
+
+    if (existing) {
+      profiles.put({ name: profileName })
+    }
+    transaction.objectStore(SAMPLES_STORE).delete(profileName)
+    transaction.objectStore(SESSIONS_STORE).delete(profileName)
+    await transactionDone(transaction)
+    return existing ? existing.modelUrl || null : null
+  }
+
+  /**
+   * Get model metadata (timestamp, schema version)
+   * @param {string} profileName - Profile to inspect
+   * @returns {Promise<Object|null>}
+   */
+  async getMetadata(profileName) {
+    try {
+      const record = await this.getRecord(PROFILES_STORE, profileName)
+      if (!record || !hasSavedModel(record)) {
         return null
       }
 
-      const parsed = JSON.parse(savedData)
       return {
-        timestamp: parsed.timestamp,
-        version: parsed.version
+        timestamp: record.timestamp,
+        schemaVersion: getSchemaVersion(record.modelState, record.version)
       }
     } catch (error) {
       console.error('Error getting metadata:', error)
       return null
     }
   }
+
+  /**
+   * List all profiles with their enrollment status
+   * @returns {Promise<Array<Object>>} - [{ name, enrolled, timestamp, unsupportedReason }],
+   *   where unsupportedReason explains why a saved model cannot be loaded (or is null)
+   */
+  async listProfiles() {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(PROFILES_STORE, 'readonly')
+      const records = await requestToPromise(transaction.objectStore(PROFILES_STORE).getAll())
+
+      return records.map(record => {
+        const unsupportedReason = getUnsupportedReason(record)
+        return {
+          name: record.name,
+          enrolled: hasSavedModel(record) && unsupportedReason === null,
+          timestamp: record.timestamp || null,
+          unsupportedReason
+        }
+      })
+    } catch (error) {
+      console.error('Error reading profiles:', error)
+      return []
+    }
+  }
+
+  /**
+   * Check whether a profile exists
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>}
+   */
+  async hasProfile(profileName) {
+    return Boolean(await this.getRecord(PROFILES_STORE, profileName))
+  }
+
+  /**
+   * Register a profile name
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async addProfile(profileName) {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(PROFILES_STORE, 'readwrite')
+      const profiles = transaction.objectStore(PROFILES_STORE)
+      const existing = await requestToPromise(profiles.get(profileName))
+      if (!existing) {
+        profiles.put({ name: profileName })
+      }
+      await transactionDone(transaction)
+      return true
+    } catch (error) {
+      console.error('Error adding profile:', error)
+      return false
+    }
+  }
+
+  /**
+   * Delete a profile's records, including its incidents
+   * @param {string} profileName - Profile name
+   * @returns {Promise<string|null>} - tf.io URL of the profile's model, whose files are
+   *   left to the caller (see ModelStore.deleteProfile)
+   */
+  async deleteProfileRecords(profileName) {
+    const database = await this.getDatabase()
+    const transaction = database.transaction(
+      [PROFILES_STORE, SAMPLES_STORE, SETTINGS_STORE, PASSPHRASES_STORE, SESSIONS_STORE, INCIDENTS_STORE],
+      'readwrite'
+    )
+    const profiles = transaction.objectStore(PROFILES_STORE)
+    const settings = transaction.objectStore(SETTINGS_STORE)
+    const existing = await requestToPromise(profiles.get(profileName))
+    const active = await requestToPromise(settings.get('activeProfile'))
+
+    profiles.delete(profileName)
+    transaction.objectStore(SAMPLES_STORE).delete(profileName)
+    transaction.objectStore(PASSPHRASES_STORE).delete(profileName)
+    transaction.objectStore(SESSIONS_STORE).delete(profileName)
+    await deleteIncidents(transaction.objectStore(INCIDENTS_STORE), profileName)
+    if (active && active.value === profileName) {
+      settings.delete('activeProfile')
+    }
+    await transactionDone(transaction)
+    return existing ? existing.modelUrl || null : null
+  }
+
+  /**
+   * Load a profile's passphrase template
+   * @param {string} profileName - Profile name
+   * @returns {Promise<Object|null>} - Template state (see PassphraseTemplate.toJSON), or null
+   */
+  async loadPassphraseTemplate(profileName) {
+    try {
+      const record = await this.getRecord(PASSPHRASES_STORE, profileName)
+      return record ? record.template : null
+    } catch (error) {
+      console.error('Error loading passphrase template:', error)
+      return null
+    }
+  }
+
+  /**
+   * Save a profile's passphrase template
+   * @param {string} profileName - Profile name
+   * @param {Object} template - Template state (see PassphraseTemplate.toJSON)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async savePassphraseTemplate(profileName, template) {
+    return this.putRecord(PASSPHRASES_STORE, { profile: profileName, template })
+  }
+
+  /**
+   * Delete a profile's passphrase template
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deletePassphraseTemplate(profileName) {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(PASSPHRASES_STORE, 'readwrite')
+      transaction.objectStore(PASSPHRASES_STORE).delete(profileName)
+      await transactionDone(transaction)
+      return true
+    } catch (error) {
+      console.error('Error deleting passphrase template:', error)
+      return false
+    }
+  }
+
+  /**
+   * Read a setting from the settings store
+   * @param {string} key - Setting name
+   * @param {*} defaultValue - Value returned when the setting is missing or unreadable
+   * @returns {Promise<*>}
+   */
+  async getSetting(key, defaultValue = null) {
+    try {
+      const record = await this.getRecord(SETTINGS_STORE, key)
+      return record ? record.value : defaultValue
+    } catch (error) {
+      console.error(`Error reading setting "${key}":`, error)
+      return defaultValue
+    }
+  }
+
+  /**
+   * Write a setting to the settings store
+   * @param {string} key - Setting name
+   * @param {*} value - Setting value
+   */
+  async setSetting(key, value) {
+    try {
+      const database = await this.getDatabase()
+      const transaction = database.transaction(SETTINGS_STORE, 'readwrite')
+      transaction.objectStore(SETTINGS_STORE).put({ key, value })
+      await transactionDone(transaction)
+    } catch (error) {
+      console.error(`Error saving setting "${key}":`, error)
+    }
+  }
+
+  /**
+   * Get the last selected profile
+   * @returns {Promise<string|null>}
+   */
+  async getActiveProfile() {
+    return this.getSetting('activeProfile')
+  }
+
+  /**
+   * Remember the selected profile across sessions
+   * @param {string} profileName - Profile name
+   */
+  async setActiveProfile(profileName) {
+    await this.setSetting('activeProfile', profileName)
+  }
+
+  /**
+   * Move models saved to localStorage by older versions into IndexedDB
+   * localStorage is only readable on the page while the models can only be rebuilt in
+   * the model worker, so this reads the saved entries and hands them to migrateEntries
+   * (see ModelStore.migrateLegacyEntries). Each localStorage entry is only removed once
+   * its model has been saved; entries whose model could not be migrated are kept.
+   * @param {Function} migrateEntries - Async ([{ profileName, key, savedData }]) =>
+   *   { migratedKeys, remainingProfiles }
+   */
+  async migrateLegacyModels(migrateEntries) {
+    try {
+      const savedNames = localStorage.getItem(LEGACY_PROFILES_KEY)
+      const legacyEntries = (savedNames ? JSON.parse(savedNames) : [])
+        .map(name => ({ profileName: name, key: `${LEGACY_MODEL_KEY}:${name}` }))
+
+      // Single model saved before profiles existed
+      if (localStorage.getItem(LEGACY_MODEL_KEY) !== null) {
+        legacyEntries.push({ profileName: DEFAULT_PROFILE, key: LEGACY_MODEL_KEY })
+      }
+      if (legacyEntries.length === 0) {
+        return
+      }
+
+      const entries = legacyEntries.map(entry => ({ ...entry, savedData: localStorage.getItem(entry.key) }))
+      const { migratedKeys, remainingProfiles } = await migrateEntries(entries)
+      migratedKeys.forEach(key => localStorage.removeItem(key))
+
+      if (remainingProfiles === 0) {
+        localStorage.removeItem(LEGACY_PROFILES_KEY)
+        localStorage.removeItem(LEGACY_ACTIVE_PROFILE_KEY)
+      }
+    } catch (error) {
+      console.error('Error migrating legacy models:', error)
+    }
+  }
+
+  /**
+   * Record that a profile's saved model cannot be loaded
+   * @param {string} profileName - Profile name
+   * @param {string} reason - Why the model is not supported
+   * @param {number} schemaVersion - Schema version of the saved model
+   */
+  async markUnsupported(profileName, reason, schemaVersion) {
+    await this.putRecord(PROFILES_STORE, {
+      name: profileName,
+      unsupportedReason: reason,
+      schemaVersion
+    })
+  }
+}
+
+/**
+ * Check whether a profile record holds a trained model
+ * Autoencoders are stored under a tf.io URL; classic detectors only in the model state
+ * @param {Object} record - Profile record
+ * @returns {boolean}
+ */
+function hasSavedModel(record) {
+  return Boolean(record.modelUrl || (record.modelState && record.modelState.detectorState))
+}
+
+/**
+ * Explain why a profile's saved model cannot be loaded
+ * @param {Object} record - Profile record
+ * @returns {string|null} - Reason, or null when the model is usable (or absent)
+ */
+function getUnsupportedReason(record) {
+  if (record.unsupportedReason) {
+    return record.unsupportedReason
+  }
+  if (!hasSavedModel(record)) {
+    return null
+  }
+
+  try {
+    migrateModelState(record.modelState, record.version)
+    return null
+  } catch (error) {
+    if (error instanceof ModelSchemaError) {
+      return error.message
+    }
+    throw error
+  }
 }
 
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Sort incidents oldest first
+ * @param {Array<Object>} incidents - Incidents in any order
+ * @returns {Array<Object>}
+ */
+function sortByCreation(incidents) {
+  return incidents.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Delete a profile's incidents within an open transaction
+ * @param {IDBObjectStore} store - The incidents store
+ * @param {string} profileName - Profile name
+ * @returns {Promise}
+ */
+async function deleteIncidents(store, profileName) {
+  const ids = await requestToPromise(store.index('profile').getAllKeys(profileName))
+  ids.forEach(id => store.delete(id))
+}
@@ -0,0 +1,80 @@
+/**
+ * Training policy: when enrollment ends, how each training pass fits the model and
+ * when a model is trusted to score. The config a model was enrolled with is saved
+ * with it (see ModelManager.getModelState), so a training run can be reproduced.
+ */
+
+export const END_CONDITIONS = ['duration', 'samples', 'convergence']
+
+export const OPTIMIZERS = ['adam', 'sgd', 'rmsprop', 'adagrad']
+
+export const DEFAULT_TRAINING_CONFIG = {
+  endCondition: 'duration', // What ends enrollment, one of END_CONDITIONS
+  duration: 90 * 1000, // 'duration': enrollment length in milliseconds ('convergence': at most)
+  sampleCount: 300, // 'samples': digraphs to collect ('convergence': at most)
+  patience: 3, // 'convergence': training passes without validation loss improvement
+  minImprovement: 0.01, // 'convergence': relative drop in validation loss that counts as improvement
+  batchSize: 10, // Digraphs between incremental training passes, and the fit batch size
+  epochs: 10, // Passes over the data per incremental training pass
+  retrainEpochs: 50, // Passes over the data for a from-scratch retrain
+  optimizer: 'adam', // One of OPTIMIZERS
+  learningRate: 0.001, // Optimizer learning rate
+  minTrainingSamples: 10 // Digraphs a model must be trained on before it scores
+}
+
+// Integer fields and their smallest allowed values
+const INTEGER_FIELDS = {
+  duration: 1000,
+  sampleCount: 10,
+  patience: 1,
+  batchSize: 1,
+  epochs: 1,
+  retrainEpochs: 1,
+  minTrainingSamples: 1
+}
+
+/**
+ * Fill in defaults and check a training config
+ * @param {Object} config - Partial config
+ * @returns {Object} - Complete config
+ * @throws {Error} - When a field is out of range
+ */
+export function normalizeTrainingConfig(config = {}) {
+  const normalized = { ...DEFAULT_TRAINING_CONFIG, ...config }
+
+  if (!END_CONDITIONS.includes(normalized.endCondition)) {
+    throw new Error(`Unknown enrollment end condition: ${normalized.endCondition}`)
+  }
+  if (!OPTIMIZERS.includes(normalized.optimizer)) {
+    throw new Error(`Unknown optimizer: ${normalized.optimizer}`)
+  }
+  for (const [field, min] of Object.entries(INTEGER_FIELDS)) {
+    if (!Number.isInteger(normalized[field]) || normalized[field] < min) {
+      throw new Error(`Training config ${field} must be an integer of at least ${min}`)
+    }
+  }
+  if (!(normalized.learningRate > 0 && normalized.learningRate <= 1)) {
+    throw new Error('Training config learningRate must be in (0, 1]')
+  }
+  if (!(normalized.minImprovement >= 0 && normalized.minImprovement < 1)) {
+    throw new Error('Training config minImprovement must be in [0, 1)')
+  }
+  return normalized
+}
+
+/**
+ * Whether the validation loss has plateaued
+ * True once the last `patience` passes all failed to lower the best earlier loss by
+ * at least `minImprovement` of it
+ * @param {Array<number>} valLosses - Validation loss after each training pass, oldest first
+ * @param {Object} config - Training config
+ * @returns {boolean}
+ */
+export function hasConverged(valLosses, { patience, minImprovement }) {
+  if (valLosses.length <= patience) {
+    return false
+  }
+
+  const best = Math.min(...valLosses.slice(0, -patience))
+  return valLosses.slice(-patience).every(loss => loss > best * (1 - minImprovement))
+}
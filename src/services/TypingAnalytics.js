@@ -0,0 +1,265 @@
+import { resolveKeyCode, getKeyInfo, getKeyLabel } from './KeyboardLayout.js'
+
+/**
+ * Typing-pattern analytics computed from stored raw keystroke events (see
+ * toRawSample): speed, slowest and fastest digraphs, dwell time per key and
+ * correction rates, for the enrollment and for recent sessions. No model is involved.
+ */
+
+const CHARACTER_CATEGORIES = ['letter', 'digit', 'punctuation', 'whitespace']
+const CORRECTION_KEYS = ['Backspace', 'Delete']
+const PAUSE_LIMIT = 2000 // Longer gaps between keystrokes are pauses, not typing time
+const CHARACTERS_PER_WORD = 5
+const WPM_SEGMENT_CHARACTERS = 50 // Characters per point of the WPM series
+const MIN_DIGRAPH_COUNT = 3 // Occurrences a digraph needs before it is ranked
+const RANKED_DIGRAPHS = 5 // Slowest and fastest digraphs reported
+
+/**
+ * Pair keydown and keyup events into keystrokes
+ * Auto-repeated keydowns are counted on their keystroke instead of starting one.
+ * @param {Array<Object>} events - Raw samples in time order
+ * @returns {Array<Object>} - { code, downTime, upTime, holdTime, repeats } by downTime;
+ *   holdTime is null when the keyup is missing
+ */
+export function toKeystrokes(events) {
+  const keystrokes = []
+  const pending = new Map()
+
+  events.forEach(event => {
+    const code = resolveKeyCode(event)
+    if (!code) {
+      return
+    }
+    if (event.type === 'keydown') {
+      if (event.repeat && pending.has(code)) {
+        pending.get(code).repeats += 1
+        return
+      }
+      const keystroke = { code, downTime: event.time, upTime: null, holdTime: null, repeats: 0 }
+      pending.set(code, keystroke)
+      keystrokes.push(keystroke)
+    } else if (event.type === 'keyup' && pending.has(code)) {
+      const keystroke = pending.get(code)
+      keystroke.upTime = event.time
+      keystroke.holdTime = event.time - keystroke.downTime
+      pending.delete(code)
+    }
+  })
+  return keystrokes
+}
+
+function isCharacter(keystroke) {
+  return CHARACTER_CATEGORIES.includes(getKeyInfo(keystroke.code).category)
+}
+
+function isCorrection(keystroke) {
+  return CORRECTION_KEYS.includes(keystroke.code)
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null
+  }
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Words per minute over the active typing time of a run of keystrokes
+ * @param {Array<Object>} keystrokes - Keystrokes from toKeystrokes
+ * @returns {number|null} - Null when there is no typing time
+ */
+function computeWpm(keystrokes) {
+  // Characters typed after the first keystroke, over the time since it
+  const characters = keystrokes.slice(1).filter(isCharacter)
+  let activeTime = 0
+  for (let i = 1; i < keystrokes.length; i++) {
+    activeTime += Math.min(keystrokes[i].downTime - keystrokes[i - 1].downTime, PAUSE_LIMIT)
+  }
+  if (activeTime <= 0) {
+    return null
+  }
+  return (characters.length / CHARACTERS_PER_WORD) / (activeTime / 60000)
+}
+
+/**
+ * Down-down times of consecutive character keystrokes typed without a pause
+ * @param {Array<Object>} keystrokes - Keystrokes from toKeystrokes
+ * @returns {Map<string, Array<number>>} - Times by 'prevCode nextCode'
+ */
+function collectDigraphs(keystrokes) {
+  const digraphs = new Map()
+  for (let i = 1; i < keystrokes.length; i++) {
+    const [first, second] = [keystrokes[i - 1], keystrokes[i]]
+    const time = second.downTime - first.downTime
+    if (!isCharacter(first) || !isCharacter(second) || time > PAUSE_LIMIT) {
+      continue
+    }
+    const key = `${first.code} ${second.code}`
+    if (!digraphs.has(key)) {
+      digraphs.set(key, [])
+    }
+    digraphs.get(key).push(time)
+  }
+  return digraphs
+}
+
+/**
+ * Summary statistics of a set of keystroke events
+ * @param {Array<Array<Object>>} runs - Raw sample lists, one per enrollment or session
+ * @returns {Object|null} - { characterCount, wpm, meanHoldTime, meanFlightTime,
+ *   backspaceRate, errorRate, dwell, digraphs }, or null without keystrokes.
+ *   backspaceRate is correction key presses per character, errorRate correction
+ *   bursts (consecutive Backspace/Delete presses) per character; dwell maps key codes
+ *   to { mean, count } hold times and digraphs keys to their down-down times
+ */
+export function summarizeTyping(runs) {
+  const keystrokeRuns = runs.map(toKeystrokes).filter(keystrokes => keystrokes.length > 0)
+  if (keystrokeRuns.length === 0) {
+    return null
+  }
+
+  const holdTimes = new Map()
+  const digraphs = new Map()
+  let characterCount = 0
+  let correctionCount = 0
+  let correctionBursts = 0
+  let activeTime = 0
+  const flightTimes = []
+
+  keystrokeRuns.forEach(keystrokes => {
+    keystrokes.forEach((keystroke, i) => {
+      if (isCharacter(keystroke)) {
+        characterCount += 1
+      }
+      if (isCorrection(keystroke)) {
+        correctionCount += 1 + keystroke.repeats
+        if (i === 0 || !isCorrection(keystrokes[i - 1])) {
+          correctionBursts += 1
+        }
+      }
+      if (keystroke.holdTime !== null && keystroke.repeats === 0) {
+        if (!holdTimes.has(keystroke.code)) {
+          holdTimes.set(keystroke.code, [])
+        }
+        holdTimes.get(keystroke.code).push(keystroke.holdTime)
+      }
+      if (i > 0) {
+        const gap = keystroke.downTime - keystrokes[i - 1].downTime
+        activeTime += Math.min(gap, PAUSE_LIMIT)
+        const previous = keystrokes[i - 1]
+        if (previous.upTime !== null && gap <= PAUSE_LIMIT) {
+          flightTimes.push(keystroke.downTime - previous.upTime)
+        }
+      }
+    })
+    collectDigraphs(keystrokes).forEach((times, key) => {
+      digraphs.set(key, [...(digraphs.get(key) || []), ...times])
+    })
+  })
+
+  const dwell = {}
+  holdTimes.forEach((times, code) => {
+    dwell[code] = { mean: mean(times), count: times.length }
+  })
+
+  return {
+    characterCount,
+    wpm: activeTime > 0 ? (characterCount / CHARACTERS_PER_WORD) / (activeTime / 60000) : null,
+    meanHoldTime: mean([...holdTimes.values()].flat()),
+    meanFlightTime: mean(flightTimes),
+    backspaceRate: characterCount > 0 ? correctionCount / characterCount : null,
+    errorRate: characterCount > 0 ? correctionBursts / characterCount : null,
+    dwell,
+    digraphs
+  }
+}
+
+/**
+ * Words per minute over segments of WPM_SEGMENT_CHARACTERS characters
+ * @param {Array<Object>} runs - { source, startedAt, events } in time order
+ * @returns {Array<Object>} - { source, startedAt, wpm } per segment
+ */
+export function computeWpmSeries(runs) {
+  const series = []
+  runs.forEach(({ source, startedAt, events }) => {
+    let segment = []
+    let characters = 0
+    toKeystrokes(events).forEach(keystroke => {
+      segment.push(keystroke)
+      if (isCharacter(keystroke)) {
+        characters += 1
+      }
+      if (characters >= WPM_SEGMENT_CHARACTERS) {
+        const wpm = computeWpm(segment)
+        if (wpm !== null) {
+          series.push({ source, startedAt, wpm })
+        }
+        segment = [keystroke]
+        characters = 0
+      }
+    })
+  })
+  return series
+}
+
+/**
+ * Rank digraphs by their median down-down time
+ * @param {Map<string, Array<number>>} digraphs - From summarizeTyping
+ * @returns {Object} - { slowest, fastest }, each a list of
+ *   { codes, label, median, count }
+ */
+export function rankDigraphs(digraphs) {
+  const ranked = [...digraphs.entries()]
+    .filter(([, times]) => times.length >= MIN_DIGRAPH_COUNT)
+    .map(([key, times]) => {
+      const codes = key.split(' ')
+      return {
+        codes,
+        label: codes.map(getKeyLabel).join(''),
+        median: median(times),
+        count: times.length
+      }
+    })
+    .sort((a, b) => b.median - a.median)
+
+  return {
+    slowest: ranked.slice(0, RANKED_DIGRAPHS),
+    fastest: ranked.slice(-RANKED_DIGRAPHS).reverse()
+  }
+}
+
+/**
+ * Analytics of a profile's stored typing
+ * @param {Array<Object>} enrollmentEvents - Raw enrollment samples (StorageManager.loadSamples)
+ * @param {Array<Object>} sessions - Recent prediction sessions, { startedAt, events }
+ *   (StorageManager.loadSessions)
+ * @returns {Object|null} - { enrollment, recent, overall, wpmSeries, slowestDigraphs,
+ *   fastestDigraphs }; enrollment/recent/overall are summarizeTyping results (recent is
+ *   null without sessions). Null when nothing has been typed.
+ */
+export function computeTypingAnalytics(enrollmentEvents, sessions = []) {
+  const sessionRuns = sessions.map(session => session.events)
+  const overall = summarizeTyping([enrollmentEvents, ...sessionRuns])
+  if (!overall) {
+    return null
+  }
+
+  const { slowest, fastest } = rankDigraphs(overall.digraphs)
+  return {
+    enrollment: summarizeTyping([enrollmentEvents]),
+    recent: summarizeTyping(sessionRuns),
+    overall,
+    wpmSeries: computeWpmSeries([
+      { source: 'enrollment', startedAt: null, events: enrollmentEvents },
+      ...sessions.map(({ startedAt, events }) => ({ source: 'session', startedAt, events }))
+    ]),
+    slowestDigraphs: slowest,
+    fastestDigraphs: fastest
+  }
+}
@@ -0,0 +1,1027 @@
+import { toRawSample } from './FeatureExtractor.js'
+import { DEFAULT_ARCHITECTURE, DEFAULT_WINDOW_SIZE } from './ModelConfig.js'
+import { DEFAULT_DETECTOR } from './detectors/index.js'
+import { StorageManager, DEFAULT_PROFILE } from './StorageManager.js'
+import { DEFAULT_THRESHOLD_TARGETS } from './ScoreCalibrator.js'
+import { ModelWorkerClient } from './ModelWorkerClient.js'
+import { systemClock, getEventTime, toWallTime } from './Clock.js'
+import { SessionRecorder, replayRecording } from './SessionRecorder.js'
+import { DEFAULT_VERDICT_OPTIONS } from './VerdictEngine.js'
+import { DEFAULT_TRAINING_CONFIG, normalizeTrainingConfig } from './TrainingConfig.js'
+import { appendToHistory, LOSS_HISTORY_LIMIT, SCORE_HISTORY_LIMIT } from './Diagnostics.js'
+import { IncidentTracker } from './IncidentTracker.js'
+import { IncidentWebhook, DEFAULT_WEBHOOK_CONFIG } from './IncidentWebhook.js'
+
+// Events listened to on an attached element
+const ELEMENT_EVENTS = ['keydown', 'keyup', 'compositionstart', 'compositionend']
+
+const SESSION_SAVE_INTERVAL = 200 // Prediction events between saves of the session for analytics
+const MAX_SESSION_EVENTS = 5000 // A longer prediction session is saved as several
+const MAX_CARET_POSITIONS = 100 // Recent keydowns whose caret position is remembered
+const MAX_HIGHLIGHTS = 50 // Flagged characters kept for highlighting
+const MAX_LISTED_INCIDENTS = 200 // Incidents of the active profile kept in state
+
+// State of one enrollment/prediction session, restored whenever the session is cleared
+const SESSION_STATE = {
+  phase: 'idle', // 'idle', 'training', 'predicting'
+  timeRemaining: DEFAULT_TRAINING_CONFIG.duration / 1000, // Seconds, for 'duration' and 'convergence' enrollments
+  trainingProgress: null, // { pass, loss, valLoss, converged, error } of the last enrollment training pass
+  lossHistory: [], // { pass, epoch, loss, valLoss } of every epoch of enrollment or the last retrain
+  scoreHistory: [], // { score, error } of the latest scored inputs
+  errorQuantiles: null, // Quantiles of the model's held-out reconstruction errors
+  excludedCounts: {}, // Events left out by preprocessing this session, by reason (see KeystrokeFilter)
+  explanation: null, // What drove the latest suspicious or anomalous score (see explainScore)
+  highlights: [], // { position, level } of typed characters flagged by explanations
+  predictionScore: null,
+  zScore: null,
+  thresholds: null,
+  samplesCollected: 0,
+  rawSampleCount: 0,
+  adaptationStatus: null,
+  verdict: null
+}
+
+/**
+ * TypingMonitor - Framework-agnostic typing behavior detector for one page
+ * Each named profile has its own enrollment and model. In 'verify' mode typing is
+ * enrolled into or scored against the active profile; in 'identify' mode it is
+ * scored against every enrolled profile to find the closest match. 'passphrase' mode
+ * leaves typing to a PassphraseTemplate, so nothing is enrolled or scored here.
+ *
+ * Models live in a Web Worker (see ModelSession). Keystrokes are only timestamped
+ * here and queued to the worker; progress and scores stream back as events and are
+ * published as state snapshots to subscribers.
+ *
+ * Verdict changes and threshold crossings become incidents (see IncidentTracker),
+ * which are stored as the profile's event log and, when a webhook is configured,
+ * POSTed to it (see IncidentWebhook).
+ */
+export class TypingMonitor {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {Element} options.element - Input element to listen to (optional; keystrokes
+   *   can also be passed to handleKeystroke)
+   * @param {string} options.profile - Profile to start with (default: the last active one)
+   * @param {Function} options.onScore - Called with { score, error, zScore, featureErrors,
+   *   explanation } for each scored input (see ModelSession)
+   * @param {Function} options.onVerdict - Called with each session verdict result
+   * @param {Function} options.onVerdictChange - Called with (result, previousVerdict)
+   *   whenever the session verdict changes, e.g. to lock the screen on 'impostor'
+   * @param {Function} options.onStateChange - Called with every new state snapshot
+   * @param {Function} options.onTrainingEpoch - Called with { pass, epoch, loss, valLoss }
+   *   after every epoch of enrollment training or a retrain
+   * @param {Function} options.onIncident - Called with each new incident
+   * @param {Object} options.clock - Time source for the enrollment timer and for events
+   *   without a timeStamp (see Clock); a ManualClock makes replays instant and deterministic
+   * @param {StorageManager} options.storageManager - Storage to use (default: a new one)
+   * @param {Function} options.fetch - fetch implementation for the incident webhook
+   */
+  constructor({
+    element = null,
+    profile = null,
+    onScore = null,
+    onVerdict = null,
+    onVerdictChange = null,
+    onStateChange = null,
+    onTrainingEpoch = null,
+    onIncident = null,
+    clock = systemClock,
+    storageManager = new StorageManager(),
+    fetch
+  } = {}) {
+    this.options = { profile, onScore, onVerdict, onVerdictChange, onStateChange, onTrainingEpoch, onIncident }
+    this.clock = clock
+    this.storageManager = storageManager
+    this.workerClient = null
+    this.recorder = new SessionRecorder()
+    this.element = null
+    this.listeners = new Set()
+    this.unsubscribers = []
+    this.timer = null
+    this.trainingStartTime = null
+    this.session = null // { startedAt, events } of the current prediction session
+    this.caretPositions = new Map() // Keydown time to the caret position it typed at
+    this.incidentTracker = new IncidentTracker({}, () => toWallTime(this.clock.now()))
+    this.incidentWebhook = new IncidentWebhook({
+      storageManager,
+      fetch,
+      onDelivery: (incident) => this.applyIncidentDelivery(incident),
+      onStatus: (webhookStatus) => this.setState({ webhookStatus })
+    })
+    this.ignoreEvents = false
+    this.startGeneration = 0 // Bumped by start() and destroy(), so a start cut short by destroy() stops
+    this.profileSelection = 0 // Bumped by selectProfile() and destroy(), so only the latest selection loads
+    this.state = {
+      profiles: [],
+      activeProfile: null,
+      mode: 'verify', // 'verify', 'identify', 'passphrase'
+      identification: null,
+      loadError: null,
+      isRecording: false,
+      isReplaying: false,
+      detector: DEFAULT_DETECTOR,
+      architecture: DEFAULT_ARCHITECTURE,
+      thresholdTargets: DEFAULT_THRESHOLD_TARGETS,
+      isRetraining: false,
+      adaptiveLearning: false,
+      verdictMethod: DEFAULT_VERDICT_OPTIONS.method,
+      trainingConfig: DEFAULT_TRAINING_CONFIG, // Policy for the next enrollment or retrain
+      modelTrainingConfig: null, // Policy the loaded model was trained with
+      incidents: [], // Incidents of the active profile, newest first
+      webhookConfig: DEFAULT_WEBHOOK_CONFIG,
+      webhookStatus: null, // From IncidentWebhook.getStatus
+      ...SESSION_STATE
+    }
+
+    // Passed around as callbacks
+    this.handleKeystroke = this.handleKeystroke.bind(this)
+    this.subscribe = this.subscribe.bind(this)
+    this.getState = this.getState.bind(this)
+
+    if (element) {
+      this.attach(element)
+    }
+  }
+
+  /**
+   * @returns {Object} - Current state snapshot; a new object after every change
+   */
+  getState() {
+    return this.state
+  }
+
+  /**
+   * Listen to state changes
+   * @param {Function} listener - Called with each new state snapshot
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Merge changes into the state and publish the new snapshot
+   * @param {Object} changes - Changed state fields
+   */
+  setState(changes) {
+    this.state = { ...this.state, ...changes }
+    this.listeners.forEach(listener => listener(this.state))
+    if (this.options.onStateChange) {
+      this.options.onStateChange(this.state)
+    }
+  }
+
+  /**
+   * Listen to keystrokes on an input element, replacing any previous element
+   * @param {Element} element - Input or textarea
+   */
+  attach(element) {
+    this.detach()
+    this.element = element
+    ELEMENT_EVENTS.forEach(type => element.addEventListener(type, this.handleKeystroke))
+  }
+
+  /**
+   * Stop listening to the attached element
+   */
+  detach() {
+    if (this.element) {
+      ELEMENT_EVENTS.forEach(type => this.element.removeEventListener(type, this.handleKeystroke))
+      this.element = null
+    }
+  }
+
+  /**
+   * The worker is started on first use, and again after destroy() stopped it
+   * @returns {ModelWorkerClient}
+   */
+  getWorkerClient() {
+    if (!this.workerClient) {
+      this.workerClient = new ModelWorkerClient()
+    }
+    return this.workerClient
+  }
+
+  /**
+   * Stream the worker's results into state, then load the settings and the initial profile
+   * When destroy() is called before this finishes (e.g. React StrictMode mounting twice),
+   * it stops at its next step and leaves the rest to the next start().
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const generation = ++this.startGeneration
+    const stopped = () => generation !== this.startGeneration
+    const client = this.getWorkerClient()
+    const listen = (event, listener) => client.on(event, (payload) => {
+      // Results queued before a session reset belong to the previous session
+      if (!this.ignoreEvents) {
+        listener(payload)
+      }
+    })
+
+    this.unsubscribers = [
+      listen('progress', ({ samplesCollected }) => {
+        this.setState({ samplesCollected })
+        const { phase, trainingConfig } = this.state
+        // 'convergence' is capped by the sample count too, in case the loss never plateaus
+        if (phase === 'training' && trainingConfig.endCondition !== 'duration' &&
+            samplesCollected >= trainingConfig.sampleCount) {
+          this.endTraining()
+        }
+      }),
+      listen('epoch', (epochLosses) => {
+        this.setState({ lossHistory: appendToHistory(this.state.lossHistory, epochLosses, LOSS_HISTORY_LIMIT) })
+        if (this.options.onTrainingEpoch) {
+          this.options.onTrainingEpoch(epochLosses)
+        }
+      }),
+      listen('training', ({ errorQuantiles, ...trainingProgress }) => {
+        this.setState({ trainingProgress, errorQuantiles })
+        const { phase, trainingConfig } = this.state
+        if (phase === 'training' && trainingConfig.endCondition === 'convergence' &&
+            trainingProgress.converged) {
+          this.endTraining()
+        }
+      }),
+      listen('score', (result) => {
+        this.setState({
+          predictionScore: result.score,
+          zScore: result.zScore,
+          explanation: result.explanation,
+          highlights: this.addHighlights(result.explanation),
+          scoreHistory: appendToHistory(
+            this.state.scoreHistory,
+            { score: result.score, error: result.error },
+            SCORE_HISTORY_LIMIT
+          )
+        })
+        if (this.options.onScore) {
+          this.options.onScore(result)
+        }
+        this.recordIncident(this.incidentTracker.addScore(result, this.getIncidentContext()))
+      }),
+      listen('verdict', (result) => {
+        const previousVerdict = this.state.verdict ? this.state.verdict.verdict : null
+        this.setState({ verdict: result })
+        if (this.options.onVerdict) {
+          this.options.onVerdict(result)
+        }
+        if (result.changed && this.options.onVerdictChange) {
+          this.options.onVerdictChange(result, previousVerdict)
+        }
+        this.recordIncident(this.incidentTracker.addVerdict(result, previousVerdict, this.getIncidentContext()))
+      }),
+      listen('excluded', ({ reason }) => {
+        const { excludedCounts } = this.state
+        this.setState({ excludedCounts: { ...excludedCounts, [reason]: (excludedCounts[reason] || 0) + 1 } })
+      }),
+      listen('identification', (identification) => this.setState({ identification })),
+      listen('adaptation', (adaptationStatus) => this.setState({ adaptationStatus }))
+    ]
+
+    // Models saved to localStorage by older versions are rebuilt in the worker
+    const storageManager = this.storageManager
+    await storageManager.migrateLegacyModels(entries => (stopped()
+      ? { migratedKeys: [], remainingProfiles: entries.length }
+      : this.workerClient.call('migrateLegacyModels', entries)))
+    const savedProfiles = await storageManager.listProfiles()
+    const lastProfile = await storageManager.getActiveProfile()
+    if (stopped()) {
+      return
+    }
+    const initialProfile = this.options.profile ||
+      (savedProfiles.some(p => p.name === lastProfile)
+        ? lastProfile
+        : (savedProfiles[0] ? savedProfiles[0].name : DEFAULT_PROFILE))
+
+    const adaptiveLearning = await storageManager.getSetting('adaptiveLearning', false)
+    const verdictMethod = await storageManager.getSetting('verdictMethod', DEFAULT_VERDICT_OPTIONS.method)
+    let trainingConfig = DEFAULT_TRAINING_CONFIG
+    try {
+      trainingConfig = normalizeTrainingConfig(await storageManager.getSetting('trainingConfig', {}))
+    } catch (error) {
+      console.error('Ignoring saved training config:', error)
+    }
+    if (stopped()) {
+      return
+    }
+    this.workerClient.send('setAdaptiveLearning', adaptiveLearning)
+    this.workerClient.send('setVerdictOptions', { method: verdictMethod })
+    this.workerClient.send('setTrainingConfig', trainingConfig)
+    this.setState({ adaptiveLearning, verdictMethod, trainingConfig })
+
+    let webhookConfig = { ...DEFAULT_WEBHOOK_CONFIG, ...await storageManager.getSetting('incidentWebhook', {}) }
+    if (stopped()) {
+      return
+    }
+    try {
+      await this.incidentWebhook.start(webhookConfig)
+    } catch (error) {
+      console.error('Ignoring saved incident webhook:', error)
+      webhookConfig = { ...webhookConfig, enabled: false }
+      if (stopped()) {
+        return
+      }
+      await this.incidentWebhook.start(webhookConfig)
+    }
+    if (stopped()) {
+      // The queue reload scheduled a flush after destroy() stopped the webhook; a
+      // newer start() owns the webhook again once it has started the worker
+      if (!this.workerClient) {
+        this.incidentWebhook.stop()
+      }
+      return
+    }
+    this.setState({ webhookConfig })
+
+    try {
+      await this.selectProfile(initialProfile)
+    } catch (error) {
+      // Requests still in flight when destroy() stopped the worker are rejected
+      if (!stopped()) {
+        throw error
+      }
+    }
+  }
+
+  /**
+   * Stop the worker and timers and detach from the element
+   * The monitor can be started again afterwards.
+   */
+  destroy() {
+    this.startGeneration++
+    this.profileSelection++
+    this.detach()
+    this.stopTimer()
+    this.saveSession().catch(error => console.error('Error saving session:', error))
+    this.unsubscribers.forEach(unsubscribe => unsubscribe())
+    this.unsubscribers = []
+    this.incidentWebhook.stop()
+    if (this.workerClient) {
+      this.workerClient.terminate()
+      this.workerClient = null
+    }
+  }
+
+  /**
+   * Stop the enrollment countdown of 'duration' enrollments
+   */
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * Show a model status reported by the worker
+   * @param {Object} status - From ModelSession.getStatus
+   */
+  applyModelStatus(status) {
+    this.setState({
+      detector: status.detector,
+      architecture: status.architecture,
+      thresholdTargets: status.thresholdTargets,
+      modelTrainingConfig: status.trainingConfig,
+      thresholds: status.thresholds,
+      samplesCollected: status.samplesCollected,
+      rawSampleCount: status.rawSampleCount,
+      errorQuantiles: status.errorQuantiles
+    })
+  }
+
+  /**
+   * Keep a prediction keystroke of the active profile for the typing analytics,
+   * saving the session every SESSION_SAVE_INTERVAL events
+   * @param {Object} rawSample - Raw sample from toRawSample
+   */
+  recordSessionEvent(rawSample) {
+    if (!this.session) {
+      this.session = { startedAt: Date.now(), events: [] }
+    }
+    const { events } = this.session
+    events.push(rawSample)
+
+    if (events.length % SESSION_SAVE_INTERVAL === 0) {
+      const finished = events.length >= MAX_SESSION_EVENTS
+      this.saveSession().catch(error => console.error('Error saving session:', error))
+      if (finished) {
+        this.session = null
+      }
+    }
+  }
+
+  /**
+   * Save the current prediction session's events with the active profile
+   * @returns {Promise<void>}
+   */
+  async saveSession() {
+    const { session } = this
+    const profileName = this.state.activeProfile
+    if (!session || session.events.length === 0 || !profileName) {
+      return
+    }
+    await this.storageManager.saveSession(profileName, {
+      startedAt: session.startedAt,
+      events: session.events.slice()
+    })
+  }
+
+  /**
+   * Clear the current session and forget the in-memory model
+   * The prediction session is saved first, and a new one starts with the next prediction.
+   * @returns {Promise<void>}
+   */
+  async clearSession() {
+    this.stopTimer()
+    await this.saveSession()
+    this.session = null
+    this.caretPositions.clear()
+    this.incidentTracker.reset()
+    this.setState({
+      ...SESSION_STATE,
+      identification: null,
+      timeRemaining: this.state.trainingConfig.duration / 1000,
+      modelTrainingConfig: null
+    })
+    this.trainingStartTime = null
+
+    // Reset the worker's session, dropping results it streams until then
+    this.ignoreEvents = true
+    try {
+      await this.getWorkerClient().call('reset')
+    } finally {
+      this.ignoreEvents = false
+    }
+  }
+
+  /**
+   * Reload the profile list
+   * @returns {Promise<void>}
+   */
+  async refreshProfiles() {
+    this.setState({ profiles: await this.storageManager.listProfiles() })
+  }
+
+  /**
+   * Switch to a profile and load its model if it has been enrolled
+   * A selection overtaken by a later one, or by destroy(), stops at its next step.
+   * @param {string} profileName - Profile name
+   * @returns {Promise<void>}
+   */
+  async selectProfile(profileName) {
+    const selection = ++this.profileSelection
+    const overtaken = () => selection !== this.profileSelection
+    const storageManager = this.storageManager
+
+    await this.clearSession()
+    this.setState({ loadError: null, activeProfile: profileName, incidents: [] })
+    await storageManager.addProfile(profileName)
+    await storageManager.setActiveProfile(profileName)
+    await this.refreshProfiles()
+    await this.loadIncidents()
+    if (overtaken()) {
+      return
+    }
+
+    let status = null
+    try {
+      status = await this.getWorkerClient().call('load', profileName)
+    } catch (error) {
+      // Saved model is kept in storage until the user resets the profile
+      if (!overtaken()) {
+        this.setState({ loadError: error.message })
+      }
+      return
+    }
+
+    if (status && !overtaken()) {
+      this.applyModelStatus(status)
+      this.setState({ phase: 'predicting' })
+    }
+  }
+
+  /**
+   * Finish enrollment: final training pass, then save
+   * @returns {Promise<void>}
+   */
+  async finishTraining() {
+    const client = this.getWorkerClient()
+    const profileName = this.state.activeProfile
+
+    // Score cutoffs come from the calibration computed by the final pass
+    const status = await client.call('train')
+    this.setState({
+      thresholds: status.thresholds,
+      rawSampleCount: status.rawSampleCount,
+      modelTrainingConfig: status.trainingConfig,
+      errorQuantiles: status.errorQuantiles
+    })
+
+    if (await client.call('save', profileName)) {
+      await this.refreshProfiles()
+    }
+  }
+
+  /**
+   * End enrollment once the training config's end condition is met: the duration
+   * has passed on the clock, enough digraphs were collected, or validation loss
+   * stopped improving
+   */
+  endTraining() {
+    this.stopTimer()
+    this.setState({ timeRemaining: 0, phase: 'predicting' })
+    this.finishTraining().catch(error => console.error('Error finishing training:', error))
+  }
+
+  /**
+   * Handle a keystroke: timestamp it and queue it to the worker
+   * Works synchronously on the current state, so a replay can dispatch many events
+   * back to back
+   * @param {KeyboardEvent|CompositionEvent|Object} event - Keyboard, composition or replayed event
+   */
+  handleKeystroke(event) {
+    const { mode } = this.state
+    if (mode === 'passphrase') {
+      return
+    }
+
+    const client = this.getWorkerClient()
+    const time = getEventTime(event, this.clock)
+    const rawSample = toRawSample(event, time)
+
+    this.recorder.record(event, time)
+
+    // Identification scores against every enrolled profile and never trains
+    if (mode === 'identify') {
+      client.send('identify', rawSample)
+      return
+    }
+
+    // 'convergence' is capped by the duration too (see the 'progress' listener)
+    const { endCondition, duration } = this.state.trainingConfig
+    const timed = endCondition !== 'samples'
+    if (this.state.phase === 'training' && timed &&
+        time - this.trainingStartTime >= duration) {
+      this.endTraining()
+    }
+
+    if (this.state.phase === 'predicting') {
+      this.trackCaret(event, time)
+      client.send('predict', rawSample)
+      this.recordSessionEvent(rawSample)
+      return
+    }
+
+    // Start training phase if idle
+    if (this.state.phase === 'idle') {
+      this.setState({ phase: 'training' })
+      this.trainingStartTime = time
+
+      // Start countdown timer
+      if (timed) {
+        this.timer = setInterval(() => {
+          const elapsed = this.clock.now() - this.trainingStartTime
+          const remaining = Math.max(0, duration - elapsed)
+          this.setState({ timeRemaining: Math.ceil(remaining / 1000) })
+
+          if (remaining <= 0) {
+            this.endTraining()
+          }
+        }, 100)
+      }
+    }
+
+    client.send('addSample', rawSample)
+  }
+
+  /**
+   * Remember where in the text a keydown typed, so flagged keys can be highlighted
+   * Editing before highlighted characters moves them, so their highlights are dropped.
+   * @param {Event|Object} event - Keyboard event; events without a text field target
+   *   (e.g. replayed ones) are not tracked
+   * @param {number} time - Event time, as in the raw sample
+   */
+  trackCaret(event, time) {
+    const target = event.target
+    if (event.type !== 'keydown' || event.repeat || !target || typeof target.selectionStart !== 'number') {
+      return
+    }
+
+    const position = target.selectionStart
+    this.caretPositions.set(time, position)
+    if (this.caretPositions.size > MAX_CARET_POSITIONS) {
+      this.caretPositions.delete(this.caretPositions.keys().next().value)
+    }
+
+    const editFrom = event.key === 'Backspace' ? position - 1 : position
+    const { highlights } = this.state
+    if (highlights.some(highlight => highlight.position >= editFrom)) {
+      this.setState({ highlights: highlights.filter(highlight => highlight.position < editFrom) })
+    }
+  }
+
+  /**
+   * Highlights with the flagged keys of an explanation added
+   * @param {Object|null} explanation - From the score event
+   * @returns {Array<Object>} - { position, level } by position
+   */
+  addHighlights(explanation) {
+    const { highlights } = this.state
+    if (!explanation) {
+      return highlights
+    }
+
+    const added = explanation.times
+      .filter((time, i) => explanation.flagged[i] && this.caretPositions.has(time))
+      .map(time => ({ position: this.caretPositions.get(time), level: explanation.level }))
+    if (added.length === 0) {
+      return highlights
+    }
+
+    const byPosition = new Map(highlights.map(highlight => [highlight.position, highlight]))
+    added.forEach(highlight => {
+      // An anomalous flag outranks a suspicious one on the same character
+      const existing = byPosition.get(highlight.position)
+      if (!existing || existing.level !== 'anomalous') {
+        byPosition.set(highlight.position, highlight)
+      }
+    })
+    return [...byPosition.values()]
+      .sort((a, b) => a.position - b.position)
+      .slice(-MAX_HIGHLIGHTS)
+  }
+
+  /**
+   * Select model architecture: applied before training starts, or by the next
+   * retrain of an already trained model
+   * @param {string} architecture - One of MODEL_ARCHITECTURES
+   */
+  setArchitecture(architecture) {
+    const { phase } = this.state
+    if (phase === 'training') {
+      return
+    }
+
+    if (phase === 'idle') {
+      this.getWorkerClient().send('setArchitecture', architecture, DEFAULT_WINDOW_SIZE)
+    }
+    this.setState({ architecture })
+  }
+
+  /**
+   * Select the anomaly detector: applied before training starts, or by the next
+   * retrain of an already trained model
+   * @param {string} detector - One of DETECTORS
+   */
+  setDetector(detector) {
+    const { phase } = this.state
+    if (phase === 'training') {
+      return
+    }
+
+    if (phase === 'idle') {
+      this.getWorkerClient().send('setDetector', detector)
+    }
+    this.setState({ detector })
+  }
+
+  /**
+   * Choose the training policy: applied to the next enrollment and retrain, and saved
+   * with the model they produce. Ignored during enrollment.
+   * @param {Object} config - Changed training config fields (see DEFAULT_TRAINING_CONFIG)
+   * @returns {Promise<void>}
+   * @throws {Error} - When a field is out of range
+   */
+  async setTrainingConfig(config) {
+    const { phase } = this.state
+    if (phase === 'training') {
+      return
+    }
+
+    const trainingConfig = normalizeTrainingConfig({ ...this.state.trainingConfig, ...config })
+    await this.getWorkerClient().call('setTrainingConfig', trainingConfig)
+    this.setState({ trainingConfig })
+    if (phase === 'idle') {
+      this.setState({ timeRemaining: trainingConfig.duration / 1000 })
+    }
+    await this.storageManager.setSetting('trainingConfig', trainingConfig)
+  }
+
+  /**
+   * Refit the active profile's model from scratch on its stored raw samples
+   * @returns {Promise<boolean>} - Whether there were enough samples to retrain
+   */
+  async retrain() {
+    this.setState({ isRetraining: true, lossHistory: [] })
+    try {
+      const status = await this.getWorkerClient().call('retrain', {
+        detector: this.state.detector,
+        architecture: this.state.architecture,
+        windowSize: DEFAULT_WINDOW_SIZE
+      })
+      if (!status) {
+        return false
+      }
+
+      this.applyModelStatus(status)
+      this.setState({
+        predictionScore: null,
+        zScore: null,
+        scoreHistory: [],
+        adaptationStatus: null,
+        verdict: null
+      })
+      await this.refreshProfiles()
+      return true
+    } finally {
+      this.setState({ isRetraining: false })
+    }
+  }
+
+  /**
+   * Change the error-rate targets the score cutoffs are derived from
+   * @param {Object} targets - { falseRejectRate, falseAcceptRate }
+   * @returns {Promise<void>}
+   */
+  async setThresholdTargets(targets) {
+    // Persist the new targets with an already trained model
+    const result = await this.getWorkerClient().call('setThresholdTargets', targets, {
+      save: this.state.phase === 'predicting'
+    })
+    this.setState({ thresholdTargets: result.thresholdTargets, thresholds: result.thresholds })
+  }
+
+  /**
+   * Opt in or out of fine-tuning on confidently normal typing while predicting
+   * @param {boolean} enabled - Whether adaptive learning is on
+   * @returns {Promise<void>}
+   */
+  async setAdaptiveLearning(enabled) {
+    this.getWorkerClient().send('setAdaptiveLearning', enabled)
+    this.setState({ adaptationStatus: null, adaptiveLearning: enabled })
+    await this.storageManager.setSetting('adaptiveLearning', enabled)
+  }
+
+  /**
+   * Who and what an incident is about
+   * @returns {Object} - { profile, detector, thresholds, verdict } (see IncidentTracker)
+   */
+  getIncidentContext() {
+    const { activeProfile, detector, thresholds, verdict } = this.state
+    return { profile: activeProfile, detector, thresholds, verdict }
+  }
+
+  /**
+   * Store a new incident, list it and queue it for the webhook
+   * @param {Object|null} incident - From IncidentTracker, or null when nothing happened
+   */
+  recordIncident(incident) {
+    if (!incident) {
+      return
+    }
+    const { webhookConfig } = this.state
+    const stored = {
+      ...incident,
+      delivery: webhookConfig.enabled
+        ? { status: 'pending', attempts: 0, lastAttemptAt: null, lastError: null, deliveredAt: null }
+        : null
+    }
+    this.setState({ incidents: [stored, ...this.state.incidents].slice(0, MAX_LISTED_INCIDENTS) })
+    if (this.options.onIncident) {
+      this.options.onIncident(stored)
+    }
+    this.storageManager.saveIncident(stored).then(saved => {
+      if (saved && stored.delivery) {
+        this.incidentWebhook.enqueue({ ...stored })
+      }
+    })
+  }
+
+  /**
+   * Show the new delivery state of a listed incident
+   * @param {Object} incident - Incident with its delivery field
+   */
+  applyIncidentDelivery(incident) {
+    if (this.state.incidents.some(listed => listed.id === incident.id)) {
+      this.setState({
+        incidents: this.state.incidents.map(listed =>
+          listed.id === incident.id ? { ...listed, delivery: incident.delivery } : listed)
+      })
+    }
+  }
+
+  /**
+   * Reload the active profile's incidents from storage
+   * @returns {Promise<void>}
+   */
+  async loadIncidents() {
+    const profileName = this.state.activeProfile
+    const incidents = await this.storageManager.loadIncidents(profileName)
+    if (profileName === this.state.activeProfile) {
+      this.setState({ incidents: incidents.reverse().slice(0, MAX_LISTED_INCIDENTS) })
+    }
+  }
+
+  /**
+   * Export the active profile's stored incidents
+   * @returns {Promise<string>} - JSON file contents, incidents oldest first
+   */
+  async exportIncidents() {
+    const profileName = this.state.activeProfile
+    return JSON.stringify({
+      format: 'typing-behavior-incidents',
+      formatVersion: 1,
+      exportedAt: new Date().toISOString(),
+      profile: profileName,
+      incidents: await this.storageManager.loadIncidents(profileName)
+    }, null, 2)
+  }
+
+  /**
+   * Delete the active profile's incidents, including any still waiting for delivery
+   * @returns {Promise<void>}
+   */
+  async clearIncidents() {
+    const profileName = this.state.activeProfile
+    this.incidentWebhook.forget(profileName)
+    await this.storageManager.clearIncidents(profileName)
+    this.setState({ incidents: [] })
+  }
+
+  /**
+   * Change where incidents are POSTed
+   * Incidents raised while the webhook is disabled are only logged, never sent.
+   * @param {Object} config - { enabled, url, token, maxAttempts } (see DEFAULT_WEBHOOK_CONFIG)
+   * @returns {Promise<void>}
+   * @throws {Error} - When the configuration cannot be used; the previous one is kept
+   */
+  async setWebhookConfig(config) {
+    const webhookConfig = { ...DEFAULT_WEBHOOK_CONFIG, ...config }
+    this.incidentWebhook.setConfig(webhookConfig)
+    this.setState({ webhookConfig })
+    await this.storageManager.setSetting('incidentWebhook', webhookConfig)
+  }
+
+  /**
+   * Send the incidents whose delivery failed again
+   * @returns {Promise<number>} - Number of incidents queued
+   */
+  async retryIncidentDelivery() {
+    return this.incidentWebhook.retryFailed()
+  }
+
+  /**
+   * Change how keystroke scores are aggregated into the session verdict
+   * @param {string} method - One of VERDICT_METHODS
+   * @returns {Promise<void>}
+   */
+  async setVerdictMethod(method) {
+    await this.getWorkerClient().call('setVerdictOptions', { method })
+    this.setState({ verdict: null, verdictMethod: method })
+    await this.storageManager.setSetting('verdictMethod', method)
+  }
+
+  /**
+   * Record the session's keystrokes until stopRecording
+   */
+  startRecording() {
+    this.recorder.start()
+    this.setState({ isRecording: true })
+  }
+
+  /**
+   * Finish the recording
+   * @returns {Object|null} - The recording, tagged with the active profile
+   */
+  stopRecording() {
+    this.setState({ isRecording: false })
+    return this.recorder.stop({ profile: this.state.activeProfile })
+  }
+
+  /**
+   * Feed a recording through keystroke handling as if it were typed
+   * @param {Object} recording - Recording from stopRecording or parseRecording
+   * @param {Object} options - { signal } to abort the replay
+   * @returns {Promise<boolean>} - Whether the whole recording was replayed
+   */
+  async replay(recording, { signal } = {}) {
+    this.setState({ isReplaying: true })
+    try {
+      return await replayRecording(recording, this.handleKeystroke, { clock: this.clock, signal })
+    } finally {
+      this.setState({ isReplaying: false })
+    }
+  }
+
+  /**
+   * Create a new profile and switch to it for enrollment
+   * @param {string} profileName - Profile name
+   * @returns {Promise<boolean>} - False when the name is empty
+   */
+  async createProfile(profileName) {
+    const name = profileName.trim()
+    if (!name) {
+      return false
+    }
+
+    await this.storageManager.addProfile(name)
+    await this.selectProfile(name)
+    return true
+  }
+
+  /**
+   * Delete a profile, its model and its incidents
+   * @param {string} profileName - Profile name
+   * @returns {Promise<void>}
+   */
+  async deleteProfile(profileName) {
+    const storageManager = this.storageManager
+    await this.getWorkerClient().call('deleteProfile', profileName)
+    this.incidentWebhook.forget(profileName)
+
+    if (profileName === this.state.activeProfile) {
+      const remaining = await storageManager.listProfiles()
+      await this.selectProfile(remaining[0] ? remaining[0].name : DEFAULT_PROFILE)
+    } else {
+      await this.refreshProfiles()
+    }
+  }
+
+  /**
+   * Switch between verifying the active profile, identifying the typist and
+   * passphrase mode
+   * @param {string} mode - 'verify', 'identify' or 'passphrase'
+   * @returns {Promise<void>}
+   */
+  async setMode(mode) {
+    const client = this.getWorkerClient()
+    this.setState({ identification: null })
+
+    if (mode === 'identify') {
+      const savedProfiles = await this.storageManager.listProfiles()
+      await client.call(
+        'startIdentification',
+        savedProfiles.filter(profile => profile.enrolled).map(profile => profile.name)
+      )
+    } else {
+      await client.call('stopIdentification')
+    }
+
+    this.setState({ mode })
+  }
+
+  /**
+   * Export the active profile's trained model as portable file contents
+   * @param {Object} options - { includeSamples }
+   * @returns {Promise<string>}
+   */
+  async exportProfile({ includeSamples = false } = {}) {
+    return this.getWorkerClient().call('exportProfile', { includeSamples })
+  }
+
+  /**
+   * Validate an exported file, save it as a profile and switch to it
+   * @param {string} text - File contents
+   * @param {Object} options - { confirmOverwrite } called with the profile name before
+   *   replacing an enrolled profile
+   * @returns {Promise<string|null>} - Imported profile name, or null when not confirmed
+   */
+  async importProfile(text, { confirmOverwrite } = {}) {
+    const client = this.getWorkerClient()
+    const profileName = await client.call('inspectImport', text)
+
+    const existing = (await this.storageManager.listProfiles()).find(p => p.name === profileName)
+    if (existing && existing.enrolled && confirmOverwrite && !confirmOverwrite(profileName)) {
+      return null
+    }
+
+    await client.call('importProfile', text)
+    await this.selectProfile(profileName)
+    return profileName
+  }
+
+  /**
+   * Clear the active profile's model and restart enrollment
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await this.clearSession()
+    this.setState({ loadError: null })
+    await this.getWorkerClient().call('clearModel', this.state.activeProfile)
+    await this.refreshProfiles()
+  }
+}
+
+/**
+ * Create and start a typing monitor
+ * @param {Object} options - See the TypingMonitor constructor
+ * @returns {TypingMonitor} - The monitor; monitor.ready resolves once the initial
+ *   profile has been loaded
+ */
+export function createTypingMonitor(options = {}) {
+  const monitor = new TypingMonitor(options)
+  monitor.ready = monitor.start()
+  return monitor
+}
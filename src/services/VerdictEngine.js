@@ -0,0 +1,167 @@
+export const VERDICT_METHODS = ['ewma', 'window', 'cusum']
+
+export const VERDICTS = ['genuine', 'uncertain', 'impostor']
+
+// Calibrated scores are percentiles of genuine errors, so genuine typing averages 0.5
+export const DEFAULT_VERDICT_OPTIONS = {
+  method: 'ewma',
+  minSamples: 10, // Scores needed before any verdict other than 'uncertain'
+  alpha: 0.1, // EWMA smoothing factor
+  windowSize: 20, // Scores averaged by the 'window' method, and kept as evidence
+  genuineBelow: 0.65, // EWMA/window mean at or below this is genuine
+  impostorAbove: 0.75, // EWMA/window mean at or above this is impostor
+  cusumReference: 0.6, // CUSUM drift: scores above this accumulate evidence
+  cusumLimit: 3, // CUSUM statistic at which the typist is an impostor
+  hysteresis: 0.5 // Share of the gap between the levels a verdict is kept beyond its level
+}
+
+/**
+ * VerdictEngine - Session-level authentication decision from per-keystroke scores
+ * Single scores are noisy, so the verdict is taken on an aggregate:
+ *   'ewma'   - Exponentially weighted moving average of the scores
+ *   'window' - Mean of the last windowSize scores
+ *   'cusum'  - One-sided CUSUM of (score - cusumReference), reset at zero; it
+ *              reaches cusumLimit quickly on sustained high scores and decays
+ *              slowly back to zero on genuine typing
+ * The verdict is 'uncertain' until minSamples scores have been seen and whenever
+ * the aggregate falls between the genuine and impostor levels. A genuine or impostor
+ * verdict is kept until the aggregate moves past its level by a hysteresis margin,
+ * so an aggregate hovering at a level does not flip the verdict on every keystroke.
+ */
+export class VerdictEngine {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_VERDICT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.setOptions(options)
+  }
+
+  /**
+   * Change the aggregation settings and start over
+   * @param {Object} options - Overrides for the current options
+   */
+  setOptions(options) {
+    const nextOptions = { ...DEFAULT_VERDICT_OPTIONS, ...this.options, ...options }
+    if (!VERDICT_METHODS.includes(nextOptions.method)) {
+      throw new Error(`Unknown verdict method: ${nextOptions.method}`)
+    }
+    this.options = nextOptions
+    this.reset()
+  }
+
+  /**
+   * Add a keystroke score and update the verdict
+   * @param {number} score - Calibrated anomaly score in [0, 1]
+   * @param {Object|null} thresholds - Per-keystroke { suspicious, anomalous } cutoffs,
+   *   used to count alerts in the evidence
+   * @returns {Object} - { verdict, changed, evidence }
+   */
+  addScore(score, thresholds = null) {
+    const { alpha, windowSize, cusumReference } = this.options
+
+    this.sampleCount++
+    this.ewma = this.sampleCount === 1 ? score : alpha * score + (1 - alpha) * this.ewma
+    this.cusum = Math.max(0, this.cusum + score - cusumReference)
+
+    this.recentScores.push(score)
+    this.recentAlerts.push(thresholds ? score >= thresholds.suspicious : false)
+    if (this.recentScores.length > windowSize) {
+      this.recentScores.shift()
+      this.recentAlerts.shift()
+    }
+
+    const previousVerdict = this.verdict
+    this.verdict = this.decide()
+
+    const result = this.getResult()
+    result.changed = this.verdict !== previousVerdict
+    return result
+  }
+
+  /**
+   * Current value of the aggregate the method decides on
+   * @returns {number}
+   */
+  getStatistic() {
+    switch (this.options.method) {
+      case 'window':
+        return this.recentScores.reduce((sum, s) => sum + s, 0) / (this.recentScores.length || 1)
+      case 'cusum':
+        return this.cusum
+      default:
+        return this.ewma
+    }
+  }
+
+  /**
+   * Map the aggregate to a verdict
+   * @returns {string} - One of VERDICTS
+   */
+  decide() {
+    if (this.sampleCount < this.options.minSamples) {
+      return 'uncertain'
+    }
+
+    const { genuineLevel, impostorLevel } = this.getLevels()
+    const margin = this.options.hysteresis * (impostorLevel - genuineLevel)
+    const statistic = this.getStatistic()
+
+    if (statistic >= impostorLevel || (this.verdict === 'impostor' && statistic > impostorLevel - margin)) {
+      return 'impostor'
+    }
+    if (statistic <= genuineLevel || (this.verdict === 'genuine' && statistic < genuineLevel + margin)) {
+      return 'genuine'
+    }
+    return 'uncertain'
+  }
+
+  /**
+   * Levels the method's statistic is compared to
+   * @returns {Object} - { genuineLevel, impostorLevel }
+   */
+  getLevels() {
+    const { method, cusumLimit, genuineBelow, impostorAbove } = this.options
+    return method === 'cusum'
+      ? { genuineLevel: cusumLimit / 2, impostorLevel: cusumLimit }
+      : { genuineLevel: genuineBelow, impostorLevel: impostorAbove }
+  }
+
+  /**
+   * Current verdict and the evidence behind it
+   * @returns {Object} - { verdict, changed, evidence }, where evidence holds the method,
+   *   its statistic and the levels it is compared to, the number of scores seen, and
+   *   the mean score and alert count over the last windowSize keystrokes
+   */
+  getResult() {
+    const recentCount = this.recentScores.length
+
+    return {
+      verdict: this.verdict,
+      changed: false,
+      evidence: {
+        method: this.options.method,
+        statistic: this.getStatistic(),
+        ...this.getLevels(),
+        sampleCount: this.sampleCount,
+        recentCount,
+        recentMeanScore: recentCount > 0
+          ? this.recentScores.reduce((sum, s) => sum + s, 0) / recentCount
+          : null,
+        recentAlerts: this.recentAlerts.filter(Boolean).length,
+        lastScore: recentCount > 0 ? this.recentScores[recentCount - 1] : null
+      }
+    }
+  }
+
+  /**
+   * Forget all scores; the verdict returns to 'uncertain'
+   */
+  reset() {
+    this.sampleCount = 0
+    this.ewma = 0
+    this.cusum = 0
+    this.recentScores = []
+    this.recentAlerts = []
+    this.verdict = 'uncertain'
+  }
+}
@@ -0,0 +1,134 @@
+import { ScoreCalibrator } from '../ScoreCalibrator.js'
+import { ScaledManhattanDetector } from './ScaledManhattanDetector.js'
+import { MahalanobisDetector } from './MahalanobisDetector.js'
+import { KnnDetector } from './KnnDetector.js'
+import { IsolationForestDetector } from './IsolationForestDetector.js'
+
+const MEMBER_DETECTORS = {
+  'scaled-manhattan': ScaledManhattanDetector,
+  mahalanobis: MahalanobisDetector,
+  knn: KnnDetector,
+  'isolation-forest': IsolationForestDetector
+}
+
+export const DEFAULT_ENSEMBLE_MEMBERS = Object.keys(MEMBER_DETECTORS)
+
+const HOLDOUT_INTERVAL = 5 // Every Nth example normalizes member scores instead of fitting
+
+/**
+ * EnsembleDetector - Averages the normalized scores of several detectors
+ * Raw scores are on different scales (a distance, a probability-like score), so each
+ * member's score is turned into its percentile among held-out genuine examples before
+ * averaging. With too few examples to calibrate, a score is instead divided by the
+ * member's mean genuine score, mapped to [0, 1) as s / (s + mean).
+ */
+export class EnsembleDetector {
+  /**
+   * @param {Object} options - { members } - Detector types from DEFAULT_ENSEMBLE_MEMBERS
+   */
+  constructor({ members = DEFAULT_ENSEMBLE_MEMBERS } = {}) {
+    members.forEach(type => {
+      if (!MEMBER_DETECTORS[type]) {
+        throw new Error(`Unknown ensemble member: ${type}`)
+      }
+    })
+    this.members = members.map(type => ({
+      type,
+      detector: new MEMBER_DETECTORS[type](),
+      calibrator: new ScoreCalibrator(),
+      meanScore: 1
+    }))
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Genuine feature vectors
+   */
+  fit(examples) {
+    const fitExamples = examples.filter((_, i) => (i + 1) % HOLDOUT_INTERVAL !== 0)
+    const holdoutExamples = examples.filter((_, i) => (i + 1) % HOLDOUT_INTERVAL === 0)
+
+    this.members.forEach(member => {
+      member.detector.fit(fitExamples)
+      const holdoutScores = holdoutExamples.length > 0 ? member.detector.score(holdoutExamples) : []
+      member.calibrator.reset()
+      member.calibrator.fit(holdoutScores)
+
+      const fitScores = member.detector.score(fitExamples)
+      member.meanScore = fitScores.reduce((sum, score) => sum + score, 0) / fitScores.length || 1
+    })
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<number>} - Mean normalized member score of each example (0-1)
+   */
+  score(examples) {
+    const totals = new Array(examples.length).fill(0)
+    this.members.forEach(member => {
+      this.normalize(member, member.detector.score(examples)).forEach((score, i) => {
+        totals[i] += score / this.members.length
+      })
+    })
+    return totals
+  }
+
+  /**
+   * Each member's feature errors as shares of their total, weighted by the member's
+   * normalized score and averaged
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<Array<number>>} - Weighted share of each feature of each example
+   */
+  featureErrors(examples) {
+    const totals = examples.map(example => new Array(example.length).fill(0))
+    this.members.forEach(member => {
+      const scores = this.normalize(member, member.detector.score(examples))
+      member.detector.featureErrors(examples).forEach((errors, i) => {
+        const sum = errors.reduce((total, error) => total + error, 0)
+        if (sum > 0) {
+          errors.forEach((error, feature) => {
+            totals[i][feature] += (error / sum) * scores[i] / this.members.length
+          })
+        }
+      })
+    })
+    return totals
+  }
+
+  /**
+   * Map a member's raw scores to [0, 1]: their percentile among its held-out scores,
+   * or s / (s + meanScore) when it could not be calibrated
+   * @param {Object} member - Ensemble member
+   * @param {Array<number>} scores - Raw scores of the member's detector
+   * @returns {Array<number>}
+   */
+  normalize(member, scores) {
+    if (member.calibrator.isCalibrated()) {
+      return scores.map(score => member.calibrator.score(score))
+    }
+    return scores.map(score => score / (score + member.meanScore))
+  }
+
+  /**
+   * Each member is saved with its detector's own state, its calibration and mean score
+   */
+  serialize() {
+    return {
+      members: this.members.map(({ type, detector, calibrator, meanScore }) => ({
+        type,
+        state: detector.serialize(),
+        calibration: calibrator.getState(),
+        meanScore
+      }))
+    }
+  }
+
+  static deserialize({ members }) {
+    const ensemble = new EnsembleDetector({ members: members.map(member => member.type) })
+    ensemble.members.forEach((member, i) => {
+      member.detector = MEMBER_DETECTORS[member.type].deserialize(members[i].state)
+      member.calibrator.setState(members[i].calibration)
+      member.meanScore = members[i].meanScore
+    })
+    return ensemble
+  }
+}
@@ -0,0 +1,164 @@
+const DEFAULT_TREES = 100
+const DEFAULT_SAMPLE_SIZE = 256 // Examples drawn for each tree
+const DEFAULT_SEED = 1 // Trees are grown from a seeded generator, so a refit is reproducible
+
+/**
+ * IsolationForestDetector - Isolation Forest (Liu, Ting & Zhou)
+ * Anomalies are isolated by fewer random splits, so the score is
+ * 2^(-mean path length / c(sampleSize)): near 1 for anomalies, at most about 0.5 for
+ * typical examples.
+ *
+ * Trees are stored as nested arrays: [size] for a leaf, and
+ * [feature, threshold, left, right] for a split.
+ */
+export class IsolationForestDetector {
+  /**
+   * @param {Object} options - { trees, sampleSize, seed }
+   */
+  constructor({ trees = DEFAULT_TREES, sampleSize = DEFAULT_SAMPLE_SIZE, seed = DEFAULT_SEED } = {}) {
+    this.options = { trees, sampleSize, seed }
+    this.trees = []
+    this.treeSampleSize = 0
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Genuine feature vectors
+   */
+  fit(examples) {
+    const random = createRandom(this.options.seed)
+    const sampleSize = Math.min(this.options.sampleSize, examples.length)
+    const maxDepth = Math.ceil(Math.log2(Math.max(sampleSize, 2)))
+
+    this.treeSampleSize = sampleSize
+    this.trees = Array.from({ length: this.options.trees }, () => {
+      // Subsample without replacement
+      const pool = examples.slice()
+      for (let i = 0; i < sampleSize; i++) {
+        const j = i + Math.floor(random() * (pool.length - i))
+        ;[pool[i], pool[j]] = [pool[j], pool[i]]
+      }
+      return growTree(pool.slice(0, sampleSize), 0, maxDepth, random)
+    })
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<number>} - Anomaly score of each example (0-1)
+   */
+  score(examples) {
+    const normalizer = averagePathLength(this.treeSampleSize)
+    return examples.map(example => {
+      const meanPath = this.trees.reduce((sum, tree) => sum + pathLength(tree, example, 0), 0) / this.trees.length
+      return normalizer > 0 ? 2 ** (-meanPath / normalizer) : 0.5
+    })
+  }
+
+  /**
+   * Features that isolate an example: in every tree, each split on the example's path
+   * credits its feature with 1 / path length, so splits of short (anomalous) paths
+   * count the most
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<Array<number>>} - Mean credit of each feature of each example
+   */
+  featureErrors(examples) {
+    return examples.map(example => {
+      const credits = new Array(example.length).fill(0)
+      this.trees.forEach(tree => {
+        const features = []
+        const length = pathLength(tree, example, 0, features)
+        features.forEach(feature => {
+          credits[feature] += 1 / (length * this.trees.length)
+        })
+      })
+      return credits
+    })
+  }
+
+  serialize() {
+    return { options: this.options, trees: this.trees, treeSampleSize: this.treeSampleSize }
+  }
+
+  static deserialize({ options, trees, treeSampleSize }) {
+    const detector = new IsolationForestDetector(options)
+    detector.trees = trees
+    detector.treeSampleSize = treeSampleSize
+    return detector
+  }
+}
+
+function growTree(examples, depth, maxDepth, random) {
+  if (depth >= maxDepth || examples.length <= 1) {
+    return [examples.length]
+  }
+
+  // Split on a random feature that still varies among the examples
+  const featureCount = examples[0].length
+  const candidates = []
+  for (let feature = 0; feature < featureCount; feature++) {
+    let min = Infinity
+    let max = -Infinity
+    examples.forEach(example => {
+      min = Math.min(min, example[feature])
+      max = Math.max(max, example[feature])
+    })
+    if (max > min) {
+      candidates.push([feature, min, max])
+    }
+  }
+  if (candidates.length === 0) {
+    return [examples.length]
+  }
+
+  const [feature, min, max] = candidates[Math.floor(random() * candidates.length)]
+  const threshold = min + random() * (max - min)
+  return [
+    feature,
+    threshold,
+    growTree(examples.filter(example => example[feature] < threshold), depth + 1, maxDepth, random),
+    growTree(examples.filter(example => example[feature] >= threshold), depth + 1, maxDepth, random)
+  ]
+}
+
+function pathLength(node, example, depth, features = null) {
+  if (node.length === 1) {
+    // Unsplit leaves count the expected depth of the tree their examples would grow
+    return depth + averagePathLength(node[0])
+  }
+  const [feature, threshold, left, right] = node
+  if (features) {
+    features.push(feature)
+  }
+  return pathLength(example[feature] < threshold ? left : right, example, depth + 1, features)
+}
+
+/**
+ * Average path length of an unsuccessful binary search tree search, c(n)
+ * @param {number} n - Number of examples
+ * @returns {number}
+ */
+function averagePathLength(n) {
+  if (n <= 1) {
+    return 0
+  }
+  if (n === 2) {
+    return 1
+  }
+  const harmonic = Math.log(n - 1) + 0.5772156649
+  return 2 * harmonic - (2 * (n - 1)) / n
+}
+
+/**
+ * Small seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
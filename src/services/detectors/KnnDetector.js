@@ -0,0 +1,67 @@
+const DEFAULT_NEIGHBORS = 5
+const MAX_REFERENCE_EXAMPLES = 2000 // Most recent genuine examples kept as neighbors
+
+/**
+ * KnnDetector - One-class k-nearest-neighbor detector
+ * Scores an example by its mean Euclidean distance to the k closest genuine examples.
+ */
+export class KnnDetector {
+  /**
+   * @param {Object} options - { neighbors }
+   */
+  constructor({ neighbors = DEFAULT_NEIGHBORS } = {}) {
+    this.neighbors = neighbors
+    this.references = []
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Genuine feature vectors
+   */
+  fit(examples) {
+    this.references = examples.slice(-MAX_REFERENCE_EXAMPLES)
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<number>} - Mean distance of each example to its nearest neighbors
+   */
+  score(examples) {
+    const k = Math.min(this.neighbors, this.references.length)
+    return examples.map(example => {
+      const distances = this.references
+        .map(reference => Math.sqrt(reference.reduce((sum, value, i) => sum + (value - example[i]) ** 2, 0)))
+        .sort((a, b) => a - b)
+      return distances.slice(0, k).reduce((sum, distance) => sum + distance, 0) / k
+    })
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<Array<number>>} - Mean squared difference of each feature to the
+   *   example's nearest neighbors
+   */
+  featureErrors(examples) {
+    const k = Math.min(this.neighbors, this.references.length)
+    return examples.map(example => {
+      const nearest = this.references
+        .map(reference => ({
+          reference,
+          distance: reference.reduce((sum, value, i) => sum + (value - example[i]) ** 2, 0)
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k)
+      return example.map((value, i) =>
+        nearest.reduce((sum, { reference }) => sum + (value - reference[i]) ** 2, 0) / k)
+    })
+  }
+
+  serialize() {
+    return { neighbors: this.neighbors, references: this.references }
+  }
+
+  static deserialize({ neighbors, references }) {
+    const detector = new KnnDetector({ neighbors })
+    detector.references = references
+    return detector
+  }
+}
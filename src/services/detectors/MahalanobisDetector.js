@@ -0,0 +1,116 @@
+const SHRINKAGE = 0.1 // Share of the mean variance added to the diagonal
+const MIN_VARIANCE = 1e-6 // Keeps the covariance invertible when features are constant
+
+/**
+ * MahalanobisDetector - Mahalanobis distance from the mean feature vector
+ * The covariance is shrunk toward a diagonal matrix, since enrollment has few
+ * samples and the key position features are strongly correlated.
+ */
+export class MahalanobisDetector {
+  constructor() {
+    this.mean = null
+    this.inverseCovariance = null
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Genuine feature vectors
+   */
+  fit(examples) {
+    const n = examples[0].length
+    const mean = Array.from({ length: n }, (_, i) =>
+      examples.reduce((sum, example) => sum + example[i], 0) / examples.length)
+
+    const covariance = Array.from({ length: n }, () => new Array(n).fill(0))
+    examples.forEach(example => {
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          covariance[i][j] += (example[i] - mean[i]) * (example[j] - mean[j]) / examples.length
+        }
+      }
+    })
+
+    const meanVariance = covariance.reduce((sum, row, i) => sum + row[i], 0) / n
+    for (let i = 0; i < n; i++) {
+      covariance[i][i] += SHRINKAGE * meanVariance + MIN_VARIANCE
+    }
+
+    this.mean = mean
+    this.inverseCovariance = invert(covariance)
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<number>} - Mahalanobis distance of each example
+   */
+  score(examples) {
+    return examples.map(example => {
+      const difference = example.map((value, i) => value - this.mean[i])
+      const squared = difference.reduce((sum, d, i) =>
+        sum + d * this.inverseCovariance[i].reduce((rowSum, value, j) => rowSum + value * difference[j], 0), 0)
+      return Math.sqrt(Math.max(squared, 0))
+    })
+  }
+
+  /**
+   * Each feature's term of the squared distance, d_i * (S^-1 d)_i; terms that
+   * correlated features make negative count as zero
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<Array<number>>} - Contribution of each feature of each example
+   */
+  featureErrors(examples) {
+    return examples.map(example => {
+      const difference = example.map((value, i) => value - this.mean[i])
+      return difference.map((d, i) => Math.max(
+        d * this.inverseCovariance[i].reduce((rowSum, value, j) => rowSum + value * difference[j], 0),
+        0
+      ))
+    })
+  }
+
+  serialize() {
+    return { mean: this.mean, inverseCovariance: this.inverseCovariance }
+  }
+
+  static deserialize({ mean, inverseCovariance }) {
+    const detector = new MahalanobisDetector()
+    detector.mean = mean
+    detector.inverseCovariance = inverseCovariance
+    return detector
+  }
+}
+
+/**
+ * Invert a symmetric positive definite matrix by Gauss-Jordan elimination
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>}
+ */
+function invert(matrix) {
+  const n = matrix.length
+  const augmented = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))])
+
+  for (let column = 0; column < n; column++) {
+    // Partial pivoting for numerical stability
+    let pivot = column
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])) {
+        pivot = row
+      }
+    }
+    [augmented[column], augmented[pivot]] = [augmented[pivot], augmented[column]]
+
+    const pivotValue = augmented[column][column]
+    for (let j = 0; j < 2 * n; j++) {
+      augmented[column][j] /= pivotValue
+    }
+    for (let row = 0; row < n; row++) {
+      if (row !== column) {
+        const factor = augmented[row][column]
+        for (let j = 0; j < 2 * n; j++) {
+          augmented[row][j] -= factor * augmented[column][j]
+        }
+      }
+    }
+  }
+
+  return augmented.map(row => row.slice(n))
+}
@@ -0,0 +1,56 @@
+const MIN_DEVIATION = 1e-3 // Floor for features that barely vary, e.g. a key always typed with one hand
+
+/**
+ * ScaledManhattanDetector - Distance from the mean feature vector, each feature's
+ * deviation divided by its mean absolute deviation (Killourhy & Maxion's scaled
+ * Manhattan detector)
+ */
+export class ScaledManhattanDetector {
+  constructor() {
+    this.means = null
+    this.deviations = null
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Genuine feature vectors
+   */
+  fit(examples) {
+    const featureCount = examples[0].length
+    this.means = Array.from({ length: featureCount }, (_, i) =>
+      examples.reduce((sum, example) => sum + example[i], 0) / examples.length)
+    this.deviations = this.means.map((mean, i) => Math.max(
+      examples.reduce((sum, example) => sum + Math.abs(example[i] - mean), 0) / examples.length,
+      MIN_DEVIATION
+    ))
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<number>} - Mean scaled deviation of each example
+   */
+  score(examples) {
+    return examples.map(example => example.reduce(
+      (sum, value, i) => sum + Math.abs(value - this.means[i]) / this.deviations[i],
+      0
+    ) / example.length)
+  }
+
+  /**
+   * @param {Array<Array<number>>} examples - Feature vectors
+   * @returns {Array<Array<number>>} - Scaled deviation of each feature of each example
+   */
+  featureErrors(examples) {
+    return examples.map(example => example.map((value, i) => Math.abs(value - this.means[i]) / this.deviations[i]))
+  }
+
+  serialize() {
+    return { means: this.means, deviations: this.deviations }
+  }
+
+  static deserialize({ means, deviations }) {
+    const detector = new ScaledManhattanDetector()
+    detector.means = means
+    detector.deviations = deviations
+    return detector
+  }
+}
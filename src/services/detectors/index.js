@@ -0,0 +1,60 @@
+import { ScaledManhattanDetector } from './ScaledManhattanDetector.js'
+import { MahalanobisDetector } from './MahalanobisDetector.js'
+import { KnnDetector } from './KnnDetector.js'
+import { IsolationForestDetector } from './IsolationForestDetector.js'
+import { EnsembleDetector } from './EnsembleDetector.js'
+
+/**
+ * Anomaly detectors that score feature vectors against a user's genuine typing.
+ *
+ * The autoencoder is built into ModelManager (it is a TensorFlow.js model, saved through
+ * tf.io). Every other detector is a plain class with the interface:
+ * - fit(examples) - Fit on genuine feature vectors (arrays of numbers); refits from scratch
+ * - score(examples) - Raw anomaly value per example, higher = more anomalous; ModelManager
+ *   calibrates these into percentiles like reconstruction errors
+ * - featureErrors(examples) - Per example, each feature's share in its score (higher =
+ *   more to blame), the counterpart of an autoencoder's per-feature reconstruction error
+ * - serialize() - JSON-serializable state of the fitted detector, saved as the model
+ *   state's detectorState
+ * - static deserialize(state) - Rebuild the fitted detector from serialize()'s state
+ */
+
+export { DEFAULT_ENSEMBLE_MEMBERS } from './EnsembleDetector.js'
+
+const DETECTOR_CLASSES = {
+  'scaled-manhattan': ScaledManhattanDetector,
+  mahalanobis: MahalanobisDetector,
+  knn: KnnDetector,
+  'isolation-forest': IsolationForestDetector,
+  ensemble: EnsembleDetector
+}
+
+export const DETECTORS = ['autoencoder', ...Object.keys(DETECTOR_CLASSES)]
+
+export const DEFAULT_DETECTOR = 'autoencoder'
+
+/**
+ * Create an unfitted detector
+ * @param {string} type - One of DETECTORS other than 'autoencoder'
+ * @param {Object} options - Detector options
+ * @returns {Object}
+ */
+export function createDetector(type, options) {
+  if (!DETECTOR_CLASSES[type]) {
+    throw new Error(`Unknown detector: ${type}`)
+  }
+  return new DETECTOR_CLASSES[type](options)
+}
+
+/**
+ * Rebuild a fitted detector from its serialized state
+ * @param {string} type - One of DETECTORS other than 'autoencoder'
+ * @param {Object} state - From serialize()
+ * @returns {Object}
+ */
+export function deserializeDetector(type, state) {
+  if (!DETECTOR_CLASSES[type]) {
+    throw new Error(`Unknown detector: ${type}`)
+  }
+  return DETECTOR_CLASSES[type].deserialize(state)
+}
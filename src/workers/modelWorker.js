@@ -0,0 +1,53 @@
+import { ModelSession } from '../services/ModelSession.js'
+
+// Session methods the UI thread may call
+const METHODS = [
+  'load',
+  'reset',
+  'setArchitecture',
+  'setDetector',
+  'setTrainingConfig',
+  'addSample',
+  'train',
+  'predict',
+  'save',
+  'clearModel',
+  'deleteProfile',
+  'migrateLegacyModels',
+  'retrain',
+  'setThresholdTargets',
+  'setAdaptiveLearning',
+  'setVerdictOptions',
+  'startIdentification',
+  'stopIdentification',
+  'identify',
+  'exportProfile',
+  'inspectImport',
+  'importProfile'
+]
+
+/**
+ * Model worker - Runs feature extraction, training and inference off the UI thread
+ * Requests are { id, method, args } and are handled one at a time in arrival order,
+ * so keystrokes are processed in the order they were typed even while a batch trains.
+ * Replies are { id, result } or { id, error }; streamed results are { event, payload }.
+ */
+const session = new ModelSession((event, payload) => self.postMessage({ event, payload }))
+let queue = Promise.resolve()
+
+self.onmessage = ({ data }) => {
+  const { id, method, args = [] } = data
+
+  queue = queue.then(async () => {
+    try {
+      if (!METHODS.includes(method)) {
+        throw new Error(`Unknown model worker method "${method}"`)
+      }
+      const result = await session[method](...args)
+      self.postMessage({ id, result })
+    } catch (error) {
+      // Error subclasses do not survive structured cloning, so send name and message
+      self.postMessage({ id, error: { name: error.name, message: error.message } })
+    }
+  })
+}
@@ -0,0 +1,28 @@
+import { defineConfig } from 'vite'
+
+// Library build of the framework-agnostic detector (src/lib.js), without React.
+// The model worker is emitted next to the bundle and loaded relative to it.
+// TensorFlow.js stays an import of the worker, resolved from the app's own
+// dependencies, so apps that already use it do not ship a second copy.
+const external = ['@tensorflow/tfjs']
+
+export default defineConfig({
+  base: './',
+  build: {
+    outDir: 'build',
+    lib: {
+      entry: 'src/lib.js',
+      formats: ['es'],
+      fileName: 'typing-monitor'
+    },
+    rollupOptions: {
+      external
+    }
+  },
+  worker: {
+    format: 'es',
+    rollupOptions: {
+      external
+    }
+  }
+})